@@ -20,10 +20,182 @@
 /**
  * @typedef {Object} PromptOptions
  * @property {Object} [schema] - JSON schema for structured output
- * @property {number} [temperature] - Controls randomness (0-1, default: 1)
+ * @property {string} [model] - Override default model
+ * @property {number} [temperature] - Controls randomness (0-2, default: 1)
  * @property {number} [maxOutputTokens] - Maximum response tokens
  * @property {number} [topP] - Nucleus sampling parameter (0-1)
- * @property {number} [topK] - Top-k sampling parameter
+ * @property {number} [topK] - Top-k sampling parameter (integer >= 1)
+ * @property {Array<string>} [stopSequences] - Up to 5 sequences that stop generation
+ * @property {number} [seed] - Seed for more deterministic output
+ * @property {number} [candidateCount] - Number of candidates (1-8); more than 1 returns an array
+ * @property {number} [thinkingBudget] - Thinking token budget (0 = off where supported, -1 = dynamic)
+ * @property {boolean} [includeThoughts] - Return thought summaries in GeminiAppResult.thoughts
+ * @property {Array<{category: string, threshold: string}>|Object<string, string>} [safetySettings] - Safety thresholds by harm category
+ * @property {number} [maxInputTokens] - Throw before sending if the request has more input tokens
+ * @property {Array<string>} [fallbackModels] - Override the instance fallback chain for this call
+ * @property {number} [fallbackAfter] - Failed attempts on one model before falling back (default: 2)
+ * @property {string} [cachedContent] - Cached content name from the cache manager
+ * @property {(string|Object)} [grounding] - Ground answers with Google Search: 'googleSearch' or 'googleSearchRetrieval'
+ * @property {boolean} [codeExecution] - Let the model write and run Python code
+ * @property {Array<string>} [urls] - Web pages for the model to read (urlContext tool, max 20)
+ * @property {boolean} [urlContext] - Enable the urlContext tool for URLs already in the prompt
+ * @property {boolean} [autoContinue] - Complete answers cut off at maxOutputTokens (text is continued; JSON is re-requested in parts)
+ * @property {number} [maxContinuations] - Maximum continuation requests or parts with autoContinue (default: 10)
+ * @property {number} [schemaRetries] - Repair retries when a structured response fails schema validation (default: 1); with onChunk the rejected answer is streamed too
+ * @property {boolean} [validateSchema] - Check structured responses against the schema (default: true)
+ * @property {Array<string>} [responseModalities] - Output types, e.g. ['TEXT', 'IMAGE'] for image models
+ * @property {string} [aspectRatio] - Generated image aspect ratio, e.g. '16:9'
+ * @property {Array<ToolDefinition>} [tools] - Extra tools (functions) the model may call
+ * @property {boolean} [autoExecuteTools] - Run tool handlers automatically (default: true)
+ * @property {number} [maxToolIterations] - Maximum model turns in the function calling loop (default: 10, schema repairs not counted)
+ * @property {string} [toolMode] - Function calling mode: 'AUTO', 'ANY' or 'NONE'
+ * @property {function(string, Object): void} [onChunk] - Stream the response; called with (textDelta, rawChunk)
+ * @property {boolean} [returnFullResponse] - Return a GeminiAppResult instead of text/JSON (default: false)
+ * @property {(boolean|string|ResponseCacheOptions)} [cache] - Response cache for this call: 'use', 'only', 'refresh', 'bypass', false, or options
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Input tokens
+ * @property {number} outputTokens - Response tokens
+ * @property {number} thoughtsTokens - Thinking tokens
+ * @property {number} cachedTokens - Tokens served from a context cache
+ * @property {number} toolUsePromptTokens - Tokens from tool results
+ * @property {number} totalTokens - Total tokens billed
+ */
+
+/**
+ * @typedef {Object} GroundingInfo
+ * @property {Array<string>} queries - Search queries the model ran
+ * @property {Array<{index: number, uri: string, title: string}>} sources - Web sources
+ * @property {Array<{startIndex: number, endIndex: number, text: string, sourceIndices: Array<number>, confidenceScores: Array<number>}>} supports - Supported answer segments
+ * @property {(string|null)} searchEntryPoint - Rendered Google Search suggestions HTML
+ */
+
+/**
+ * @typedef {Object} GeminiAppResult
+ * @property {string} text - Response text
+ * @property {Object|null} data - Parsed JSON when a schema was provided
+ * @property {string} thoughts - Thought summaries (with includeThoughts)
+ * @property {string|null} finishReason - Why generation stopped (STOP, MAX_TOKENS, ...)
+ * @property {string|null} finishMessage - Extra detail about the finish reason
+ * @property {boolean} truncated - True when the answer was cut off at maxOutputTokens
+ * @property {TokenUsage} usage - Token counts
+ * @property {Array<Object>} safetyRatings - Safety ratings for the answer
+ * @property {Array<Object>} citations - Cited sources with text offsets
+ * @property {Array<{id: string, name: string, args: Object}>} functionCalls - Pending function calls (manual tool mode)
+ * @property {(GroundingInfo|null)} grounding - Search queries, sources and supported segments
+ * @property {Array<{language: string, code: string, outcome: (string|null), output: string}>} codeExecutions - Code the model ran and its results
+ * @property {Array<{type: string, text: string=, language: string=, code: string=, outcome: string=, output: string=}>} steps - Text, code and code results in order
+ * @property {Array<{url: string, status: string}>} urlContext - Retrieval status per URL
+ * @property {Array<Blob>} images - Generated images (with responseModalities including 'IMAGE')
+ * @property {string} model - Model that answered (differs from the requested model after a fallback)
+ * @property {string|null} modelVersion - Model version that answered
+ * @property {string|null} responseId - Response ID
+ * @property {({status: string, key: (string|null), cachedAt: (string|null), stored: boolean}|null)} cache - Response cache hit/miss: status is 'hit', 'miss', 'refresh' or 'bypass'; stored is false when the response was not written to the cache
+ * @property {Object} raw - Raw API response
+ */
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} name - Model name, e.g. 'gemini-2.5-flash'
+ * @property {(string|null)} displayName - Display name
+ * @property {(string|null)} description - Description
+ * @property {(string|null)} version - Model version
+ * @property {(number|null)} inputTokenLimit - Maximum input tokens
+ * @property {(number|null)} outputTokenLimit - Maximum output tokens
+ * @property {Array<string>} supportedGenerationMethods - e.g. ['generateContent', 'countTokens']
+ * @property {boolean} thinking - True when the model supports thinking
+ * @property {(number|null)} temperature - Default temperature
+ * @property {(number|null)} maxTemperature - Maximum temperature
+ * @property {(number|null)} topP - Default topP
+ * @property {(number|null)} topK - Default topK
+ * @property {Object} raw - Raw model resource
+ */
+
+/**
+ * @typedef {Object} InstanceOptions
+ * @property {string} [model] - Model to use (default: 'gemini-2.5-flash')
+ * @property {number} [temperature] - Default temperature (0-2)
+ * @property {number} [maxOutputTokens] - Default maximum response tokens
+ * @property {number} [topP] - Default nucleus sampling parameter (0-1)
+ * @property {number} [topK] - Default top-k sampling parameter
+ * @property {Array<string>} [stopSequences] - Default stop sequences (max 5)
+ * @property {number} [seed] - Default seed
+ * @property {number} [candidateCount] - Default number of candidates (1-8)
+ * @property {number} [thinkingBudget] - Default thinking token budget
+ * @property {boolean} [includeThoughts] - Include thought summaries by default
+ * @property {Array<{category: string, threshold: string}>|Object<string, string>} [safetySettings] - Default safety thresholds by harm category
+ * @property {number} [maxInputTokens] - Default input token budget checked before every request
+ * @property {boolean} [validateModels] - Check model overrides against the models API before sending (default: true)
+ * @property {Array<string>} [fallbackModels] - Models to try, in order, when a model keeps returning 429 or 503
+ * @property {number} [fallbackAfter] - Failed attempts on one model before moving to the next fallback (default: 2)
+ * @property {VertexOptions} [vertex] - Use Vertex AI with an OAuth token instead of an API key
+ * @property {Transport} [transport] - Send every HTTP request through this instead of UrlFetchApp
+ * @property {(boolean|ResponseCacheOptions)} [cache] - Cache responses to identical requests in CacheService (true for defaults)
+ */
+
+/**
+ * @typedef {Object} ResponseCacheOptions
+ * @property {number} [ttl] - Seconds to keep responses (default: 3600, max 21600)
+ * @property {string} [mode] - 'use' (default), 'only' (never call the API), 'refresh' (call and overwrite) or 'bypass'
+ * @property {GoogleAppsScript.Cache.Cache} [store] - Cache to use (default: CacheService.getScriptCache())
+ * @property {string} [prefix] - Cache key prefix (default: 'geminiapp:')
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {function(string, Object): (GoogleAppsScript.URL_Fetch.HTTPResponse|TransportResponse)} fetch - Called with (url, params) using UrlFetchApp's params
+ * @property {function(number): void} [sleep] - Replaces Utilities.sleep between retries
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} [status] - HTTP status code (default: 200)
+ * @property {string|Object|Array<number>} [body] - Response body (objects are sent as JSON)
+ * @property {Object<string, string>} [headers] - Response headers
+ */
+
+/**
+ * @typedef {Object} RecorderOptions
+ * @property {string} mode - 'record' (call the API and keep every exchange) or 'replay' (serve recorded responses offline)
+ * @property {string} [fileId] - Drive file with the fixture (replay), or to overwrite on save() (record)
+ * @property {(GoogleAppsScript.Drive.Folder|string)} [folder] - Folder (or ID) for a new fixture file on save() (default: My Drive)
+ * @property {string} [name] - File name for a new fixture file (default: 'geminiapp-fixture.json')
+ * @property {string} [path] - Local fixture file path (Node.js only)
+ * @property {Object} [fixture] - Fixture object to replay from memory
+ * @property {Transport} [transport] - Transport used while recording (default: UrlFetchApp)
+ */
+
+/**
+ * @typedef {Object} Recorder
+ * Transport returned by GeminiApp.newRecorder() - pass it as the transport instance option
+ * @property {string} mode - 'record' or 'replay'
+ * @property {function(string, Object): Object} fetch - Transport fetch
+ * @property {function(): string} save - Save the fixture (record mode). Returns the local path or Drive file ID
+ * @property {function(): Object} getFixture - The fixture: {version, recordedAt, interactions}
+ */
+
+/**
+ * @typedef {Object} VertexOptions
+ * @property {string} project - Google Cloud project ID
+ * @property {string} [location] - Region (default: 'us-central1'), or 'global'
+ * @property {string|function(): string} [accessToken] - OAuth token, or a function returning one (default: ScriptApp.getOAuthToken())
+ * @property {string} [apiVersion] - Vertex AI API version (default: 'v1')
+ */
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name the model calls
+ * @property {string} description - What the function does
+ * @property {Object} [parameters] - JSON schema for the function arguments
+ * @property {function(Object, Object): *} [handler] - Executes the call; receives (args, functionCall)
+ */
+
+/**
+ * @typedef {Object} FunctionCallResult
+ * @property {string} text - Any text returned alongside the calls
+ * @property {Array<{id: string, name: string, args: Object}>} functionCalls - Pending function calls
  */
 
 /**
@@ -41,18 +213,32 @@
  * @property {function(string, PromptOptions=): (string|Object)} prompt - Send a simple text prompt
  * @property {function(string, (Blob|string|Array<Blob|string>), PromptOptions=): (string|Object)} promptWithImage - Send a prompt with image(s)
  * @property {function(string, (FileInput|Blob|string|Array<FileInput|Blob|string>), PromptOptions=): (string|Object)} promptWithFile - Send a prompt with file(s)
+ * @property {function(string, function(string, Object), PromptOptions=): (string|Object)} promptStream - Send a prompt and stream the response
+ * @property {function(string, (FileInput|Blob|string|Array<FileInput|Blob|string>), function(string, Object), PromptOptions=): (string|Object)} promptWithFileStream - Send a prompt with file(s) and stream the response
+ * @property {function((string|Array<string|Object>), Object=): {totalTokens: number}} countTokens - Count input tokens (accepts { file, mimeType } like promptWithFile)
+ * @property {function((string|Array<string>), {taskType: string=, outputDimensionality: number=, title: string=, model: string=}=): (Array<number>|Array<Array<number>>)} embed - Create embeddings for one or more texts
+ * @property {function(string, {inputImages: (Blob|string|Array)=, count: number=, aspectRatio: string=, model: string=}=): {images: Array<Blob>, text: string}} generateImage - Generate or edit images
+ * @property {function(string, {voice: string=, speakers: (Object<string, string>|Array<{speaker: string, voice: string}>)=, name: string=, model: string=}=): Blob} speak - Text to speech as a WAV Blob
  * @property {function(Object=): ChatSession} startChat - Start a chat session
+ * @property {function({method: string=}=): Array<ModelInfo>} listModels - List available models
+ * @property {function(string=): ModelInfo} getModel - Get model metadata (token limits, supported methods, thinking)
+ * @property {function(ToolDefinition): GeminiAppInstance} registerTool - Register a function the model can call
+ * @property {function(string): GeminiAppInstance} unregisterTool - Remove a registered function
  * @property {function(string, string=, string=): UploadedFile} uploadFile - Upload a file from URL or Drive ID
  * @property {function((GoogleAppsScript.Drive.File|Blob), string=): UploadedFile} uploadDriveFile - Upload a Drive file
  * @property {function(string): Object} deleteFile - Delete an uploaded file
  * @property {function(): FileManager} getFileManager - Get file manager instance
+ * @property {function(): CacheManager} getCacheManager - Get context cache manager instance
+ * @property {function(): BatchManager} getBatchManager - Get Batch API manager instance
  */
 
 /**
  * @typedef {Object} ChatSession
  * @property {function(string, PromptOptions=): (string|Object)} sendMessage - Send a text message
+ * @property {function(string, function(string, Object), PromptOptions=): (string|Object)} sendMessageStream - Send a message and stream the response
  * @property {function(string, (Blob|string), PromptOptions=): (string|Object)} sendMessageWithImage - Send message with image
  * @property {function(string, (FileInput|Blob|string), PromptOptions=): (string|Object)} sendMessageWithFile - Send message with file
+ * @property {function(Array<{name: string, id: string, response: *}>, PromptOptions=): (string|Object)} sendFunctionResponses - Send results for pending function calls
  * @property {function(): Array} getHistory - Get chat history
  * @property {function(): void} clearHistory - Clear chat history
  */
@@ -67,6 +253,74 @@
  * @property {function(number=): Object} deleteAllFiles - Delete all uploaded files
  */
 
+/**
+ * @typedef {Object} SchemaBuilder
+ * @property {function(string): SchemaBuilder} describe - Add a description
+ * @property {function(): SchemaBuilder} nullable - Allow null
+ * @property {function(): SchemaBuilder} optional - Not required inside Schema.object()
+ * @property {function(Array<string>): SchemaBuilder} enum - Allowed string values
+ * @property {function(string): SchemaBuilder} format - String format, e.g. 'date-time'
+ * @property {function(number): SchemaBuilder} min - Minimum value (numbers) or item count (arrays)
+ * @property {function(number): SchemaBuilder} max - Maximum value (numbers) or item count (arrays)
+ * @property {function(Array<string>): SchemaBuilder} propertyOrdering - Property generation order (objects)
+ * @property {function(): Object} build - The responseSchema object
+ * @property {function(*): {valid: boolean, violations: Array<string>}} validate - Check a value against the schema
+ * @property {function(string): string} toTypedef - JSDoc typedef for matching values
+ */
+
+/**
+ * @typedef {Object} SchemaFactory
+ * @property {function(Object<string, *>): SchemaBuilder} object - Object schema (properties may be builders or shorthand)
+ * @property {function(): SchemaBuilder} string - String schema
+ * @property {function(): SchemaBuilder} number - Number schema
+ * @property {function(): SchemaBuilder} integer - Integer schema
+ * @property {function(): SchemaBuilder} boolean - Boolean schema
+ * @property {function(*, number=, number=): SchemaBuilder} array - Array schema with optional min/max items
+ * @property {function(Object): SchemaBuilder} from - Builder from a shorthand or full schema
+ */
+
+/**
+ * @typedef {Object} CacheManager
+ * @property {function(Object): Object} create - Create cached content ({ contents, systemInstruction, tools, model, ttl, displayName, key })
+ * @property {function((FileInput|Blob|string|Array), Object=): Object} createFromFiles - Create (or reuse a tracked) cache from file inputs
+ * @property {function(number=, string=): Object} list - List cached contents
+ * @property {function(string): Object} get - Get cached content metadata
+ * @property {function(string, (number|string)): Object} updateTtl - Update a cache's time to live
+ * @property {function(string): Object} delete - Delete a cache
+ * @property {function(string, number=): Object} getTracked - Get a tracked, unexpired cache by key
+ * @property {function(): Array<Object>} listTracked - List tracked, unexpired caches
+ */
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} name - Job name (e.g. 'batches/abc123')
+ * @property {string} state - PENDING, RUNNING, SUCCEEDED, FAILED, CANCELLED or EXPIRED
+ * @property {boolean} done - True once the job reached a final state
+ * @property {Object} stats - Request counts
+ * @property {Object} raw - Raw batch operation
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} key - Request key
+ * @property {(string|Object|null)} value - Formatted response (text, or parsed JSON with a schema)
+ * @property {(string|null)} error - Error message if the request failed
+ * @property {Object} response - Raw response
+ */
+
+/**
+ * @typedef {Object} BatchManager
+ * @property {function(Array<(string|Object)>, Object=): BatchJob} submit - Submit inline or file-based requests
+ * @property {function(string): BatchJob} get - Get job state
+ * @property {function(number=, string=): Object} list - List jobs
+ * @property {function((string|BatchJob), Object=): Array<BatchResult>} getResults - Parsed results of a finished job
+ * @property {function((string|BatchJob), string, Object=): BatchJob} watch - Poll with a time-driven trigger and call a handler when done
+ * @property {function(Object<string, Function>=): Array<BatchJob>} poll - Check watched jobs (call from your trigger function)
+ * @property {function(string): Object} cancel - Cancel a job
+ * @property {function(string): Object} delete - Delete a job
+ * @property {function(): Array<Object>} listSaved - Jobs saved in PropertiesService
+ */
+
 /**
  * Main GeminiApp namespace - DO NOT CALL ANYTHING FROM THIS FILE
  * This file only provides IntelliSense/autocomplete support
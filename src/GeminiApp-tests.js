@@ -8,6 +8,10 @@
  * 1. Set Script Property 'GEMINI_API_KEY' with your API key
  * 2. (Optional) Set 'TEST_AUDIO_FILE_ID' with your Drive audio file ID for tests 6, 7, 8, 12
  * 3. Run individual test functions or runAllTests()
+ * 
+ * Record/replay with runAllTests() (replaying needs no network, and GEMINI_API_KEY can be any value):
+ * 1. Set 'TEST_FIXTURE_MODE' to 'record' and run runAllTests() - the fixture's Drive file ID is logged
+ * 2. Set 'TEST_FIXTURE_FILE_ID' to that ID and 'TEST_FIXTURE_MODE' to 'replay'
  */
 
 // Get API key from Script Properties
@@ -1162,75 +1166,1513 @@ function test22_uploadFileWithDriveId() {
 }
 
 // ============================================================================
-// TEST RUNNER
+// FUNCTION CALLING TESTS
 // ============================================================================
 
 /**
- * Run all tests
- * Executes the entire test suite and reports results
+ * Test 23: Function calling with automatic execution
+ * Tests registered tools, parallel calls and manual mode
  */
-function runAllTests() {
-  console.log('╔════════════════════════════════════════════╗');
-  console.log('║     GeminiApp Test Suite                    ║');
-  console.log('╚════════════════════════════════════════════╝\n');
+function test23_functionCalling() {
+  console.log('=== Test 23: Function Calling ===');
 
-  const tests = [
-    { name: 'Simple Text Prompt', fn: test1_simpleTextPrompt },
-    { name: 'Structured JSON Prompt', fn: test2_structuredJsonPrompt },
-    { name: 'Prompt with Drive Image', fn: test3_promptWithDriveImage },
-    { name: 'Prompt with Image URL', fn: test4_promptWithImageUrl },
-    { name: 'Prompt with Image + Structured', fn: test5_promptWithImageStructured },
-    { name: 'Prompt with Audio URL', fn: test6_promptWithAudioUrl },
-    { name: 'Prompt with Audio + Structured', fn: test7_promptWithAudioStructured },
-    { name: 'Prompt with Drive Audio URL', fn: test8_promptWithDriveAudioUrl },
-    { name: 'Basic Chat Session', fn: test9_basicChat },
-    { name: 'Chat with System Instruction', fn: test10_chatWithSystemInstruction },
-    { name: 'Chat with Image', fn: test11_chatWithImage },
-    { name: 'Chat with File', fn: test12_chatWithFile },
-    { name: 'Chat with Structured Output', fn: test13_chatWithStructuredOutput },
-    { name: 'Upload and Reuse File', fn: test14_uploadAndReuseFile },
-    { name: 'List Files', fn: test15_listFiles },
-    { name: 'Invalid API Key', fn: test16_invalidApiKey },
-    { name: 'Missing MIME Type', fn: test17_missingMimeType },
-    { name: 'Multiple Images', fn: test18_multipleImages },
-    { name: 'Multiple Files in Chat', fn: test19_multipleFilesInChat },
-    { name: 'Google Workspace Files', fn: test20_WorkspaceFiles },
-    { name: 'Direct Drive File ID', fn: test21_driveFileId },
-    { name: 'Upload File with Drive ID', fn: test22_uploadFileWithDriveId }
-  ];
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+    const calls = [];
+
+    ai.registerTool({
+      name: 'getStockLevel',
+      description: 'Get the number of items in stock for a product',
+      parameters: {
+        type: 'object',
+        properties: {
+          product: { type: 'string', description: 'Product name' }
+        },
+        required: ['product']
+      },
+      handler: (args) => {
+        calls.push(args.product);
+        const stock = { apples: 12, pears: 0 };
+        return { product: args.product, inStock: stock[args.product.toLowerCase()] || 0 };
+      }
+    });
 
-  let passed = 0;
-  let failed = 0;
-  let skipped = 0;
+    const response = ai.prompt('How many apples and how many pears are in stock?');
+    console.log('Response:', response);
+    console.log('Tool calls:', calls.join(', '));
 
-  tests.forEach((test, index) => {
-    console.log(`\n[${index + 1}/${tests.length}] Running: ${test.name}`);
-    console.log('─'.repeat(50));
+    if (calls.length === 0) {
+      throw new Error('Expected the tool handler to be called');
+    }
+    if (typeof response !== 'string' || !response.includes('12')) {
+      throw new Error('Expected final answer to include the stock level');
+    }
+
+    // Manual mode returns pending calls instead of executing them
+    const chat = ai.startChat();
+    const pending = chat.sendMessage('How many apples are in stock?', { autoExecuteTools: false });
+    console.log('Pending calls:', JSON.stringify(pending.functionCalls));
+
+    if (!pending.functionCalls || pending.functionCalls.length === 0) {
+      throw new Error('Expected pending function calls in manual mode');
+    }
+
+    const answer = chat.sendFunctionResponses(pending.functionCalls.map(call => ({
+      name: call.name,
+      id: call.id,
+      response: { product: 'apples', inStock: 7 }
+    })));
+    console.log('Manual mode answer:', answer);
+
+    if (!answer.includes('7')) {
+      throw new Error('Expected answer to use the manual function response');
+    }
+
+    console.log('✓ Test 23 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 23 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// STREAMING TESTS
+// ============================================================================
+
+/**
+ * Test 24: Streaming responses
+ * Tests chunk callbacks produce the same final value as a normal prompt
+ */
+function test24_streaming() {
+  console.log('=== Test 24: Streaming ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+    const deltas = [];
+
+    const response = ai.promptStream(
+      'Count from 1 to 20, one number per line',
+      (delta, chunk) => deltas.push(delta)
+    );
+
+    console.log('Chunks received:', deltas.length);
+    console.log('Response:', response.substring(0, 100) + '...');
+
+    if (deltas.length === 0) {
+      throw new Error('Expected at least one chunk');
+    }
+    if (deltas.join('') !== response) {
+      throw new Error('Concatenated chunks do not match the final response');
+    }
+
+    // Chat streaming keeps history like sendMessage
+    const chat = ai.startChat();
+    chat.sendMessageStream('Remember the number 42', () => { });
+    const recall = chat.sendMessage('What number did I ask you to remember?');
+    console.log('Chat recall:', recall);
+
+    if (chat.getHistory().length !== 4) {
+      throw new Error('Expected 4 messages in history');
+    }
+
+    console.log('✓ Test 24 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 24 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// GENERATION CONFIG TESTS
+// ============================================================================
+
+/**
+ * Test 25: Generation config
+ * Tests instance defaults, per-call overrides, candidateCount and range validation
+ */
+function test25_generationConfig() {
+  console.log('=== Test 25: Generation Config ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey(), { temperature: 0, maxOutputTokens: 200 });
+
+    const response = ai.prompt('List the numbers 1 to 10 separated by commas', {
+      stopSequences: ['5'],
+      seed: 7
+    });
+    console.log('Response with stop sequence:', response);
+
+    if (response.includes('6')) {
+      throw new Error('Expected generation to stop before 6');
+    }
+
+    const candidates = ai.prompt('Suggest a name for a cat', { candidateCount: 2, temperature: 1.5 });
+    console.log('Candidates:', JSON.stringify(candidates));
+
+    if (!Array.isArray(candidates) || candidates.length !== 2) {
+      throw new Error('Expected an array of 2 candidates');
+    }
 
     try {
-      const result = test.fn();
-      if (result === true) {
-        passed++;
-      } else {
-        skipped++;
+      ai.prompt('Test', { temperature: 5 });
+      throw new Error('Should have thrown validation error for temperature');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    console.log('✓ Test 25 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 25 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// FULL RESPONSE TESTS
+// ============================================================================
+
+/**
+ * Test 26: Full response mode
+ * Tests usage, finish reason and truncation reporting
+ */
+function test26_fullResponse() {
+  console.log('=== Test 26: Full Response Mode ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.prompt('Say hello', { returnFullResponse: true });
+    console.log('Text:', result.text);
+    console.log('Finish reason:', result.finishReason);
+    console.log('Usage:', JSON.stringify(result.usage));
+
+    if (typeof result.text !== 'string' || result.usage.totalTokens === 0) {
+      throw new Error('Expected text and token usage');
+    }
+    if (result.finishReason !== 'STOP' || result.truncated) {
+      throw new Error('Expected a complete (STOP) response');
+    }
+
+    const truncated = ai.prompt('Write a 1000 word essay about the sea', {
+      maxOutputTokens: 20,
+      returnFullResponse: true
+    });
+    console.log('Truncated finish reason:', truncated.finishReason);
+
+    if (!truncated.truncated || truncated.finishReason !== 'MAX_TOKENS') {
+      throw new Error('Expected MAX_TOKENS truncation to be reported');
+    }
+
+    const structured = ai.prompt('List 3 colors', {
+      schema: { type: 'object', properties: { colors: { type: 'array', items: { type: 'string' } } } },
+      returnFullResponse: true
+    });
+    if (!structured.data || !Array.isArray(structured.data.colors)) {
+      throw new Error('Expected parsed data in full response');
+    }
+
+    console.log('✓ Test 26 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 26 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// SAFETY TESTS
+// ============================================================================
+
+/**
+ * Test 27: Safety settings
+ * Tests safety thresholds are accepted and invalid settings are rejected
+ */
+function test27_safetySettings() {
+  console.log('=== Test 27: Safety Settings ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey(), {
+      safetySettings: { HARASSMENT: 'BLOCK_ONLY_HIGH' }
+    });
+
+    const response = ai.prompt('Write a friendly greeting', {
+      safetySettings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_LOW_AND_ABOVE' }]
+    });
+    console.log('Response:', response);
+
+    try {
+      ai.prompt('Test', { safetySettings: { NOT_A_CATEGORY: 'BLOCK_NONE' } });
+      throw new Error('Should have thrown validation error for unknown category');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
       }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    const safetyError = new GeminiApp.SafetyError('Blocked', {
+      blockedBy: 'prompt',
+      blockReason: 'SAFETY',
+      safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH' }]
+    }, null);
+
+    if (!(safetyError instanceof GeminiApp.ApiError) || safetyError.getBlockedCategories().length !== 1) {
+      throw new Error('SafetyError should extend ApiError and expose blocked categories');
+    }
+
+    console.log('✓ Test 27 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 27 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// TOKEN COUNTING TESTS
+// ============================================================================
+
+/**
+ * Test 28: Count tokens and input budget
+ * Tests countTokens with text and files, and the maxInputTokens guard
+ */
+function test28_countTokens() {
+  console.log('=== Test 28: Count Tokens ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const textCount = ai.countTokens('The quick brown fox jumps over the lazy dog');
+    console.log('Text tokens:', textCount.totalTokens);
+
+    if (!textCount.totalTokens || textCount.totalTokens < 5) {
+      throw new Error('Expected a token count for the text');
+    }
+
+    const imageUrl = 'https://storage.googleapis.com/generativeai-downloads/images/scones.jpg';
+    const imageCount = ai.countTokens('Describe this image', { file: imageUrl, mimeType: 'image/jpeg' });
+    console.log('Text + image tokens:', imageCount.totalTokens);
+
+    if (imageCount.totalTokens <= textCount.totalTokens) {
+      throw new Error('Expected the image to add tokens');
+    }
+
+    try {
+      ai.prompt('Write a long story about dragons and castles', { maxInputTokens: 3 });
+      throw new Error('Should have thrown validation error for maxInputTokens');
     } catch (error) {
-      console.log('Unexpected error:', error.toString());
-      failed++;
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
     }
 
-    // Brief pause between tests
-    Utilities.sleep(1000);
-  });
+    console.log('✓ Test 28 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 28 FAILED:', error.toString());
+    return false;
+  }
+}
 
-  console.log('\n╔════════════════════════════════════════════╗');
-  console.log('║     Test Results Summary                  ║');
-  console.log('╚════════════════════════════════════════════╝');
-  console.log(`Total Tests: ${tests.length}`);
-  console.log(`✓ Passed: ${passed}`);
-  console.log(`✗ Failed: ${failed}`);
-  console.log(`⚠ Skipped: ${skipped}`);
-  console.log('');
+// ============================================================================
+// EMBEDDING TESTS
+// ============================================================================
+
+/**
+ * Test 29: Embeddings
+ * Tests single and batch embeddings plus similarity helpers
+ */
+function test29_embeddings() {
+  console.log('=== Test 29: Embeddings ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const vector = ai.embed('Hello world', { outputDimensionality: 256 });
+    console.log('Single embedding length:', vector.length);
+
+    if (vector.length !== 256) {
+      throw new Error('Expected a 256-dimension vector');
+    }
+
+    const docs = ['How to bake bread', 'Train timetable for London', 'Sourdough starter tips'];
+    const docVectors = ai.embed(docs, { taskType: 'RETRIEVAL_DOCUMENT', outputDimensionality: 256 });
+    const query = ai.embed('baking recipes', { taskType: 'RETRIEVAL_QUERY', outputDimensionality: 256 });
+
+    const best = GeminiApp.topKSimilar(query, docVectors, 2);
+    console.log('Top matches:', best.map(match => `${docs[match.index]} (${match.score.toFixed(3)})`).join(', '));
+
+    if (docVectors.length !== 3) {
+      throw new Error('Expected one vector per document');
+    }
+    if (best[0].index === 1) {
+      throw new Error('Train timetable should not be the best match for baking');
+    }
+
+    console.log('✓ Test 29 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 29 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// CONTEXT CACHING TESTS
+// ============================================================================
+
+/**
+ * Test 30: Context caching
+ * Tests creating, using, tracking, updating and deleting a cache
+ */
+function test30_contextCaching() {
+  console.log('=== Test 30: Context Caching ===');
+
+  let caches;
+  let cache;
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+    caches = ai.getCacheManager();
+
+    // Caches need a minimum number of tokens, so repeat some text
+    const longText = 'The secret code word for this document is PAPAYA. '.repeat(400);
+
+    cache = caches.create({
+      contents: [{ role: 'user', parts: [{ text: longText }] }],
+      ttl: 300,
+      key: 'test30'
+    });
+    console.log('Created cache:', cache.name, 'expires', cache.expireTime);
+
+    const answer = ai.prompt('What is the secret code word?', { cachedContent: cache.name });
+    console.log('Answer:', answer);
+
+    if (!answer.toUpperCase().includes('PAPAYA')) {
+      throw new Error('Expected the answer to come from the cached content');
+    }
+
+    const tracked = caches.getTracked('test30');
+    if (!tracked || tracked.name !== cache.name) {
+      throw new Error('Expected the cache to be tracked in PropertiesService');
+    }
+
+    const updated = caches.updateTtl(cache.name, 600);
+    console.log('Updated expiry:', updated.expireTime);
+
+    caches.delete(cache.name);
+    cache = null;
+
+    if (caches.getTracked('test30')) {
+      throw new Error('Expected the deleted cache to be untracked');
+    }
+
+    console.log('✓ Test 30 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 30 FAILED:', error.toString());
+    if (caches && cache) {
+      caches.delete(cache.name);
+    }
+    return false;
+  }
+}
+
+// ============================================================================
+// BATCH TESTS
+// ============================================================================
+
+/**
+ * Test 31: Batch jobs
+ * Tests submitting an inline batch, checking its state and cleaning up
+ * NOTE: Batch jobs can take hours, so this test does not wait for results.
+ * Use manualTest_batchWithTrigger() to test polling end to end.
+ */
+function test31_batchJob() {
+  console.log('=== Test 31: Batch Job ===');
+
+  let batches;
+  let job;
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+    batches = ai.getBatchManager();
+
+    job = batches.submit(
+      [
+        { key: 'a', text: 'Say "alpha"' },
+        { key: 'b', text: 'Say "beta"' }
+      ],
+      { displayName: 'GeminiApp test 31' }
+    );
+    console.log('Submitted job:', job.name, 'state:', job.state);
+
+    const current = batches.get(job.name);
+    console.log('Current state:', current.state);
+
+    if (!current.name || !current.state) {
+      throw new Error('Expected a job name and state');
+    }
+
+    const saved = batches.listSaved().filter(entry => entry.name === job.name);
+    if (saved.length !== 1) {
+      throw new Error('Expected the job to be saved in PropertiesService');
+    }
+
+    batches.cancel(job.name);
+    batches.delete(job.name);
+    job = null;
+
+    console.log('✓ Test 31 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 31 FAILED:', error.toString());
+    if (batches && job) {
+      try {
+        batches.cancel(job.name);
+        batches.delete(job.name);
+      } catch (e) {
+        console.log('Cleanup failed:', e.toString());
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Manual Test: Batch job with trigger polling
+ * Submits a job and starts a trigger that runs manualTest_pollBatches() every minute.
+ * Results are logged by manualTest_logBatchResults() once the job finishes.
+ */
+function manualTest_batchWithTrigger() {
+  const ai = GeminiApp.newInstance(getApiKey());
+  const job = ai.getBatchManager().submit(
+    ['Name a fruit', 'Name a vegetable'],
+    { handler: 'manualTest_logBatchResults', triggerFunction: 'manualTest_pollBatches', everyMinutes: 1 }
+  );
+  console.log('Watching batch job:', job.name);
+}
+
+function manualTest_pollBatches() {
+  const finished = GeminiApp.newInstance(getApiKey()).getBatchManager().poll({ manualTest_logBatchResults });
+  console.log(`Finished jobs this poll: ${finished.length}`);
+}
+
+function manualTest_logBatchResults(results, job) {
+  console.log(`Batch job ${job.name} finished with state ${job.state}`);
+  results.forEach(result => console.log(`${result.key}: ${result.error || result.value}`));
+}
+
+// ============================================================================
+// THINKING TESTS
+// ============================================================================
+
+/**
+ * Test 32: Thinking configuration
+ * Tests thought summaries are kept separate and thinking tokens are reported
+ */
+function test32_thinkingConfig() {
+  console.log('=== Test 32: Thinking Config ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.prompt('What is 17 * 23? Reply with just the number.', {
+      thinkingBudget: 1024,
+      includeThoughts: true,
+      returnFullResponse: true
+    });
+    console.log('Answer:', result.text);
+    console.log('Thoughts:', result.thoughts.substring(0, 200) + '...');
+    console.log('Thinking tokens:', result.usage.thoughtsTokens);
+
+    if (!result.text.includes('391')) {
+      throw new Error('Expected the answer 391');
+    }
+    if (!result.thoughts || result.text.includes(result.thoughts)) {
+      throw new Error('Expected thought summaries separate from the answer');
+    }
+    if (result.usage.thoughtsTokens === 0) {
+      throw new Error('Expected thinking tokens to be reported');
+    }
+
+    const noThinking = GeminiApp.newInstance(getApiKey(), { thinkingBudget: 0 });
+    const quick = noThinking.prompt('Say hi', { returnFullResponse: true });
+    console.log('Thinking tokens with budget 0:', quick.usage.thoughtsTokens);
+
+    if (quick.usage.thoughtsTokens !== 0) {
+      throw new Error('Expected no thinking tokens with a budget of 0');
+    }
+
+    console.log('✓ Test 32 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 32 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// GROUNDING TESTS
+// ============================================================================
+
+/**
+ * Test 33: Google Search grounding
+ * Tests grounded answers return sources and citations render into the text
+ */
+function test33_googleSearchGrounding() {
+  console.log('=== Test 33: Google Search Grounding ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.prompt('Who won the most recent UEFA European Championship?', {
+      grounding: 'googleSearch',
+      returnFullResponse: true
+    });
+    console.log('Queries:', result.grounding && result.grounding.queries);
+    console.log('Sources:', result.grounding && result.grounding.sources.length);
+    console.log('With citations:\n' + GeminiApp.addCitations(result));
+
+    // Offsets are UTF-8 bytes: 'é' takes two bytes
+    const cited = GeminiApp.addCitations({
+      text: 'Café one. Two.',
+      grounding: {
+        queries: [],
+        sources: [{ index: 0, uri: 'https://a.example', title: 'A' }, { index: 1, uri: 'https://b.example', title: 'B' }],
+        supports: [
+          { startIndex: 0, endIndex: 10, text: 'Café one.', sourceIndices: [0], confidenceScores: [0.9] },
+          { startIndex: 11, endIndex: 15, text: 'Two.', sourceIndices: [0, 1], confidenceScores: [0.8, 0.7] }
+        ],
+        searchEntryPoint: null
+      }
+    }, { style: 'inline' });
+    if (cited !== 'Café one.[1] Two.[1][2]') {
+      throw new Error('Unexpected citation rendering: ' + cited);
+    }
+
+    try {
+      ai.prompt('Test', { grounding: 'bing' });
+      throw new Error('Should have thrown validation error for unknown grounding');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    console.log('✓ Test 33 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 33 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// CODE EXECUTION TESTS
+// ============================================================================
+
+/**
+ * Test 34: Code execution
+ * Tests the generated code and its output are returned with the answer
+ */
+function test34_codeExecution() {
+  console.log('=== Test 34: Code Execution ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.prompt('What is the sum of the first 50 prime numbers? Generate and run code for the calculation.', {
+      codeExecution: true,
+      returnFullResponse: true
+    });
+    console.log('Answer:', result.text);
+    console.log('Steps:', result.steps.map(step => step.type).join(' -> '));
+
+    if (result.codeExecutions.length === 0) {
+      throw new Error('Expected at least one code execution');
+    }
+    console.log('Code:\n' + result.codeExecutions[0].code);
+    console.log('Outcome:', result.codeExecutions[0].outcome, 'Output:', result.codeExecutions[0].output);
+
+    if (result.codeExecutions[0].output.indexOf('5117') === -1 && result.text.indexOf('5117') === -1) {
+      throw new Error('Expected the answer 5117');
+    }
+
+    console.log('✓ Test 34 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 34 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// URL CONTEXT TESTS
+// ============================================================================
+
+/**
+ * Test 35: URL context
+ * Tests the model reads the given URLs and reports their retrieval status
+ */
+function test35_urlContext() {
+  console.log('=== Test 35: URL Context ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.prompt('What is the main heading of this page?', {
+      urls: ['https://example.com'],
+      returnFullResponse: true
+    });
+    console.log('Answer:', result.text);
+    console.log('URL status:', JSON.stringify(result.urlContext));
+
+    if (result.urlContext.length === 0) {
+      throw new Error('Expected url context metadata');
+    }
+
+    try {
+      ai.prompt('Test', { urls: ['ftp://example.com/file'] });
+      throw new Error('Should have thrown validation error for invalid URL');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    console.log('✓ Test 35 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 35 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// IMAGE GENERATION TESTS
+// ============================================================================
+
+/**
+ * Test 36: Image generation
+ * Tests images are returned as Blobs and can be saved to Drive
+ */
+function test36_imageGeneration() {
+  console.log('=== Test 36: Image Generation ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const result = ai.generateImage('A simple flat icon of a red apple on a white background', {
+      aspectRatio: '1:1'
+    });
+    console.log('Images:', result.images.length, 'Text:', result.text);
+
+    const image = result.images[0];
+    if (image.getContentType().indexOf('image/') !== 0 || image.getBytes().length === 0) {
+      throw new Error('Expected an image Blob');
+    }
+
+    const files = GeminiApp.saveToDrive(result.images, null, { prefix: 'geminiapp-test-apple' });
+    console.log('Saved:', files[0].getName());
+    files.forEach(file => file.setTrashed(true));
+
+    try {
+      ai.generateImage('Test', { aspectRatio: '7:3' });
+      throw new Error('Should have thrown validation error for invalid aspect ratio');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    console.log('✓ Test 36 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 36 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// TEXT TO SPEECH TESTS
+// ============================================================================
+
+/**
+ * Test 37: Text to speech
+ * Tests single and multi-speaker audio is returned as a WAV Blob
+ */
+function test37_textToSpeech() {
+  console.log('=== Test 37: Text to Speech ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const audio = ai.speak('Say warmly: Hello from GeminiApp.', { voice: 'Puck' });
+    const bytes = audio.getBytes();
+    console.log('Audio:', audio.getName(), audio.getContentType(), bytes.length, 'bytes');
+
+    const riff = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (audio.getContentType() !== 'audio/wav' || riff !== 'RIFF' || bytes.length <= 44) {
+      throw new Error('Expected a WAV Blob with audio data');
+    }
+
+    const dialog = ai.speak('Joe: Ready for the meeting?\nJane: Almost, two minutes.', {
+      speakers: { Joe: 'Charon', Jane: 'Kore' },
+      name: 'dialog.wav'
+    });
+    console.log('Dialog:', dialog.getName(), dialog.getBytes().length, 'bytes');
+
+    // Text model defaults on the instance are not sent to the TTS model
+    const withDefaults = GeminiApp.newInstance(getApiKey(), { temperature: 0.2, thinkingBudget: 0 });
+    const defaultsAudio = withDefaults.speak('Say: Defaults are ignored.');
+    console.log('With instance defaults:', defaultsAudio.getBytes().length, 'bytes');
+    if (defaultsAudio.getBytes().length <= 44) {
+      throw new Error('Expected audio from an instance with generation defaults');
+    }
+
+    try {
+      ai.speak('Test', { voice: 'NotAVoice' });
+      throw new Error('Should have thrown validation error for unknown voice');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message.substring(0, 60));
+    }
+
+    console.log('✓ Test 37 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 37 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// SCHEMA SHORTHAND TESTS
+// ============================================================================
+
+/**
+ * Test 38: Shorthand schema
+ * Tests shorthand schemas from LIBRARY_USAGE.md work in prompts and chat
+ */
+function test38_shorthandSchema() {
+  console.log('=== Test 38: Shorthand Schema ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const joke = ai.prompt('Tell me a joke', {
+      schema: { joke: 'string', category: 'pun|one-liner|knock-knock', 'rating?': 'integer' }
+    });
+    console.log('Joke:', JSON.stringify(joke));
+    if (typeof joke.joke !== 'string' || ['pun', 'one-liner', 'knock-knock'].indexOf(joke.category) === -1) {
+      throw new Error('Expected joke and an enum category');
+    }
+
+    const chat = ai.startChat();
+    const analysis = chat.sendMessage('Analyze: "The launch went great, sales doubled."', {
+      schema: { summary: 'string', keyPoints: ['string'], meta: { wordCount: 'integer' } }
+    });
+    console.log('Analysis:', JSON.stringify(analysis));
+    if (!Array.isArray(analysis.keyPoints) || typeof analysis.meta.wordCount !== 'number') {
+      throw new Error('Expected array and nested object from shorthand');
+    }
+
+    try {
+      ai.prompt('Test', { schema: { name: 'strng' } });
+      throw new Error('Should have thrown validation error for unknown type');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    // Full schemas with keywords outside the Gemini subset are passed through, not read as shorthand
+    const fullSchema = GeminiApp.Schema.from({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name'],
+      additionalProperties: false
+    }).build();
+    console.log('Full schema:', JSON.stringify(fullSchema));
+    if (fullSchema.type !== 'object' || fullSchema.additionalProperties !== false || fullSchema.properties.name.type !== 'string') {
+      throw new Error('Expected a full schema with extra keywords to be kept as a full schema');
+    }
+
+    console.log('✓ Test 38 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 38 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// SCHEMA VALIDATION TESTS
+// ============================================================================
+
+/**
+ * Test 39: Schema validation
+ * Tests structured responses are validated and SchemaError carries the violations
+ */
+function test39_schemaValidation() {
+  console.log('=== Test 39: Schema Validation ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+
+    const data = ai.prompt('Give three fruit names with a ripeness score from 1 to 10', {
+      schema: { fruits: [{ name: 'string', ripeness: 'integer' }] },
+      schemaRetries: 2
+    });
+    console.log('Data:', JSON.stringify(data));
+    if (!Array.isArray(data.fruits) || !Number.isInteger(data.fruits[0].ripeness)) {
+      throw new Error('Expected validated fruits array');
+    }
+
+    // A response that cannot satisfy the schema: too few tokens to finish the JSON
+    try {
+      ai.prompt('Write a long essay about the ocean', {
+        schema: { essay: 'string' },
+        maxOutputTokens: 5,
+        thinkingBudget: 0,
+        schemaRetries: 0
+      });
+      throw new Error('Should have thrown a schema error');
+    } catch (error) {
+      if (!(error instanceof GeminiApp.SchemaError)) {
+        throw error;
+      }
+      console.log('Correctly caught schema error:', error.violations.join('; '));
+      if (!(error instanceof GeminiApp.ApiError) || typeof error.rawText !== 'string') {
+        throw new Error('SchemaError should be an ApiError with rawText');
+      }
+    }
+
+    console.log('✓ Test 39 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 39 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// SCHEMA BUILDER TESTS
+// ============================================================================
+
+/**
+ * Test 40: Schema builder
+ * Tests GeminiApp.Schema builds valid schemas, validates values and generates typedefs
+ */
+function test40_schemaBuilder() {
+  console.log('=== Test 40: Schema Builder ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey());
+    const S = GeminiApp.Schema;
+
+    const review = S.object({
+      title: S.string().describe('Short headline'),
+      sentiment: S.string().enum(['positive', 'neutral', 'negative']),
+      score: S.integer().min(1).max(5),
+      tags: S.array(S.string(), 1, 3),
+      author: S.string().optional()
+    }).propertyOrdering(['title', 'sentiment', 'score', 'tags', 'author']);
+
+    const data = ai.prompt('Review: "Fast shipping, great quality, a bit pricey."', { schema: review });
+    console.log('Data:', JSON.stringify(data));
+
+    const check = review.validate(data);
+    if (!check.valid) {
+      throw new Error('Response should match the schema: ' + check.violations.join('; '));
+    }
+
+    const invalid = review.validate({ title: 'x', sentiment: 'meh', score: 9, tags: [] });
+    console.log('Violations:', invalid.violations.join('; '));
+    if (invalid.valid || invalid.violations.length !== 3) {
+      throw new Error('Expected 3 violations');
+    }
+
+    const typedef = review.toTypedef('Review');
+    console.log(typedef);
+    if (typedef.indexOf("@property {('positive'|'neutral'|'negative')} sentiment") === -1 ||
+      typedef.indexOf('[author]') === -1) {
+      throw new Error('Unexpected typedef output');
+    }
+
+    const quoted = S.object({ answer: S.string().enum(["don't know", 'yes']) }).toTypedef('Answer');
+    if (quoted.indexOf("@property {('don\\'t know'|'yes')} answer") === -1) {
+      throw new Error('Expected quotes in enum values to be escaped: ' + quoted);
+    }
+
+    console.log('✓ Test 40 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 40 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// AUTO CONTINUE TESTS
+// ============================================================================
+
+/**
+ * Test 41: Auto continue
+ * Tests truncated text and JSON answers are completed with autoContinue
+ */
+function test41_autoContinue() {
+  console.log('=== Test 41: Auto Continue ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey(), { thinkingBudget: 0 });
+
+    const result = ai.prompt('Count from 1 to 60 in words, one per line.', {
+      maxOutputTokens: 100,
+      autoContinue: true,
+      returnFullResponse: true
+    });
+    console.log('Finish reason:', result.finishReason, 'Length:', result.text.length);
+    if (result.text.toLowerCase().indexOf('sixty') === -1) {
+      throw new Error('Expected the continued text to reach sixty');
+    }
+
+    const data = ai.prompt('List the 30 largest countries by area with their capitals.', {
+      schema: { source: 'string', countries: [{ name: 'string', capital: 'string' }] },
+      maxOutputTokens: 300,
+      autoContinue: true
+    });
+    console.log('Countries:', data.countries.length);
+    if (data.countries.length < 20) {
+      throw new Error('Expected the merged list to contain the countries from every part');
+    }
+
+    console.log('✓ Test 41 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 41 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// MODEL TESTS
+// ============================================================================
+
+/**
+ * Test 42: Model discovery
+ * Tests listModels/getModel and that unknown model overrides fail before sending
+ */
+function test42_modelDiscovery() {
+  console.log('=== Test 42: Model Discovery ===');
+
+  try {
+    const models = GeminiApp.listModels(getApiKey(), { method: 'generateContent' });
+    console.log('Models:', models.length, models.slice(0, 3).map(model => model.name).join(', '));
+    if (models.length === 0) {
+      throw new Error('Expected at least one model');
+    }
+
+    const ai = GeminiApp.newInstance(getApiKey());
+    const model = ai.getModel('gemini-2.5-flash');
+    console.log('gemini-2.5-flash:', model.inputTokenLimit, 'in /', model.outputTokenLimit, 'out, thinking:', model.thinking);
+    if (!model.inputTokenLimit || model.supportedGenerationMethods.indexOf('generateContent') === -1) {
+      throw new Error('Expected token limits and generateContent support');
+    }
+
+    try {
+      ai.prompt('Hi', { model: 'gemini-2.5-flsh' });
+      throw new Error('Should have thrown validation error for unknown model');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    try {
+      ai.prompt('Hi', { model: 'gemini-embedding-001' });
+      throw new Error('Should have thrown validation error for unsupported method');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Correctly caught validation error:', error.message);
+    }
+
+    console.log('✓ Test 42 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 42 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// MODEL FALLBACK TESTS
+// ============================================================================
+
+/**
+ * Test 43: Model fallback
+ * Tests that 503/429 answers move the request down the fallback chain after fallbackAfter
+ * attempts, against an in-memory fake (no API key or network needed)
+ */
+function test43_modelFallback() {
+  console.log('=== Test 43: Model Fallback ===');
+
+  try {
+    // The primary model is always overloaded, the fallback models answer
+    const attempts = [];
+    let overloadStatus = 503;
+    const transport = {
+      fetch: (url) => {
+        const model = url.match(/models\/([^:]+):/)[1];
+        attempts.push(model);
+        if (model === 'gemini-2.5-pro') {
+          return { status: overloadStatus, body: { error: { message: 'The model is overloaded' } } };
+        }
+        return {
+          body: { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello from ' + model }] }, finishReason: 'STOP' }] }
+        };
+      },
+      sleep: () => {}
+    };
+
+    const ai = GeminiApp.newInstance('test-key', {
+      model: 'gemini-2.5-pro',
+      fallbackModels: ['gemini-2.5-flash'],
+      fallbackAfter: 2,
+      validateModels: false,
+      transport: transport
+    });
+
+    const result = ai.prompt('Say hello in one word', { returnFullResponse: true });
+    console.log('Answered by:', result.model, 'Attempts:', attempts);
+    if (result.model !== 'gemini-2.5-flash' || result.text !== 'Hello from gemini-2.5-flash') {
+      throw new Error('Expected the fallback model to answer');
+    }
+    if (attempts.join(',') !== 'gemini-2.5-pro,gemini-2.5-pro,gemini-2.5-flash') {
+      throw new Error('Expected 2 attempts on the primary model before falling back, got: ' + attempts.join(','));
+    }
+
+    // Rate limits (429) fall back too, here with a per-call chain
+    attempts.length = 0;
+    overloadStatus = 429;
+    const reply = ai.startChat().sendMessage('Say goodbye in one word', {
+      fallbackModels: ['gemini-2.5-flash-lite'],
+      fallbackAfter: 1,
+      returnFullResponse: true
+    });
+    console.log('Chat answered by:', reply.model, 'Attempts:', attempts);
+    if (reply.model !== 'gemini-2.5-flash-lite' || attempts.join(',') !== 'gemini-2.5-pro,gemini-2.5-flash-lite') {
+      throw new Error('Expected the per-call fallback model to answer after 1 attempt');
+    }
+
+    // Other errors are not retried on the fallback model
+    attempts.length = 0;
+    const strict = GeminiApp.newInstance('test-key', {
+      model: 'gemini-2.5-pro',
+      fallbackModels: ['gemini-2.5-flash'],
+      transport: {
+        fetch: (url) => {
+          attempts.push(url);
+          return { status: 400, body: { error: { message: 'Bad request' } } };
+        },
+        sleep: () => {}
+      }
+    });
+    try {
+      strict.prompt('Hello');
+      throw new Error('Expected a 400 error');
+    } catch (error) {
+      if (!(error instanceof GeminiApp.ApiError) || error.statusCode !== 400 || attempts.length !== 1) {
+        throw error;
+      }
+    }
+
+    console.log('✓ Test 43 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 43 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// VERTEX AI TESTS
+// ============================================================================
+
+/**
+ * Test 44: Vertex AI mode
+ * Tests prompts, chat and token counting through Vertex AI with the script's OAuth token
+ * 
+ * Setup: Set GCP_PROJECT_ID in Script Properties and add the cloud-platform scope to appsscript.json
+ */
+function test44_vertexAi() {
+  console.log('=== Test 44: Vertex AI ===');
+
+  const project = PropertiesService.getScriptProperties().getProperty('GCP_PROJECT_ID');
+  if (!project) {
+    console.log('⚠ Test 44 SKIPPED: No GCP_PROJECT_ID configured');
+    console.log('To enable: PropertiesService.getScriptProperties().setProperty("GCP_PROJECT_ID", "your-project-id");');
+    return true;
+  }
+
+  try {
+    const ai = GeminiApp.newInstance(null, { vertex: { project: project, location: 'us-central1' } });
+
+    const response = ai.prompt('Say hello in one word');
+    console.log('Response:', response);
+
+    const count = ai.countTokens('How long is this prompt?');
+    console.log('Tokens:', count.totalTokens);
+    if (!count.totalTokens) {
+      throw new Error('Expected a token count');
+    }
+
+    const chat = ai.startChat();
+    chat.sendMessage('My name is Ada.');
+    const reply = chat.sendMessage('What is my name?');
+    console.log('Chat reply:', reply);
+
+    try {
+      ai.uploadFile('https://example.com/file.pdf', 'application/pdf');
+      throw new Error('Expected the Files API to be unavailable');
+    } catch (error) {
+      if (error.name !== 'GeminiAppValidationError') {
+        throw error;
+      }
+      console.log('Files API correctly unavailable:', error.message);
+    }
+
+    console.log('✓ Test 44 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 44 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// TRANSPORT TESTS
+// ============================================================================
+
+/**
+ * Test 45: Custom transport
+ * Tests prompts, retries and file deletes against an in-memory fake (no API key or network needed)
+ */
+function test45_customTransport() {
+  console.log('=== Test 45: Custom Transport ===');
+
+  try {
+    const requests = [];
+    let attempts = 0;
+    const ai = GeminiApp.newInstance('test-key', {
+      transport: {
+        fetch: (url, params) => {
+          requests.push(params.method + ' ' + url);
+          if (url.indexOf('/files/') !== -1) {
+            return { status: 404, body: { error: { message: 'Not found' } } };
+          }
+          attempts++;
+          if (attempts === 1) {
+            return { status: 503, body: { error: { message: 'Overloaded' } } };
+          }
+          return {
+            body: { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello from the fake' }] }, finishReason: 'STOP' }] }
+          };
+        },
+        sleep: () => {}
+      }
+    });
+
+    const response = ai.prompt('Say hello');
+    console.log('Response:', response);
+    if (response !== 'Hello from the fake' || attempts !== 2) {
+      throw new Error('Expected the fake response after one retry');
+    }
+
+    const result = ai.deleteFile('files/missing');
+    if (!result.alreadyDeleted) {
+      throw new Error('Expected a 404 delete to be treated as already deleted');
+    }
+
+    console.log('Requests:', requests);
+    console.log('✓ Test 45 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 45 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// RECORD / REPLAY TESTS
+// ============================================================================
+
+/**
+ * Test 46: Record and replay
+ * Records a prompt through an in-memory fake, then replays it from the fixture
+ * (no API key or network needed)
+ */
+function test46_recordReplay() {
+  console.log('=== Test 46: Record and Replay ===');
+
+  try {
+    const imageData = Utilities.base64Encode(Utilities.newBlob('x'.repeat(300)).getBytes());
+    const recorder = GeminiApp.newRecorder({
+      mode: 'record',
+      transport: {
+        fetch: (url, params) => ({
+          body: {
+            candidates: [{
+              content: { role: 'model', parts: [{ text: 'Recorded answer' }, { inlineData: { mimeType: 'image/png', data: imageData } }] },
+              finishReason: 'STOP'
+            }]
+          }
+        })
+      }
+    });
+    GeminiApp.newInstance('secret-key', { transport: recorder }).prompt('What is the answer?');
+
+    const fixture = recorder.getFixture();
+    if (JSON.stringify(fixture).indexOf('secret-key') !== -1) {
+      throw new Error('API key was not redacted from the fixture');
+    }
+    if (fixture.interactions[0].response.body.indexOf(imageData) === -1) {
+      throw new Error('Expected response media to be kept in the fixture');
+    }
+
+    const ai = GeminiApp.newInstance('other-key', {
+      transport: GeminiApp.newRecorder({ mode: 'replay', fixture: fixture })
+    });
+    const response = ai.prompt('What is the answer?');
+    console.log('Replayed:', response);
+    if (response !== 'Recorded answer') {
+      throw new Error('Expected the recorded response');
+    }
+
+    try {
+      ai.prompt('A question that was never recorded');
+      throw new Error('Expected an unmatched request to fail');
+    } catch (error) {
+      if (error.name !== 'GeminiAppReplayError') {
+        throw error;
+      }
+      console.log('Unmatched request correctly failed:', error.message);
+    }
+
+    console.log('✓ Test 46 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 46 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// RESPONSE CACHE TESTS
+// ============================================================================
+
+/**
+ * Test 47: Response cache
+ * Tests that an identical prompt is served from CacheService and that cache modes work
+ */
+function test47_responseCache() {
+  console.log('=== Test 47: Response Cache ===');
+
+  try {
+    const ai = GeminiApp.newInstance(getApiKey(), { cache: { ttl: 300, prefix: 'geminiapp-test:' } });
+    const prompt = 'Reply with a random four-digit number.';
+
+    const first = ai.prompt(prompt, { returnFullResponse: true, cache: 'refresh' });
+    const second = ai.prompt(prompt, { returnFullResponse: true });
+    console.log('First:', first.text, first.cache.status);
+    console.log('Second:', second.text, second.cache.status);
+    if (second.cache.status !== 'hit' || second.text !== first.text) {
+      throw new Error('Expected the second prompt to be served from the cache');
+    }
+
+    const bypassed = ai.prompt(prompt, { returnFullResponse: true, cache: false });
+    if (bypassed.cache.status !== 'bypass') {
+      throw new Error('Expected cache: false to bypass the cache');
+    }
+
+    try {
+      ai.prompt('This prompt is never cached', { cache: 'only' });
+      throw new Error('Expected a cache-only miss to fail');
+    } catch (error) {
+      if (!(error instanceof GeminiApp.CacheMissError) || !error.key) {
+        throw error;
+      }
+      console.log('Cache-only miss correctly failed:', error.message);
+    }
+
+    console.log('✓ Test 47 PASSED\n');
+    return true;
+  } catch (error) {
+    console.log('✗ Test 47 FAILED:', error.toString());
+    return false;
+  }
+}
+
+// ============================================================================
+// TEST RUNNER
+// ============================================================================
+
+/**
+ * Record or replay the requests of every instance created until restore() is called
+ * Uses the TEST_FIXTURE_MODE and TEST_FIXTURE_FILE_ID Script Properties.
+ * Tests that pass their own transport keep it.
+ * @returns {{recorder: Object, restore: function(): void}|null} Null when no mode is set
+ */
+function useTestFixture() {
+  const properties = PropertiesService.getScriptProperties();
+  const mode = properties.getProperty('TEST_FIXTURE_MODE');
+  if (!mode) {
+    return null;
+  }
+
+  const recorder = GeminiApp.newRecorder({
+    mode: mode,
+    fileId: properties.getProperty('TEST_FIXTURE_FILE_ID') || undefined,
+    name: 'geminiapp-test-fixture.json'
+  });
+  const newInstance = GeminiApp.newInstance;
+  const listModels = GeminiApp.listModels;
+  const withRecorder = (options) => {
+    const settings = typeof options === 'string' ? { model: options } : Object.assign({}, options);
+    settings.transport = settings.transport || recorder;
+    return settings;
+  };
+
+  GeminiApp.newInstance = (apiKey, modelOrOptions) => newInstance(apiKey, withRecorder(modelOrOptions));
+  GeminiApp.listModels = (apiKey, options) => listModels(apiKey, withRecorder(options));
+
+  return {
+    recorder: recorder,
+    restore: () => {
+      GeminiApp.newInstance = newInstance;
+      GeminiApp.listModels = listModels;
+    }
+  };
+}
+
+/**
+ * Run all tests
+ * Executes the entire test suite and reports results
+ */
+function runAllTests() {
+  console.log('╔════════════════════════════════════════════╗');
+  console.log('║     GeminiApp Test Suite                    ║');
+  console.log('╚════════════════════════════════════════════╝\n');
+
+  const fixture = useTestFixture();
+
+  const tests = [
+    { name: 'Simple Text Prompt', fn: test1_simpleTextPrompt },
+    { name: 'Structured JSON Prompt', fn: test2_structuredJsonPrompt },
+    { name: 'Prompt with Drive Image', fn: test3_promptWithDriveImage },
+    { name: 'Prompt with Image URL', fn: test4_promptWithImageUrl },
+    { name: 'Prompt with Image + Structured', fn: test5_promptWithImageStructured },
+    { name: 'Prompt with Audio URL', fn: test6_promptWithAudioUrl },
+    { name: 'Prompt with Audio + Structured', fn: test7_promptWithAudioStructured },
+    { name: 'Prompt with Drive Audio URL', fn: test8_promptWithDriveAudioUrl },
+    { name: 'Basic Chat Session', fn: test9_basicChat },
+    { name: 'Chat with System Instruction', fn: test10_chatWithSystemInstruction },
+    { name: 'Chat with Image', fn: test11_chatWithImage },
+    { name: 'Chat with File', fn: test12_chatWithFile },
+    { name: 'Chat with Structured Output', fn: test13_chatWithStructuredOutput },
+    { name: 'Upload and Reuse File', fn: test14_uploadAndReuseFile },
+    { name: 'List Files', fn: test15_listFiles },
+    { name: 'Invalid API Key', fn: test16_invalidApiKey },
+    { name: 'Missing MIME Type', fn: test17_missingMimeType },
+    { name: 'Multiple Images', fn: test18_multipleImages },
+    { name: 'Multiple Files in Chat', fn: test19_multipleFilesInChat },
+    { name: 'Google Workspace Files', fn: test20_WorkspaceFiles },
+    { name: 'Direct Drive File ID', fn: test21_driveFileId },
+    { name: 'Upload File with Drive ID', fn: test22_uploadFileWithDriveId },
+    { name: 'Function Calling', fn: test23_functionCalling },
+    { name: 'Streaming', fn: test24_streaming },
+    { name: 'Generation Config', fn: test25_generationConfig },
+    { name: 'Full Response Mode', fn: test26_fullResponse },
+    { name: 'Safety Settings', fn: test27_safetySettings },
+    { name: 'Count Tokens', fn: test28_countTokens },
+    { name: 'Embeddings', fn: test29_embeddings },
+    { name: 'Context Caching', fn: test30_contextCaching },
+    { name: 'Batch Job', fn: test31_batchJob },
+    { name: 'Thinking Config', fn: test32_thinkingConfig },
+    { name: 'Google Search Grounding', fn: test33_googleSearchGrounding },
+    { name: 'Code Execution', fn: test34_codeExecution },
+    { name: 'URL Context', fn: test35_urlContext },
+    { name: 'Image Generation', fn: test36_imageGeneration },
+    { name: 'Text to Speech', fn: test37_textToSpeech },
+    { name: 'Shorthand Schema', fn: test38_shorthandSchema },
+    { name: 'Schema Validation', fn: test39_schemaValidation },
+    { name: 'Schema Builder', fn: test40_schemaBuilder },
+    { name: 'Auto Continue', fn: test41_autoContinue },
+    { name: 'Model Discovery', fn: test42_modelDiscovery },
+    { name: 'Model Fallback', fn: test43_modelFallback },
+    { name: 'Vertex AI', fn: test44_vertexAi },
+    { name: 'Custom Transport', fn: test45_customTransport },
+    { name: 'Record and Replay', fn: test46_recordReplay },
+    { name: 'Response Cache', fn: test47_responseCache }
+  ];
+
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  tests.forEach((test, index) => {
+    console.log(`\n[${index + 1}/${tests.length}] Running: ${test.name}`);
+    console.log('─'.repeat(50));
+
+    try {
+      const result = test.fn();
+      if (result === true) {
+        passed++;
+      } else {
+        skipped++;
+      }
+    } catch (error) {
+      console.log('Unexpected error:', error.toString());
+      failed++;
+    }
+
+    // Brief pause between tests
+    Utilities.sleep(1000);
+  });
+
+  console.log('\n╔════════════════════════════════════════════╗');
+  console.log('║     Test Results Summary                  ║');
+  console.log('╚════════════════════════════════════════════╝');
+  console.log(`Total Tests: ${tests.length}`);
+  console.log(`✓ Passed: ${passed}`);
+  console.log(`✗ Failed: ${failed}`);
+  console.log(`⚠ Skipped: ${skipped}`);
+  console.log('');
+
+  if (fixture) {
+    fixture.restore();
+    if (fixture.recorder.mode === 'record') {
+      console.log(`Fixture saved: ${fixture.recorder.save()} (set TEST_FIXTURE_FILE_ID to this ID to replay)`);
+    }
+  }
 
   if (failed === 0 && passed > 0) {
     console.log('🎉 All tests passed!');
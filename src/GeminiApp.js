@@ -8,6 +8,26 @@
  * - Google Workspace file support (Docs, Sheets, Slides) - automatically converted to PDF
  * - Supports BOTH public URLs and private Google Workspace files (user must have access)
  * - Chat mode with context
+ * - Function calling with automatic tool execution
+ * - Streaming responses with chunk callbacks
+ * - Embeddings with similarity helpers
+ * - Context caching with PropertiesService tracking
+ * - Batch API jobs with trigger-based polling
+ * - Google Search grounding with citations
+ * - Code execution with the generated code and its output
+ * - URL context: let the model read web pages directly
+ * - Image generation and editing, returned as Blobs
+ * - Text-to-speech with single or multiple speakers, returned as WAV Blobs
+ * - Shorthand schemas ({ name: 'string', tags: ['string'] })
+ * - Schema validation of structured responses with automatic repair retries
+ * - Fluent schema builder (GeminiApp.Schema) with validation and JSDoc typedefs
+ * - Automatic continuation of answers cut off at maxOutputTokens
+ * - Model discovery (listModels, getModel) and model name checks
+ * - Automatic model fallback on overload and quota errors
+ * - Vertex AI mode with OAuth tokens and Cloud Storage (gs://) files
+ * - Pluggable HTTP transport for fake servers and offline tests
+ * - Record/replay of API traffic to JSON fixtures for deterministic tests
+ * - Response caching in CacheService for repeated identical prompts
  * - File upload API to avoid large inline transfers
  * - Automatic retry with exponential backoff
  * - Clear error messages
@@ -56,6 +76,8 @@
  * All methods return:
  * - string: when NO schema is provided (plain text response)
  * - Object: when schema is provided (parsed JSON object)
+ * - GeminiAppResult: when { returnFullResponse: true } is passed (text/data plus
+ *   token usage, finish reason, safety ratings, citations and the raw response)
  * 
  * This applies to ALL prompt and chat methods:
  * - prompt() / sendMessage()
@@ -78,13 +100,168 @@
  * @property {string} uri - File URI from uploadFile() or uploadDriveFile()
  * @property {string} mimeType - MIME type (e.g., 'audio/mpeg', 'video/mp4')
  * 
- * @typedef {Object} PromptOptions
+ * @typedef {Object} GenerationOptions
+ * @property {number} [temperature] - Controls randomness (0-2)
+ * @property {number} [maxOutputTokens] - Maximum response tokens
+ * @property {number} [topP] - Nucleus sampling parameter (0-1)
+ * @property {number} [topK] - Top-k sampling parameter (integer >= 1)
+ * @property {Array<string>} [stopSequences] - Up to 5 sequences that stop generation
+ * @property {number} [seed] - Seed for more deterministic output
+ * @property {number} [candidateCount] - Number of candidates (1-8); more than 1 returns an array
+ * @property {number} [thinkingBudget] - Thinking token budget (0 turns thinking off where supported, -1 is dynamic)
+ * @property {boolean} [includeThoughts] - Return thought summaries (in GeminiAppResult.thoughts)
+ * 
+ * @typedef {GenerationOptions} InstanceOptions
+ * @property {string} [model] - Model to use (default 'gemini-2.5-flash')
+ * @property {Array<{category: string, threshold: string}>|Object<string, string>} [safetySettings] - Default safety thresholds by harm category
+ * @property {number} [maxInputTokens] - Default input token budget checked before every request
+ * @property {boolean} [validateModels] - Check model overrides against the models API before sending (default: true)
+ * @property {Array<string>} [fallbackModels] - Models to try, in order, when a model keeps returning 429 or 503
+ * @property {number} [fallbackAfter] - Failed attempts on one model before moving to the next fallback (default: 2)
+ * @property {VertexOptions} [vertex] - Use Vertex AI with an OAuth token instead of an API key
+ * @property {Transport} [transport] - Send every HTTP request through this instead of UrlFetchApp
+ * @property {boolean|ResponseCacheOptions} [cache] - Cache responses to identical requests in CacheService (true for defaults)
+ * 
+ * @typedef {Object} ResponseCacheOptions
+ * @property {number} [ttl=3600] - Seconds to keep responses (max 21600, the CacheService limit)
+ * @property {string} [mode='use'] - 'use' (read, then store misses), 'only' (never call the API), 'refresh' (call and overwrite) or 'bypass'
+ * @property {GoogleAppsScript.Cache.Cache} [store] - Cache to use (default: CacheService.getScriptCache())
+ * @property {string} [prefix='geminiapp:'] - Cache key prefix
+ * 
+ * @typedef {Object} ResponseCacheInfo
+ * Only set on returnFullResponse results (result.cache); plain text and JSON results carry no cache info.
+ * @property {string} status - 'hit', 'miss', 'refresh' or 'bypass'
+ * @property {string|null} key - Cache key of the request
+ * @property {string|null} cachedAt - When the response was stored (ISO date)
+ * @property {boolean} stored - Whether the response is in the cache (false for error answers and failed writes)
+ * 
+ * @typedef {Object} Transport
+ * @property {function(string, Object): (GoogleAppsScript.URL_Fetch.HTTPResponse|TransportResponse)} fetch - Called with (url, params) using UrlFetchApp's params
+ * @property {function(number): void} [sleep] - Replaces Utilities.sleep between retries
+ * 
+ * @typedef {Object} RecorderOptions
+ * @property {string} mode - 'record' (call the API and keep every exchange) or 'replay' (serve recorded responses offline)
+ * @property {string} [fileId] - Drive file with the fixture (replay), or to overwrite on save() (record)
+ * @property {GoogleAppsScript.Drive.Folder|string} [folder] - Folder (or ID) for a new fixture file on save() (default: My Drive)
+ * @property {string} [name='geminiapp-fixture.json'] - File name for a new fixture file
+ * @property {string} [path] - Local fixture file path (Node.js only)
+ * @property {Object} [fixture] - Fixture object to replay from memory
+ * @property {Transport} [transport] - Transport used while recording (default: UrlFetchApp)
+ * 
+ * @typedef {Object} TransportResponse
+ * @property {number} [status=200] - HTTP status code
+ * @property {string|Object|Array<number>} [body] - Response body (objects are sent as JSON)
+ * @property {Object<string, string>} [headers] - Response headers
+ * 
+ * @typedef {Object} VertexOptions
+ * @property {string} project - Google Cloud project ID
+ * @property {string} [location='us-central1'] - Region, or 'global'
+ * @property {string|function(): string} [accessToken] - OAuth token, or a function returning one (default: ScriptApp.getOAuthToken())
+ * @property {string} [apiVersion='v1'] - Vertex AI API version
+ * 
+ * @typedef {GenerationOptions} PromptOptions
  * @property {Object} [schema] - JSON schema for structured output
  * @property {string|Array<string>} [mimeType] - MIME type(s) for file/image URLs (single or array)
- * @property {number} [temperature] - Controls randomness (0-1)
- * @property {number} [maxOutputTokens] - Maximum response tokens
- * @property {number} [topP] - Nucleus sampling parameter
- * @property {number} [topK] - Top-k sampling parameter
+ * @property {string} [model] - Override default model
+ * @property {Array<{category: string, threshold: string}>|Object<string, string>} [safetySettings] - Safety thresholds by harm category (merged over instance and chat settings)
+ * @property {number} [maxInputTokens] - Throw a validation error before sending if the request has more input tokens
+ * @property {Array<string>} [fallbackModels] - Override the instance fallback chain for this call
+ * @property {number} [fallbackAfter] - Failed attempts on one model before falling back (default: 2)
+ * @property {string|Object} [cachedContent] - Cached content name (or cache object) from the cache manager
+ * @property {string|{type: string, dynamicThreshold: number}} [grounding] - Ground answers with Google Search: 'googleSearch' (Gemini 2.0+) or 'googleSearchRetrieval' (1.5); function declarations are left out
+ * @property {boolean} [codeExecution] - Let the model write and run Python code to answer
+ * @property {Array<string>} [urls] - Web pages for the model to read with the urlContext tool (max 20)
+ * @property {boolean} [urlContext] - Enable the urlContext tool for URLs already in the prompt text
+ * @property {boolean} [autoContinue] - Complete answers cut off at maxOutputTokens (text is continued; JSON is re-requested in parts)
+ * @property {number} [maxContinuations] - Maximum continuation requests or parts with autoContinue (default: 10)
+ * @property {number} [schemaRetries] - Repair retries when a structured response fails schema validation (default: 1); with onChunk the rejected answer is streamed too
+ * @property {boolean} [validateSchema] - Check structured responses against the schema (default: true)
+ * @property {Array<string>} [responseModalities] - Output types, e.g. ['TEXT', 'IMAGE'] for image models
+ * @property {string} [aspectRatio] - Generated image aspect ratio, e.g. '1:1', '16:9'
+ * @property {Array<ToolDefinition>} [tools] - Extra tools (functions) the model may call for this request
+ * @property {boolean} [autoExecuteTools=true] - Run tool handlers automatically; false returns pending function calls
+ * @property {number} [maxToolIterations=10] - Maximum model turns in the function calling loop (schema repairs not counted)
+ * @property {string} [toolMode] - Function calling mode: 'AUTO', 'ANY' or 'NONE'
+ * @property {function(string, Object): void} [onChunk] - Stream the response; called with (textDelta, rawChunk)
+ * @property {boolean} [returnFullResponse=false] - Return a GeminiAppResult with usage, finish reason, safety ratings and citations
+ * @property {boolean|string|ResponseCacheOptions} [cache] - Response cache for this call: a mode ('use', 'only', 'refresh', 'bypass'), false to bypass, or options
+ * 
+ * @typedef {Object} GeminiAppResult
+ * @property {string} text - Response text
+ * @property {Object|null} data - Parsed JSON when a schema was provided
+ * @property {string} thoughts - Thought summaries (with includeThoughts), never mixed into text
+ * @property {string|null} finishReason - Why generation stopped (STOP, MAX_TOKENS, ...)
+ * @property {string|null} finishMessage - Extra detail about the finish reason
+ * @property {boolean} truncated - True when the answer was cut off at maxOutputTokens
+ * @property {{promptTokens: number, outputTokens: number, thoughtsTokens: number, cachedTokens: number, toolUsePromptTokens: number, totalTokens: number}} usage - Token counts
+ * @property {Array<{category: string, probability: string, blocked: boolean}>} safetyRatings - Safety ratings for the answer
+ * @property {Array<{startIndex: number, endIndex: number, uri: string, title: string, license: string, publicationDate: Object}>} citations - Cited sources
+ * @property {Array<{id: string, name: string, args: Object}>} functionCalls - Function calls in the final turn (manual tool mode)
+ * @property {GroundingInfo|null} grounding - Search queries, sources and supported segments (with grounding)
+ * @property {Array<{language: string, code: string, outcome: string|null, output: string}>} codeExecutions - Code the model ran and its results (with codeExecution)
+ * @property {Array<ResponseStep>} steps - Text, code and code results in the order the model produced them
+ * @property {Array<{url: string, status: string}>} urlContext - Retrieval status per URL (SUCCESS, ERROR, PAYWALL, UNSAFE)
+ * @property {Array<GoogleAppsScript.Base.Blob>} images - Generated images (with responseModalities including 'IMAGE')
+ * @property {string} model - Model that answered (differs from the requested model after a fallback)
+ * @property {string|null} modelVersion - Model version that answered
+ * @property {string|null} responseId - Response ID
+ * @property {ResponseCacheInfo|null} cache - Response cache hit/miss (when the response cache is used)
+ * @property {Object} raw - Raw API response
+ * 
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name the model calls
+ * @property {string} description - What the function does
+ * @property {Object} [parameters] - JSON schema for the function arguments
+ * @property {function(Object, Object): *} [handler] - Executes the call; receives (args, functionCall)
+ * 
+ * @typedef {Object} ModelInfo
+ * @property {string} name - Model name, e.g. 'gemini-2.5-flash'
+ * @property {string|null} displayName - Display name
+ * @property {string|null} description - Description
+ * @property {string|null} version - Model version
+ * @property {number|null} inputTokenLimit - Maximum input tokens
+ * @property {number|null} outputTokenLimit - Maximum output tokens
+ * @property {Array<string>} supportedGenerationMethods - e.g. ['generateContent', 'countTokens']
+ * @property {boolean} thinking - True when the model supports thinking
+ * @property {number|null} temperature - Default temperature
+ * @property {number|null} maxTemperature - Maximum temperature
+ * @property {number|null} topP - Default topP
+ * @property {number|null} topK - Default topK
+ * @property {Object} raw - Raw model resource
+ * 
+ * @typedef {Object} ResponseStep
+ * @property {string} type - 'text', 'code' or 'codeResult'
+ * @property {string} [text] - Answer text (type 'text')
+ * @property {string} [language] - Code language, e.g. 'PYTHON' (type 'code')
+ * @property {string} [code] - Generated code (type 'code')
+ * @property {string} [outcome] - OUTCOME_OK, OUTCOME_FAILED or OUTCOME_DEADLINE_EXCEEDED (type 'codeResult')
+ * @property {string} [output] - stdout, or the error when the code failed (type 'codeResult')
+ * 
+ * @typedef {Object} GroundingInfo
+ * @property {Array<string>} queries - Search queries the model ran
+ * @property {Array<{index: number, uri: string, title: string}>} sources - Web sources
+ * @property {Array<{startIndex: number, endIndex: number, text: string, sourceIndices: Array<number>, confidenceScores: Array<number>}>} supports - Answer segments (UTF-8 byte offsets) and the sources supporting them
+ * @property {string|null} searchEntryPoint - Rendered Google Search suggestions HTML
+ * 
+ * @typedef {Object} BatchJob
+ * @property {string} name - Job name (e.g. 'batches/abc123')
+ * @property {string|null} displayName - Display name
+ * @property {string|null} model - Model the job runs on
+ * @property {string} state - PENDING, RUNNING, SUCCEEDED, FAILED, CANCELLED or EXPIRED
+ * @property {boolean} done - True once the job reached a final state
+ * @property {Object|null} stats - Request counts (batchStats)
+ * @property {Object|null} error - Error details for failed jobs
+ * @property {Object} raw - Raw batch operation
+ * 
+ * @typedef {Object} BatchResult
+ * @property {string} key - Request key
+ * @property {string|Object|null} value - Formatted response (text, or parsed JSON with a schema)
+ * @property {string|null} error - Error message if the request failed
+ * @property {Object|null} response - Raw GenerateContentResponse
+ * 
+ * @typedef {Object} FunctionCallResult
+ * @property {string} text - Any text the model returned alongside the calls
+ * @property {Array<{id: string, name: string, args: Object}>} functionCalls - Pending function calls
  */
 
 // ============================================================================
@@ -114,1259 +291,5290 @@ class GeminiAppApiError extends GeminiAppError {
 }
 
 /**
- * Error for invalid input parameters
+ * Error for responses blocked by safety filters
+ * Raised when the prompt is blocked (promptFeedback.blockReason) or when the
+ * candidate stops for a safety-related reason (SAFETY, RECITATION, ...)
  */
-class GeminiAppValidationError extends GeminiAppError {
-  constructor(message) {
-    super(message);
-    this.name = 'GeminiAppValidationError';
+class GeminiAppSafetyError extends GeminiAppApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Block details
+   * @param {string} details.blockedBy - 'prompt' or 'candidate'
+   * @param {string} details.blockReason - Block reason or finish reason
+   * @param {Array<Object>} details.safetyRatings - Per-category safety ratings
+   * @param {Object} response - Raw API response
+   */
+  constructor(message, details, response) {
+    super(message, 400, response);
+    this.name = 'GeminiAppSafetyError';
+    this.blockedBy = details.blockedBy;
+    this.blockReason = details.blockReason;
+    this.safetyRatings = details.safetyRatings || [];
+  }
+
+  /**
+   * Ratings that caused the block (blocked flag set, or HIGH/MEDIUM probability)
+   * @returns {Array<Object>} Safety ratings
+   */
+  getBlockedCategories() {
+    return this.safetyRatings.filter(rating =>
+      rating.blocked || rating.probability === 'HIGH' || rating.probability === 'MEDIUM'
+    );
   }
 }
 
-// ============================================================================
-// FILE MANAGER - Handles uploading files to Gemini Files API
-// ============================================================================
+/**
+ * Error for structured responses that are not valid JSON or do not match the schema
+ * Thrown after any repair retries (options.schemaRetries) have been used up.
+ */
+class GeminiAppSchemaError extends GeminiAppApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<string>} violations - Schema violations, e.g. '$.rating: expected integer, got string'
+   * @param {string} rawText - Response text that failed validation
+   * @param {Object} response - Raw API response
+   */
+  constructor(message, violations, rawText, response) {
+    super(message, 500, response);
+    this.name = 'GeminiAppSchemaError';
+    this.violations = violations;
+    this.rawText = rawText;
+  }
+}
 
 /**
- * Manages file uploads to the Gemini Files API
- * Files uploaded here can be referenced by URI instead of sending inline data
+ * Error for requests that have no recorded response in replay mode
  */
-class _GeminiAppFileManager {
+class GeminiAppReplayError extends GeminiAppError {
   /**
-   * @param {string} apiKey - Google AI API key
+   * @param {string} message - Error message
+   * @param {{method: string, url: string, payload: *}} request - The unmatched request (redacted)
    */
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.uploadBaseUrl = 'https://generativelanguage.googleapis.com/upload/v1beta/files';
-    this.filesBaseUrl = 'https://generativelanguage.googleapis.com/v1beta/files';
+  constructor(message, request) {
+    super(message);
+    this.name = 'GeminiAppReplayError';
+    this.request = request;
   }
+}
 
+/**
+ * Error thrown in response cache mode 'only' when nothing is cached for a request
+ */
+class GeminiAppCacheMissError extends GeminiAppError {
   /**
-   * Upload a file from a URL or Google Workspace file ID to the Gemini Files API
-   * This allows you to reference large files by URI instead of sending inline
-   * 
-   * IMPORTANT: Apps Script has UrlFetchApp limitations (~20 second timeout, 50MB size limit).
-   * For large files (>10MB), use uploadDriveFile() instead which is faster and more reliable.
-   * 
-   * Supports:
-   * - Public URLs (fetched via UrlFetchApp)
-   * - Private Google Drive files (accessed via DriveApp using URL or file ID)
-   * - Private Google Docs/Sheets/Slides (accessed via appropriate Apps Script services, exported as PDF)
-   * 
-   * @param {string} urlOrFileId - URL of the file to upload OR a Google Workspace file ID
-   * @param {string} mimeType - MIME type (e.g., 'audio/mpeg', 'video/mp4', 'application/pdf')
-   * @param {string} [displayName] - Optional display name for the file
-   * @returns {Object} File object with properties: name, uri, mimeType, sizeBytes, createTime, etc.
-   * @throws {GeminiAppApiError} If upload fails
-   * 
-   * @example
-   * // For small files (images, short audio)
-   * const fileManager = new GeminiAppFileManager('YOUR_API_KEY');
-   * const file = fileManager.uploadFromUrl(
-   *   'https://example.com/image.jpg',
-   *   'image/jpeg'
-   * );
-   * 
-   * @example
-   * // For large files, use Drive instead (RECOMMENDED)
-   * const driveFile = DriveApp.getFileById('YOUR_FILE_ID');
-   * const file = fileManager.uploadDriveFile(driveFile);
-   * 
-   * @example
-   * // Private Google Drive file using URL (user must have access)
-   * const file = fileManager.uploadFromUrl(
-   *   'https://drive.google.com/file/d/YOUR_FILE_ID/view',
-   *   'audio/mpeg'
-   * );
-   * 
-   * @example
-   * // Private Google Drive file using file ID directly
-   * const file = fileManager.uploadFromUrl(
-   *   'YOUR_FILE_ID',
-   *   'audio/mpeg'
-   * );
+   * @param {string} message - Error message
+   * @param {string} key - Cache key of the request
    */
-  uploadFromUrl(urlOrFileId, mimeType, displayName) {
-    try {
-      // Check if this is just a file ID (no URL protocol)
-      let fileId = null;
-      let url = urlOrFileId;
+  constructor(message, key) {
+    super(message);
+    this.name = 'GeminiAppCacheMissError';
+    this.key = key;
+  }
+}
 
-      if (!urlOrFileId.includes('://')) {
-        // Looks like a bare file ID, treat as Google Drive file
-        fileId = urlOrFileId;
-      } else {
-        // Try to extract file ID from URL
-        fileId = this._extractGoogleFileId(urlOrFileId);
-      }
+/**
+ * Error for invalid input parameters
+ */
+class GeminiAppValidationError extends GeminiAppError {
+  constructor(message) {
+    super(message);
+    this.name = 'GeminiAppValidationError';
+  }
+}
 
-      if (fileId) {
-        // Handle Google Workspace files (both public and private)
-        return this._uploadGoogleWorkspaceFile(url, fileId, mimeType, displayName);
-      }
+// ============================================================================
+// MODELS
+// ============================================================================
 
-      // For non-Google URLs, fetch directly
-      const response = UrlFetchApp.fetch(urlOrFileId, { muteHttpExceptions: false });
-      const fileData = response.getContent();
+/**
+ * Default model for each kind of request
+ * @private
+ */
+const _GEMINI_APP_DEFAULT_MODELS = {
+  text: 'gemini-2.5-flash',
+  embedding: 'gemini-embedding-001',
+  image: 'gemini-2.5-flash-image',
+  speech: 'gemini-2.5-flash-preview-tts'
+};
 
-      return this._uploadBytesSimple(fileData, mimeType, displayName || this._getFileNameFromUrl(urlOrFileId));
-    } catch (error) {
-      throw new GeminiAppApiError(
-        `Failed to fetch file from URL: ${error.message}`,
-        0,
-        null
+/**
+ * Generation method a model must list in supportedGenerationMethods for each endpoint
+ * @private
+ */
+const _GEMINI_APP_MODEL_METHODS = {
+  generateContent: 'generateContent',
+  streamGenerateContent: 'generateContent',
+  countTokens: 'countTokens',
+  embedContent: 'embedContent',
+  batchEmbedContents: 'embedContent',
+  batchGenerateContent: 'batchGenerateContent'
+};
+
+/**
+ * Levenshtein distance, used to suggest model names for typos
+ * @private
+ */
+function _editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
       );
     }
+    previous = current;
   }
 
-  /**
-   * Handle uploading Google Workspace files (Docs, Sheets, Slides, Drive)
-   * Supports both public and private files
-   * @private
-   */
-  _uploadGoogleWorkspaceFile(url, fileId, mimeType, displayName) {
-    try {
-      let blob;
-      let finalMimeType = mimeType;
-      let finalDisplayName = displayName;
+  return previous[b.length];
+}
 
-      // If url is null/empty, we're working with just a file ID - treat as Drive file
-      if (!url || !url.includes('://')) {
-        const file = DriveApp.getFileById(fileId);
-        blob = file.getBlob();
-        const driveFileMimeType = file.getMimeType();
+// ============================================================================
+// GENERATION CONFIG
+// ============================================================================
 
-        // Check if it's a Google Workspace file type and export as PDF
-        if (driveFileMimeType === 'application/vnd.google-apps.document') {
-          const doc = DocumentApp.openById(fileId);
-          blob = doc.getAs('application/pdf');
-          finalMimeType = 'application/pdf';
-          finalDisplayName = finalDisplayName || doc.getName() + '.pdf';
-        } else if (driveFileMimeType === 'application/vnd.google-apps.spreadsheet') {
-          const spreadsheet = SpreadsheetApp.openById(fileId);
-          blob = DriveApp.getFileById(fileId).getAs('application/pdf');
-          finalMimeType = 'application/pdf';
-          finalDisplayName = finalDisplayName || spreadsheet.getName() + '.pdf';
-        } else if (driveFileMimeType === 'application/vnd.google-apps.presentation') {
-          const presentation = SlidesApp.openById(fileId);
-          blob = DriveApp.getFileById(fileId).getAs('application/pdf');
-          finalMimeType = 'application/pdf';
-          finalDisplayName = finalDisplayName || presentation.getName() + '.pdf';
-        } else {
-          // Regular Drive file
-          finalMimeType = mimeType || driveFileMimeType;
-          finalDisplayName = finalDisplayName || file.getName();
-        }
+/**
+ * Generation parameters accepted as instance, chat and per-call options,
+ * with the ranges documented for the Gemini API
+ * @private
+ */
+const _GEMINI_APP_GENERATION_PARAMS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  topP: { type: 'number', min: 0, max: 1 },
+  topK: { type: 'integer', min: 1 },
+  maxOutputTokens: { type: 'integer', min: 1 },
+  candidateCount: { type: 'integer', min: 1, max: 8 },
+  seed: { type: 'integer' },
+  stopSequences: { type: 'stringArray', maxLength: 5 },
+  // -1 lets the model decide, 0 turns thinking off (where the model allows it)
+  thinkingBudget: { type: 'integer', min: -1, nested: 'thinkingConfig' },
+  includeThoughts: { type: 'boolean', nested: 'thinkingConfig' },
+  responseModalities: { type: 'enumArray', values: ['TEXT', 'IMAGE', 'AUDIO'] },
+  aspectRatio: {
+    type: 'enum',
+    values: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'],
+    nested: 'imageConfig'
+  }
+};
+
+/**
+ * Pick the generation parameters out of an options object and validate them
+ * @private
+ * @param {Object} options - Options that may contain generation parameters
+ * @returns {Object} Validated generation parameters only
+ */
+function _pickGenerationParams(options) {
+  const params = {};
+
+  Object.keys(_GEMINI_APP_GENERATION_PARAMS).forEach(key => {
+    if (!options || options[key] === undefined || options[key] === null) {
+      return;
+    }
+
+    let value = options[key];
+    const rule = _GEMINI_APP_GENERATION_PARAMS[key];
+
+    if (rule.type === 'enum') {
+      if (!rule.values.includes(value)) {
+        throw new GeminiAppValidationError(`${key} must be one of ${rule.values.join(', ')} (got ${JSON.stringify(value)})`);
       }
-      // Google Docs - export as PDF
-      else if (url.includes('docs.google.com/document')) {
-        const doc = DocumentApp.openById(fileId);
-        blob = doc.getAs('application/pdf');
-        finalMimeType = 'application/pdf';
-        finalDisplayName = finalDisplayName || doc.getName() + '.pdf';
+    } else if (rule.type === 'enumArray') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new GeminiAppValidationError(`${key} must be a non-empty array`);
       }
-      // Google Sheets - export as PDF
-      else if (url.includes('docs.google.com/spreadsheets')) {
-        const spreadsheet = SpreadsheetApp.openById(fileId);
-        blob = DriveApp.getFileById(fileId).getAs('application/pdf');
-        finalMimeType = 'application/pdf';
-        finalDisplayName = finalDisplayName || spreadsheet.getName() + '.pdf';
+      value = value.map(item => String(item).toUpperCase());
+      const invalid = value.filter(item => !rule.values.includes(item));
+      if (invalid.length > 0) {
+        throw new GeminiAppValidationError(`${key} accepts ${rule.values.join(', ')} (got ${invalid.join(', ')})`);
       }
-      // Google Slides - export as PDF
-      else if (url.includes('docs.google.com/presentation')) {
-        const presentation = SlidesApp.openById(fileId);
-        blob = DriveApp.getFileById(fileId).getAs('application/pdf');
-        finalMimeType = 'application/pdf';
-        finalDisplayName = finalDisplayName || presentation.getName() + '.pdf';
+    } else if (rule.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new GeminiAppValidationError(`${key} must be true or false (got ${JSON.stringify(value)})`);
       }
-      // Google Drive file
-      else if (url.includes('drive.google.com')) {
-        const file = DriveApp.getFileById(fileId);
-        blob = file.getBlob();
-        finalMimeType = mimeType || file.getMimeType();
-        finalDisplayName = finalDisplayName || file.getName();
+    } else if (rule.type === 'stringArray') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new GeminiAppValidationError(`${key} must be an array of strings`);
       }
-      else {
-        // Not a recognized Google Workspace URL, try fetching directly
-        const response = UrlFetchApp.fetch(url, { muteHttpExceptions: false });
-        blob = response.getBlob();
-        finalDisplayName = finalDisplayName || this._getFileNameFromUrl(url);
+      if (value.length > rule.maxLength) {
+        throw new GeminiAppValidationError(`${key} accepts at most ${rule.maxLength} entries (got ${value.length})`);
       }
-
-      const bytes = blob.getBytes();
-      return this._uploadBytesSimple(bytes, finalMimeType, finalDisplayName);
-
-    } catch (error) {
-      // If we don't have access, throw a helpful error
-      if (error.message && error.message.includes('No item with the given ID')) {
-        throw new GeminiAppApiError(
-          `Cannot access Google Workspace file. Please ensure:\n` +
-          `1. You have permission to access the file\n` +
-          `2. The file ID is correct\n` +
-          `3. The file hasn't been deleted\n` +
-          `Original error: ${error.message}`,
-          403,
-          null
-        );
+    } else {
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw new GeminiAppValidationError(`${key} must be a number (got ${JSON.stringify(value)})`);
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        throw new GeminiAppValidationError(`${key} must be an integer (got ${value})`);
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+        throw new GeminiAppValidationError(`${key} must be ${range} (got ${value})`);
       }
-      throw error;
     }
-  }
 
-  /**
-   * Extract Google file ID from various URL formats
-   * @private
-   */
-  _extractGoogleFileId(url) {
-    // Try different patterns
-    const patterns = [
-      /\/d\/([a-zA-Z0-9_-]+)/,           // /d/FILE_ID
-      /id=([a-zA-Z0-9_-]+)/,             // ?id=FILE_ID
-      /\/file\/d\/([a-zA-Z0-9_-]+)/,     // /file/d/FILE_ID
-      /\/folders\/([a-zA-Z0-9_-]+)/,     // /folders/FOLDER_ID
-    ];
+    params[key] = value;
+  });
 
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
+  return params;
+}
+
+/**
+ * Build a generationConfig object from flat generation parameters
+ * Parameters that belong to a nested config (e.g. thinkingConfig) are moved there.
+ * @private
+ * @param {Object} params - Validated flat parameters from _pickGenerationParams()
+ * @returns {Object} generationConfig for the request body
+ */
+function _toGenerationConfig(params) {
+  const config = {};
+
+  Object.keys(params).forEach(key => {
+    const nested = _GEMINI_APP_GENERATION_PARAMS[key]?.nested;
+    if (nested) {
+      config[nested] = config[nested] || {};
+      config[nested][key] = params[key];
+    } else {
+      config[key] = params[key];
+    }
+  });
+
+  return config;
+}
+
+// ============================================================================
+// SAFETY SETTINGS
+// ============================================================================
+
+/**
+ * Harm categories accepted by the Gemini API
+ * @private
+ */
+const _GEMINI_APP_HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+  'HARM_CATEGORY_CIVIC_INTEGRITY'
+];
+
+/**
+ * Block thresholds accepted by the Gemini API
+ * @private
+ */
+const _GEMINI_APP_BLOCK_THRESHOLDS = [
+  'BLOCK_NONE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_LOW_AND_ABOVE',
+  'HARM_BLOCK_THRESHOLD_UNSPECIFIED',
+  'OFF'
+];
+
+/**
+ * Finish reasons that mean the candidate was stopped by a safety filter
+ * @private
+ */
+const _GEMINI_APP_SAFETY_FINISH_REASONS = [
+  'SAFETY',
+  'RECITATION',
+  'BLOCKLIST',
+  'PROHIBITED_CONTENT',
+  'SPII',
+  'IMAGE_SAFETY'
+];
+
+/**
+ * Normalize and merge safety settings into a map of category -> threshold
+ * Accepts the API array format ([{ category, threshold }]) or a map keyed by
+ * category. Categories may omit the HARM_CATEGORY_ prefix and are case-insensitive.
+ * Later arguments override earlier ones per category.
+ * @private
+ * @param {...(Array<{category: string, threshold: string}>|Object<string, string>)} settingsList - Settings to merge
+ * @returns {Object<string, string>} Map of category -> threshold
+ */
+function _mergeSafetySettings(...settingsList) {
+  const merged = {};
+
+  settingsList.forEach(settings => {
+    if (!settings) {
+      return;
+    }
+
+    const entries = Array.isArray(settings)
+      ? settings.map(setting => [setting.category, setting.threshold])
+      : Object.keys(settings).map(category => [category, settings[category]]);
+
+    entries.forEach(([category, threshold]) => {
+      let normalizedCategory = String(category || '').toUpperCase();
+      if (normalizedCategory.indexOf('HARM_CATEGORY_') !== 0) {
+        normalizedCategory = 'HARM_CATEGORY_' + normalizedCategory;
+      }
+      const normalizedThreshold = String(threshold || '').toUpperCase();
+
+      if (!_GEMINI_APP_HARM_CATEGORIES.includes(normalizedCategory)) {
+        throw new GeminiAppValidationError(
+          `Unknown harm category '${category}'. Valid categories: ${_GEMINI_APP_HARM_CATEGORIES.join(', ')}`
+        );
+      }
+      if (!_GEMINI_APP_BLOCK_THRESHOLDS.includes(normalizedThreshold)) {
+        throw new GeminiAppValidationError(
+          `Unknown block threshold '${threshold}' for ${normalizedCategory}. ` +
+          `Valid thresholds: ${_GEMINI_APP_BLOCK_THRESHOLDS.join(', ')}`
+        );
+      }
+
+      merged[normalizedCategory] = normalizedThreshold;
+    });
+  });
+
+  return merged;
+}
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+/**
+ * Follow-up sent when a text answer was cut off at maxOutputTokens (autoContinue)
+ * @private
+ */
+const _GEMINI_APP_CONTINUE_PROMPT = 'Continue exactly where you stopped. Do not repeat anything you already wrote.';
+
+/**
+ * Items requested per part when a truncated JSON array is re-requested (autoContinue)
+ * @private
+ */
+const _GEMINI_APP_CONTINUE_PAGE_SIZE = 20;
+
+/**
+ * Type names accepted in shorthand schemas
+ * @private
+ */
+const _GEMINI_APP_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+/**
+ * Keywords of a full (OpenAPI-style) schema object
+ * @private
+ */
+const _GEMINI_APP_SCHEMA_KEYWORDS = [
+  'type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required',
+  'propertyOrdering', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'minLength',
+  'maxLength', 'pattern', 'anyOf', 'default', 'example', 'minProperties', 'maxProperties',
+  'additionalProperties'
+];
+
+/**
+ * Check whether an object is already a full schema rather than shorthand
+ * An object with a schema type is a full schema when it also has properties, items
+ * or enum, or when every other key is a schema keyword ($-prefixed keys included).
+ * Otherwise a field called "type" is read as shorthand. Unknown keywords in full
+ * schemas are passed through.
+ * @private
+ */
+function _isFullSchema(value) {
+  if (Array.isArray(value.anyOf)) {
+    return true;
+  }
+  if (typeof value.type !== 'string' || !_GEMINI_APP_SCHEMA_TYPES.includes(value.type.toLowerCase())) {
+    return false;
+  }
+  return ['properties', 'items', 'enum'].some(key => value[key] !== undefined) ||
+    Object.keys(value).every(key => _GEMINI_APP_SCHEMA_KEYWORDS.includes(key) || key.charAt(0) === '$');
+}
+
+/**
+ * Convert a shorthand schema into a Gemini responseSchema
+ * 
+ * Shorthand rules:
+ * - 'string', 'number', 'integer', 'boolean' - primitive types
+ * - 'a|b|c' - string enum
+ * - ['string'] or [{ ... }] - array of the single item type
+ * - ['a', 'b', 'c'] - string enum (two or more literals)
+ * - { name: 'string' } - object; every property is required...
+ * - ...unless the key or the type ends in '?': { 'nickname?': 'string' } or { nickname: 'string?' }
+ * 
+ * Full schemas are kept as they are, with any shorthand inside properties/items expanded.
+ * @private
+ * @param {*} schema - Shorthand or full schema
+ * @param {string} [path='schema'] - Location used in error messages
+ * @returns {Object} responseSchema
+ * @throws {GeminiAppValidationError} If the shorthand cannot be converted
+ */
+function _normalizeSchema(schema, path = 'schema') {
+  return _parseSchemaNode(schema, path).schema;
+}
+
+/**
+ * Convert one shorthand node, reporting whether it was marked optional
+ * @private
+ * @returns {{schema: Object, optional: boolean}}
+ */
+function _parseSchemaNode(node, path) {
+  if (node instanceof _GeminiAppSchemaBuilder) {
+    return { schema: node.build(), optional: node.isOptional };
+  }
+
+  if (typeof node === 'string') {
+    const optional = node.endsWith('?');
+    const value = optional ? node.slice(0, -1).trim() : node.trim();
+
+    const type = value.toLowerCase();
+
+    if (['string', 'number', 'integer', 'boolean'].includes(type)) {
+      return { schema: { type: type }, optional: optional };
+    }
+    if (value.indexOf('|') !== -1) {
+      return { schema: { type: 'string', enum: value.split('|').map(item => item.trim()) }, optional: optional };
+    }
+
+    throw new GeminiAppValidationError(
+      `Unknown type '${node}' at ${path}. Use string, number, integer, boolean, 'a|b|c' for enums, [type] for arrays or { ... } for objects.`
+    );
+  }
+
+  if (Array.isArray(node)) {
+    if (node.length > 1 && node.every(item => typeof item === 'string')) {
+      return { schema: { type: 'string', enum: node.slice() }, optional: false };
+    }
+    if (node.length !== 1) {
+      throw new GeminiAppValidationError(
+        `Array shorthand at ${path} must contain exactly one item type, e.g. ['string'] (or two or more enum literals)`
+      );
+    }
+    return { schema: { type: 'array', items: _normalizeSchema(node[0], `${path}[]`) }, optional: false };
+  }
+
+  if (!node || typeof node !== 'object') {
+    throw new GeminiAppValidationError(`Invalid schema at ${path}: ${JSON.stringify(node)}`);
+  }
+
+  if (_isFullSchema(node)) {
+    const schema = Object.assign({}, node);
+    if (schema.properties) {
+      schema.properties = {};
+      Object.keys(node.properties).forEach(key => {
+        schema.properties[key] = _normalizeSchema(node.properties[key], `${path}.${key}`);
+      });
+    }
+    if (schema.items) {
+      schema.items = _normalizeSchema(node.items, `${path}[]`);
+    }
+    if (schema.anyOf) {
+      schema.anyOf = node.anyOf.map((option, index) => _normalizeSchema(option, `${path}.anyOf[${index}]`));
+    }
+    return { schema: schema, optional: false };
+  }
+
+  // Shorthand object: keys are property names
+  const properties = {};
+  const required = [];
+  const ordering = [];
+
+  Object.keys(node).forEach(rawKey => {
+    const keyOptional = rawKey.endsWith('?');
+    const key = keyOptional ? rawKey.slice(0, -1) : rawKey;
+    const parsed = _parseSchemaNode(node[rawKey], `${path}.${key}`);
+
+    properties[key] = parsed.schema;
+    ordering.push(key);
+    if (!keyOptional && !parsed.optional) {
+      required.push(key);
+    }
+  });
+
+  const schema = { type: 'object', properties: properties, propertyOrdering: ordering };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return { schema: schema, optional: false };
+}
+
+/**
+ * Check a parsed value against a (normalized) schema
+ * Covers types, nullable, enums, required properties, array bounds and number ranges.
+ * @private
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Normalized schema
+ * @param {string} [path='$'] - Location used in violation messages
+ * @returns {Array<string>} Violations (empty when the value matches)
+ */
+function _validateSchema(value, schema, path = '$') {
+  const violations = [];
+
+  if (value === null || value === undefined) {
+    if (!schema.nullable) {
+      violations.push(`${path}: expected ${schema.type || 'a value'}, got null`);
+    }
+    return violations;
+  }
+
+  if (schema.anyOf) {
+    if (schema.anyOf.every(option => _validateSchema(value, option, path).length > 0)) {
+      violations.push(`${path}: does not match any of the allowed schemas`);
+    }
+    return violations;
+  }
+
+  const type = (schema.type || '').toLowerCase();
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  const typeMatches = {
+    string: actual === 'string',
+    number: actual === 'number',
+    integer: Number.isInteger(value),
+    boolean: actual === 'boolean',
+    object: actual === 'object',
+    array: actual === 'array'
+  };
+
+  if (type && typeMatches[type] === false) {
+    violations.push(`${path}: expected ${type}, got ${actual === 'number' && type === 'integer' ? 'a fraction' : actual}`);
+    return violations;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push(`${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (actual === 'array') {
+    const minItems = schema.minItems !== undefined ? Number(schema.minItems) : undefined;
+    const maxItems = schema.maxItems !== undefined ? Number(schema.maxItems) : undefined;
+    if (minItems !== undefined && value.length < minItems) {
+      violations.push(`${path}: expected at least ${minItems} items, got ${value.length}`);
+    }
+    if (maxItems !== undefined && value.length > maxItems) {
+      violations.push(`${path}: expected at most ${maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(..._validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        violations.push(`${path}.${key}: required property is missing`);
+      }
+    });
+    Object.keys(schema.properties || {}).forEach(key => {
+      if (value[key] !== undefined) {
+        violations.push(..._validateSchema(value[key], schema.properties[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Quote a string as a JSDoc string literal (single quotes, escaped)
+ * @private
+ */
+function _jsDocString(value) {
+  return `'${String(value).replace(/[\\']/g, '\\$&')}'`;
+}
+
+/**
+ * Record type key, quoted unless it is a plain identifier
+ * @private
+ */
+function _jsDocKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : _jsDocString(key);
+}
+
+/**
+ * Convert a normalized schema into a JSDoc type expression
+ * @private
+ */
+function _schemaToJsDocType(schema) {
+  let type;
+
+  if (schema.anyOf) {
+    type = schema.anyOf.map(_schemaToJsDocType).join('|');
+  } else {
+    switch ((schema.type || '').toLowerCase()) {
+      case 'string':
+        type = schema.enum ? schema.enum.map(_jsDocString).join('|') : 'string';
+        break;
+      case 'number':
+      case 'integer':
+        type = 'number';
+        break;
+      case 'boolean':
+        type = 'boolean';
+        break;
+      case 'array':
+        type = `Array<${schema.items ? _schemaToJsDocType(schema.items) : '*'}>`;
+        break;
+      case 'object':
+        type = schema.properties
+          ? `{${Object.keys(schema.properties).map(key => `${_jsDocKey(key)}: ${_schemaToJsDocType(schema.properties[key])}`).join(', ')}}`
+          : 'Object';
+        break;
+      default:
+        type = '*';
+    }
+  }
+
+  if (schema.nullable) {
+    type += '|null';
+  }
+  return type.indexOf('|') !== -1 && type.charAt(0) !== '{' ? `(${type})` : type;
+}
+
+/**
+ * Fluent schema builder returned by GeminiApp.Schema factories
+ * Builders can be passed anywhere a schema is accepted, mixed with shorthand.
+ */
+class _GeminiAppSchemaBuilder {
+  /**
+   * @param {Object} schema - Initial schema
+   */
+  constructor(schema) {
+    this.schema = schema;
+    this.isOptional = false;
+  }
+
+  /**
+   * Add a description (helps the model fill the field correctly)
+   * @param {string} description - Field description
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  describe(description) {
+    this.schema.description = description;
+    return this;
+  }
+
+  /**
+   * Allow null values
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  nullable() {
+    this.schema.nullable = true;
+    return this;
+  }
+
+  /**
+   * Mark the property as not required when used inside object()
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  optional() {
+    this.isOptional = true;
+    return this;
+  }
+
+  /**
+   * Restrict a string to a list of values
+   * @param {Array<string>} values - Allowed values
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  enum(values) {
+    this._requireType('enum()', ['string']);
+    if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string')) {
+      throw new GeminiAppValidationError('enum() requires a non-empty array of strings');
+    }
+    this.schema.enum = values.slice();
+    return this;
+  }
+
+  /**
+   * Set a string format, e.g. 'date-time'
+   * @param {string} format - Format name
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  format(format) {
+    this.schema.format = format;
+    return this;
+  }
+
+  /**
+   * Minimum value (numbers) or minimum item count (arrays)
+   * @param {number} value - Lower bound
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  min(value) {
+    this._requireType('min()', ['number', 'integer', 'array']);
+    this.schema[this.schema.type === 'array' ? 'minItems' : 'minimum'] = value;
+    return this;
+  }
+
+  /**
+   * Maximum value (numbers) or maximum item count (arrays)
+   * @param {number} value - Upper bound
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  max(value) {
+    this._requireType('max()', ['number', 'integer', 'array']);
+    this.schema[this.schema.type === 'array' ? 'maxItems' : 'maximum'] = value;
+    return this;
+  }
+
+  /**
+   * Set the order the model should generate object properties in
+   * @param {Array<string>} keys - Property names in order
+   * @returns {_GeminiAppSchemaBuilder} This builder
+   */
+  propertyOrdering(keys) {
+    this._requireType('propertyOrdering()', ['object']);
+    const unknown = keys.filter(key => !this.schema.properties[key]);
+    if (unknown.length > 0) {
+      throw new GeminiAppValidationError(`propertyOrdering() has unknown properties: ${unknown.join(', ')}`);
+    }
+    this.schema.propertyOrdering = keys.slice();
+    return this;
+  }
+
+  /**
+   * Build the responseSchema object
+   * @returns {Object} Schema (a copy - later builder calls do not change it)
+   */
+  build() {
+    return JSON.parse(JSON.stringify(this.schema));
+  }
+
+  /**
+   * Used by JSON.stringify, so builders serialize as their schema
+   * @returns {Object} Schema
+   */
+  toJSON() {
+    return this.build();
+  }
+
+  /**
+   * Check a value against this schema
+   * @param {*} value - Value to check (e.g. a parsed response)
+   * @returns {{valid: boolean, violations: Array<string>}} Result
+   */
+  validate(value) {
+    const violations = _validateSchema(value, this.schema);
+    return { valid: violations.length === 0, violations: violations };
+  }
+
+  /**
+   * Generate a JSDoc typedef for values matching this schema
+   * Paste the output into your project (e.g. next to GeminiApp-autocomplete.js) to get
+   * autocomplete for structured responses.
+   * @param {string} name - Typedef name
+   * @returns {string} JSDoc comment block
+   */
+  toTypedef(name) {
+    const lines = ['/**'];
+
+    if (this.schema.type === 'object' && this.schema.properties) {
+      lines.push(` * @typedef {Object} ${name}`);
+      if (this.schema.description) {
+        lines.push(` * ${this.schema.description}`);
+      }
+      const required = this.schema.required || [];
+      Object.keys(this.schema.properties).forEach(key => {
+        const property = this.schema.properties[key];
+        const label = required.includes(key) ? key : `[${key}]`;
+        const description = property.description ? ` - ${property.description}` : '';
+        lines.push(` * @property {${_schemaToJsDocType(property)}} ${label}${description}`);
+      });
+    } else {
+      lines.push(` * @typedef {${_schemaToJsDocType(this.schema)}} ${name}`);
+    }
+
+    lines.push(' */');
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _requireType(method, types) {
+    if (!types.includes(this.schema.type)) {
+      throw new GeminiAppValidationError(`${method} is not supported on ${this.schema.type} schemas`);
+    }
+  }
+}
+
+/**
+ * Schema builder factories, exported as GeminiApp.Schema
+ * 
+ * @example
+ * const S = GeminiApp.Schema;
+ * const review = S.object({
+ *   title: S.string().describe('Short headline'),
+ *   sentiment: S.string().enum(['positive', 'neutral', 'negative']),
+ *   score: S.number().min(0).max(10).nullable(),
+ *   tags: S.array(S.string(), 1, 5),
+ *   author: S.string().optional()
+ * }).propertyOrdering(['title', 'sentiment', 'score', 'tags', 'author']);
+ * 
+ * const data = ai.prompt('Review this product: ...', { schema: review });
+ * console.log(review.toTypedef('Review'));
+ */
+const GeminiAppSchema = {
+  /**
+   * Object schema - properties may be builders or shorthand; all are required unless optional
+   * @param {Object<string, *>} properties - Property schemas
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  object(properties) {
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      throw new GeminiAppValidationError('Schema.object() requires an object of properties');
+    }
+    const schema = _parseSchemaNode(properties, 'schema').schema;
+    if (schema.type !== 'object') {
+      throw new GeminiAppValidationError('Schema.object() properties look like a full schema; pass the properties only');
+    }
+    return new _GeminiAppSchemaBuilder(schema);
+  },
+
+  /**
+   * String schema
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  string() {
+    return new _GeminiAppSchemaBuilder({ type: 'string' });
+  },
+
+  /**
+   * Number schema
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  number() {
+    return new _GeminiAppSchemaBuilder({ type: 'number' });
+  },
+
+  /**
+   * Integer schema
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  integer() {
+    return new _GeminiAppSchemaBuilder({ type: 'integer' });
+  },
+
+  /**
+   * Boolean schema
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  boolean() {
+    return new _GeminiAppSchemaBuilder({ type: 'boolean' });
+  },
+
+  /**
+   * Array schema
+   * @param {*} items - Item schema (builder or shorthand)
+   * @param {number} [minItems] - Minimum item count
+   * @param {number} [maxItems] - Maximum item count
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  array(items, minItems, maxItems) {
+    const builder = new _GeminiAppSchemaBuilder({ type: 'array', items: _normalizeSchema(items, 'schema[]') });
+    if (minItems !== undefined) {
+      builder.min(minItems);
+    }
+    if (maxItems !== undefined) {
+      builder.max(maxItems);
+    }
+    return builder;
+  },
+
+  /**
+   * Builder from an existing shorthand or full schema
+   * @param {*} schema - Shorthand or full schema
+   * @returns {_GeminiAppSchemaBuilder} Builder
+   */
+  from(schema) {
+    return new _GeminiAppSchemaBuilder(_normalizeSchema(schema));
+  }
+};
+
+// ============================================================================
+// EMBEDDINGS
+// ============================================================================
+
+/**
+ * Task types accepted by the embedding endpoints
+ * @private
+ */
+const _GEMINI_APP_EMBEDDING_TASK_TYPES = [
+  'TASK_TYPE_UNSPECIFIED',
+  'RETRIEVAL_QUERY',
+  'RETRIEVAL_DOCUMENT',
+  'SEMANTIC_SIMILARITY',
+  'CLASSIFICATION',
+  'CLUSTERING',
+  'QUESTION_ANSWERING',
+  'FACT_VERIFICATION',
+  'CODE_RETRIEVAL_QUERY'
+];
+
+/**
+ * Maximum number of requests in one batchEmbedContents call
+ * @private
+ */
+const _GEMINI_APP_EMBEDDING_BATCH_LIMIT = 100;
+
+/**
+ * Cosine similarity between two vectors
+ * 
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1
+ * @throws {GeminiAppValidationError} If the vectors have different lengths
+ * 
+ * @example
+ * const [a, b] = ai.embed(['cat', 'kitten']);
+ * GeminiApp.cosineSimilarity(a, b); // 0.9...
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    throw new GeminiAppValidationError('cosineSimilarity requires two vectors of the same length');
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Find the k vectors most similar to a query vector
+ * 
+ * @param {Array<number>} queryVector - Query embedding
+ * @param {Array<Array<number>>} vectors - Candidate embeddings
+ * @param {number} [k=5] - Number of results
+ * @returns {Array<{index: number, score: number}>} Best matches, highest score first
+ * 
+ * @example
+ * const docs = ['Refund policy', 'Shipping times', 'Store hours'];
+ * const docVectors = ai.embed(docs, { taskType: 'RETRIEVAL_DOCUMENT' });
+ * const query = ai.embed('When will my order arrive?', { taskType: 'RETRIEVAL_QUERY' });
+ * const best = GeminiApp.topKSimilar(query, docVectors, 1);
+ * console.log(docs[best[0].index]); // 'Shipping times'
+ */
+function topKSimilar(queryVector, vectors, k = 5) {
+  return vectors
+    .map((vector, index) => ({ index: index, score: cosineSimilarity(queryVector, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// ============================================================================
+// GROUNDING
+// ============================================================================
+
+/**
+ * Maximum number of URLs the urlContext tool reads per request
+ * @private
+ */
+const _GEMINI_APP_URL_CONTEXT_LIMIT = 20;
+
+/**
+ * Convert a UTF-8 byte offset into a string index
+ * Grounding segment offsets are byte offsets into the UTF-8 encoded answer.
+ * @private
+ */
+function _byteOffsetToIndex(text, byteOffset) {
+  let bytes = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (bytes >= byteOffset) {
+      return i;
+    }
+    const code = text.codePointAt(i);
+    bytes += code <= 0x7f ? 1 : code <= 0x7ff ? 2 : code <= 0xffff ? 3 : 4;
+    if (code > 0xffff) {
+      i++; // Surrogate pair
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Render citation markers for a grounded answer
+ * 
+ * @param {GeminiAppResult} result - Full response from a prompt with { grounding, returnFullResponse: true }
+ * @param {Object} [options] - Options
+ * @param {string} [options.style='footnotes'] - 'inline' (markers only) or 'footnotes' (markers plus a numbered source list)
+ * @param {function(number): string} [options.marker] - Builds a marker from a 1-based source number (default: n => `[n]`)
+ * @returns {string} Answer text with citation markers
+ * 
+ * @example
+ * const result = ai.prompt('Who won Euro 2024?', { grounding: 'googleSearch', returnFullResponse: true });
+ * console.log(GeminiApp.addCitations(result));
+ * // Spain won Euro 2024.[1]
+ * //
+ * // Sources:
+ * // [1] uefa.com - https://...
+ */
+function addCitations(result, options = {}) {
+  const style = options.style || 'footnotes';
+  const marker = options.marker || (n => `[${n}]`);
+  const grounding = result && result.grounding;
+  let text = (result && result.text) || '';
+
+  if (!grounding || grounding.supports.length === 0) {
+    return text;
+  }
+
+  // Insert from the end so earlier offsets stay valid
+  const supports = grounding.supports
+    .slice()
+    .sort((a, b) => b.endIndex - a.endIndex);
+
+  supports.forEach(support => {
+    const markers = support.sourceIndices.map(index => marker(index + 1)).join('');
+    const position = _byteOffsetToIndex(text, support.endIndex);
+    text = text.substring(0, position) + markers + text.substring(position);
+  });
+
+  if (style === 'footnotes') {
+    const citedIndices = {};
+    grounding.supports.forEach(support => support.sourceIndices.forEach(index => {
+      citedIndices[index] = true;
+    }));
+
+    const footnotes = grounding.sources
+      .filter(source => citedIndices[source.index])
+      .map(source => `${marker(source.index + 1)} ${source.title || 'Source'} - ${source.uri}`);
+
+    if (footnotes.length > 0) {
+      text += '\n\nSources:\n' + footnotes.join('\n');
+    }
+  }
+
+  return text;
+}
+
+// ============================================================================
+// MEDIA OUTPUT
+// ============================================================================
+
+/**
+ * File extensions for generated media MIME types
+ * @private
+ */
+const _GEMINI_APP_FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'audio/wav': 'wav'
+};
+
+/**
+ * Prebuilt voices for the text-to-speech models
+ * @private
+ */
+const _GEMINI_APP_TTS_VOICES = [
+  'Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Leda', 'Orus', 'Aoede', 'Callirrhoe', 'Autonoe',
+  'Enceladus', 'Iapetus', 'Umbriel', 'Algieba', 'Despina', 'Erinome', 'Algenib', 'Rasalgethi',
+  'Laomedeia', 'Achernar', 'Alnilam', 'Schedar', 'Gacrux', 'Pulcherrima', 'Achird',
+  'Zubenelgenubi', 'Vindemiatrix', 'Sadachbia', 'Sadaltager', 'Sulafat'
+];
+
+/**
+ * Wrap raw little-endian PCM samples in a WAV (RIFF) header
+ * @private
+ * @param {Array<number>} pcm - PCM bytes (Apps Script signed byte array)
+ * @param {number} sampleRate - Samples per second
+ * @param {number} [channels=1] - Channel count
+ * @param {number} [bitsPerSample=16] - Bits per sample
+ * @returns {Array<number>} WAV file bytes (signed, for Utilities.newBlob)
+ */
+function _pcmToWav(pcm, sampleRate, channels = 1, bitsPerSample = 16) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = [];
+  const writeString = (value) => {
+    for (let i = 0; i < value.length; i++) {
+      header.push(value.charCodeAt(i));
+    }
+  };
+  const writeInt = (value, size) => {
+    for (let i = 0; i < size; i++) {
+      const byte = (value >> (8 * i)) & 0xff;
+      header.push(byte > 127 ? byte - 256 : byte);
+    }
+  };
+
+  writeString('RIFF');
+  writeInt(36 + pcm.length, 4);
+  writeString('WAVE');
+  writeString('fmt ');
+  writeInt(16, 4);                          // fmt chunk size
+  writeInt(1, 2);                           // PCM format
+  writeInt(channels, 2);
+  writeInt(sampleRate, 4);
+  writeInt(sampleRate * blockAlign, 4);     // Byte rate
+  writeInt(blockAlign, 2);
+  writeInt(bitsPerSample, 2);
+  writeString('data');
+  writeInt(pcm.length, 4);
+
+  return header.concat(pcm);
+}
+
+/**
+ * Save generated Blobs (images, audio) to Google Drive
+ * 
+ * @param {GoogleAppsScript.Base.Blob|Array<GoogleAppsScript.Base.Blob>} blobs - Blob(s) from generateImage() or similar
+ * @param {GoogleAppsScript.Drive.Folder|string} [folder] - Drive folder or folder ID (default: My Drive root)
+ * @param {Object} [options] - Options
+ * @param {string} [options.prefix] - File name prefix; files are named `${prefix}-1.png`, `${prefix}-2.png`, ...
+ * @returns {Array<GoogleAppsScript.Drive.File>} Created Drive files
+ * 
+ * @example
+ * const result = ai.generateImage('A lighthouse at dawn', { count: 2 });
+ * const files = GeminiApp.saveToDrive(result.images, 'FOLDER_ID', { prefix: 'lighthouse' });
+ * console.log(files.map(file => file.getUrl()));
+ */
+function saveToDrive(blobs, folder, options = {}) {
+  const list = Array.isArray(blobs) ? blobs : [blobs];
+  const target = !folder
+    ? DriveApp.getRootFolder()
+    : typeof folder === 'string' ? DriveApp.getFolderById(folder) : folder;
+
+  return list.map((blob, index) => {
+    if (options.prefix) {
+      const extension = _GEMINI_APP_FILE_EXTENSIONS[blob.getContentType()] || blob.getContentType().split('/')[1];
+      blob.setName(`${options.prefix}-${index + 1}.${extension}`);
+    }
+    return target.createFile(blob);
+  });
+}
+
+// ============================================================================
+// TRANSPORT - All network access goes through here
+// ============================================================================
+
+/**
+ * HTTP transport used for every request the library makes
+ * Uses UrlFetchApp unless a custom transport is given. A custom transport only
+ * needs fetch(url, params) taking UrlFetchApp's params; it may return an
+ * HTTPResponse or a plain { status, body, headers } object, so a fake can be a
+ * few lines of code. An optional sleep(ms) replaces Utilities.sleep between retries.
+ * @private
+ */
+class _GeminiAppTransport {
+  /**
+   * @param {Transport} [transport] - Custom transport (default: UrlFetchApp)
+   */
+  constructor(transport) {
+    if (transport && typeof transport.fetch !== 'function') {
+      throw new GeminiAppValidationError('transport must have a fetch(url, params) method');
+    }
+    this.transport = transport || null;
+  }
+
+  /**
+   * Send a request
+   * @param {string} url - Request URL
+   * @param {Object} [params] - UrlFetchApp params (method, headers, payload, muteHttpExceptions, ...)
+   * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse} Response
+   */
+  fetch(url, params = {}) {
+    const response = (this.transport || UrlFetchApp).fetch(url, params);
+    if (response && typeof response.getResponseCode === 'function') {
+      return response;
+    }
+
+    const httpResponse = this._toHttpResponse(response || {});
+    // Match UrlFetchApp, which throws on error codes unless muteHttpExceptions is set
+    if (!params.muteHttpExceptions && httpResponse.getResponseCode() >= 400) {
+      throw new Error(`Request failed for ${url} returned code ${httpResponse.getResponseCode()}`);
+    }
+    return httpResponse;
+  }
+
+  /**
+   * Wait before a retry
+   * @param {number} milliseconds - Delay
+   */
+  sleep(milliseconds) {
+    if (this.transport && typeof this.transport.sleep === 'function') {
+      this.transport.sleep(milliseconds);
+      return;
+    }
+    Utilities.sleep(milliseconds);
+  }
+
+  /**
+   * Wrap a plain { status, body, headers } object in the HTTPResponse methods the library uses
+   * @private
+   */
+  _toHttpResponse(response) {
+    const status = response.status || response.statusCode || 200;
+    const headers = response.headers || {};
+    const body = response.body === undefined || response.body === null ? '' : response.body;
+    const isBytes = Array.isArray(body);
+    const text = isBytes ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const contentType = headers['Content-Type'] || headers['content-type'] || (isBytes ? 'application/octet-stream' : 'application/json');
+    const getContent = () => isBytes ? body : Utilities.newBlob(text).getBytes();
+
+    return {
+      getResponseCode: () => status,
+      getContentText: () => isBytes ? Utilities.newBlob(body).getDataAsString() : text,
+      getContent: getContent,
+      getBlob: () => Utilities.newBlob(getContent(), contentType),
+      getHeaders: () => headers,
+      getAllHeaders: () => headers
+    };
+  }
+}
+
+// ============================================================================
+// RECORD AND REPLAY
+// ============================================================================
+
+/**
+ * Strings of 200 or more base64 characters are treated as payloads and redacted
+ * @private
+ */
+const _GEMINI_APP_BASE64_PATTERN = /^[A-Za-z0-9+/_-]{200,}={0,2}$/;
+
+/**
+ * Short non-cryptographic hash (32-bit FNV-1a) of a string or byte array, as hex
+ * @private
+ */
+function _fnvHash(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= typeof value === 'string' ? value.charCodeAt(i) : value[i] & 0xff;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+/**
+ * Transport that records API traffic to a JSON fixture, or replays it offline
+ * In record mode requests go to the real transport and each request/response pair
+ * is kept with API keys and request base64 payloads redacted (OAuth headers are
+ * never stored). Responses are kept whole, so replayed images and audio are the
+ * recorded ones. In replay mode responses are served from the fixture, in recorded order,
+ * without touching the network; a request with no recorded match throws
+ * GeminiAppReplayError. Requests match on method, URL and body.
+ */
+class _GeminiAppRecorder {
+  /**
+   * @param {RecorderOptions} options - Mode and fixture location
+   */
+  constructor(options = {}) {
+    if (options.mode !== 'record' && options.mode !== 'replay') {
+      throw new GeminiAppValidationError(`Recorder mode must be 'record' or 'replay', got '${options.mode}'`);
+    }
+
+    this.mode = options.mode;
+    this.fileId = options.fileId || null;
+    this.folder = options.folder || null;
+    this.name = options.name || 'geminiapp-fixture.json';
+    this.path = options.path || null;
+    this.transport = new _GeminiAppTransport(options.transport);
+    this.interactions = [];
+    this.used = [];
+
+    if (this.mode === 'replay') {
+      const fixture = options.fixture || this._load();
+      this.interactions = fixture.interactions || [];
+    }
+  }
+
+  /**
+   * Send a request (record) or serve the recorded response (replay)
+   * @param {string} url - Request URL
+   * @param {Object} [params] - UrlFetchApp params
+   * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse|TransportResponse} Response
+   * @throws {GeminiAppReplayError} In replay mode, if no recorded request matches
+   */
+  fetch(url, params = {}) {
+    const request = {
+      method: (params.method || 'get').toLowerCase(),
+      url: this._redactUrl(url),
+      payload: params.payload === undefined ? null : this._redactPayload(params.payload)
+    };
+
+    if (this.mode === 'replay') {
+      return this._replay(request);
+    }
+
+    // Record error responses too, then throw like UrlFetchApp would
+    const response = this.transport.fetch(url, Object.assign({}, params, { muteHttpExceptions: true }));
+    const status = response.getResponseCode();
+    const headers = response.getHeaders();
+
+    this.interactions.push({
+      request: request,
+      response: {
+        status: status,
+        headers: Object.keys(headers).reduce((result, name) => {
+          result[name] = typeof headers[name] === 'string' ? this._redactUrl(headers[name]) : headers[name];
+          return result;
+        }, {}),
+        body: response.getContentText()
+      }
+    });
+
+    if (!params.muteHttpExceptions && status >= 400) {
+      throw new Error(`Request failed for ${request.url} returned code ${status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Retry delays are skipped in replay mode
+   * @param {number} milliseconds - Delay
+   */
+  sleep(milliseconds) {
+    if (this.mode === 'record') {
+      this.transport.sleep(milliseconds);
+    }
+  }
+
+  /**
+   * The recorded (or loaded) fixture
+   * @returns {{version: number, recordedAt: string, interactions: Array<Object>}} Fixture
+   */
+  getFixture() {
+    return {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+  }
+
+  /**
+   * Save the fixture to a local file (options.path), an existing Drive file
+   * (options.fileId), or a new Drive file in options.folder (default: My Drive)
+   * @returns {string} Local path or Drive file ID
+   */
+  save() {
+    if (this.mode !== 'record') {
+      throw new GeminiAppValidationError('save() is only available in record mode');
+    }
+
+    const json = JSON.stringify(this.getFixture(), null, 2);
+
+    if (this.path) {
+      this._localFiles().writeFileSync(this.path, json);
+      return this.path;
+    }
+
+    if (this.fileId) {
+      DriveApp.getFileById(this.fileId).setContent(json);
+      return this.fileId;
+    }
+
+    const folder = !this.folder
+      ? DriveApp.getRootFolder()
+      : typeof this.folder === 'string' ? DriveApp.getFolderById(this.folder) : this.folder;
+    this.fileId = folder.createFile(this.name, json, 'application/json').getId();
+    return this.fileId;
+  }
+
+  /**
+   * Serve the first unused recorded response for a request
+   * @private
+   */
+  _replay(request) {
+    const key = JSON.stringify(request);
+    const index = this.interactions.findIndex((interaction, i) =>
+      !this.used[i] && JSON.stringify(interaction.request) === key
+    );
+
+    if (index === -1) {
+      throw new GeminiAppReplayError(
+        `No recorded response for ${request.method.toUpperCase()} ${request.url}. ` +
+        `The request differs from the fixture (or was sent more often) - record the fixture again.`,
+        request
+      );
+    }
+
+    this.used[index] = true;
+    return Object.assign({}, this.interactions[index].response);
+  }
+
+  /**
+   * Load a fixture from a local file or Drive
+   * @private
+   */
+  _load() {
+    let json;
+    if (this.path) {
+      json = this._localFiles().readFileSync(this.path, 'utf8');
+    } else if (this.fileId) {
+      json = DriveApp.getFileById(this.fileId).getBlob().getDataAsString();
+    } else {
+      throw new GeminiAppValidationError('Replay mode needs a fixture: pass fixture, fileId or path');
+    }
+    return JSON.parse(json);
+  }
+
+  /**
+   * Node's fs module, for fixtures stored as local files
+   * @private
+   */
+  _localFiles() {
+    if (typeof require !== 'function') {
+      throw new GeminiAppValidationError('Local fixture files (options.path) need Node.js - use fileId or folder in Apps Script');
+    }
+    return require('fs');
+  }
+
+  /**
+   * Replace the API key in a URL
+   * @private
+   */
+  _redactUrl(url) {
+    return url.replace(/([?&]key=)[^&]*/, '$1REDACTED');
+  }
+
+  /**
+   * Redact a request payload - base64 strings and bytes keep a hash so requests still match
+   * @private
+   */
+  _redactPayload(payload) {
+    if (typeof payload !== 'string') {
+      const bytes = payload.getBytes ? payload.getBytes() : payload;
+      return `[${bytes.length} bytes redacted, ${_fnvHash(bytes)}]`;
+    }
+
+    try {
+      return this._redactValue(JSON.parse(payload), value => `[base64 redacted: ${value.length} chars, ${_fnvHash(value)}]`);
+    } catch (e) {
+      return payload;
+    }
+  }
+
+  /**
+   * Replace base64 strings anywhere in a JSON value
+   * @private
+   */
+  _redactValue(value, replace) {
+    if (typeof value === 'string') {
+      return _GEMINI_APP_BASE64_PATTERN.test(value) ? replace(value) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._redactValue(item, replace));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).reduce((result, key) => {
+        result[key] = this._redactValue(value[key], replace);
+        return result;
+      }, {});
+    }
+    return value;
+  }
+}
+
+// ============================================================================
+// RESPONSE CACHE - Reuses responses to identical requests (CacheService)
+// ============================================================================
+
+/**
+ * Response cache modes
+ * @private
+ */
+const _GEMINI_APP_CACHE_MODES = ['use', 'only', 'refresh', 'bypass'];
+
+/**
+ * Longest CacheService expiration, in seconds
+ * @private
+ */
+const _GEMINI_APP_CACHE_MAX_TTL = 21600;
+
+/**
+ * Characters per cache value - entries are stored as ASCII, so this stays under
+ * CacheService's 100KB value limit
+ * @private
+ */
+const _GEMINI_APP_CACHE_CHUNK_SIZE = 90000;
+
+/**
+ * Caches API responses in CacheService, keyed on a hash of the request
+ * The key covers the endpoint, model and full request body (contents with file
+ * URIs and inline data, generation config, tools, system instruction), so any
+ * change to the request is a miss. Large responses are split across several keys.
+ * 
+ * The API response is stored rather than the formatted result: it is formatted on
+ * every read, so one entry serves text, schema and returnFullResponse calls, and
+ * formatting checks (safety blocks, schema validation) run on cached answers too.
+ * Only answers that pass those checks are stored, so blocked, truncated or
+ * schema-invalid responses are asked for again on the next call.
+ * @private
+ */
+class _GeminiAppResponseCache {
+  /**
+   * @param {boolean|ResponseCacheOptions} [options] - Cache options (true for defaults)
+   */
+  constructor(options) {
+    const settings = options && typeof options === 'object' ? options : {};
+    this.store = settings.store || null;
+    this.prefix = settings.prefix || 'geminiapp:';
+    this.mode = 'use';
+    this.ttl = 3600;
+
+    const defaults = this.settingsFor(settings);
+    this.mode = defaults.mode;
+    this.ttl = defaults.ttl;
+  }
+
+  /**
+   * Mode and TTL for a call, applying a per-call override over the defaults
+   * @param {boolean|string|ResponseCacheOptions} [override] - Mode, false (bypass), or options
+   * @returns {{mode: string, ttl: number}} Settings
+   */
+  settingsFor(override) {
+    const settings = typeof override === 'string'
+      ? { mode: override }
+      : override === false ? { mode: 'bypass' } : (override && typeof override === 'object' ? override : {});
+    const mode = settings.mode || this.mode;
+    const ttl = settings.ttl === undefined ? this.ttl : settings.ttl;
+
+    if (_GEMINI_APP_CACHE_MODES.indexOf(mode) === -1) {
+      throw new GeminiAppValidationError(`Invalid cache mode '${mode}'. Use one of: ${_GEMINI_APP_CACHE_MODES.join(', ')}`);
+    }
+    if (typeof ttl !== 'number' || !(ttl >= 1 && ttl <= _GEMINI_APP_CACHE_MAX_TTL)) {
+      throw new GeminiAppValidationError(`Invalid cache ttl '${ttl}'. Use 1 to ${_GEMINI_APP_CACHE_MAX_TTL} seconds`);
+    }
+
+    return { mode: mode, ttl: Math.round(ttl) };
+  }
+
+  /**
+   * Serve a request from the cache, or load and store it
+   * @param {Object} request - Everything that identifies the request (hashed into the key)
+   * @param {{mode: string, ttl: number, accept: function(Object): boolean}} settings - From settingsFor(),
+   *   with accept deciding whether a loaded response may be stored
+   * @param {function(): Object} load - Sends the request
+   * @returns {Object} Response, with the hit/miss info on a non-enumerable _cache property
+   * @throws {GeminiAppCacheMissError} When mode is 'only' and nothing is cached
+   */
+  fetch(request, settings, load) {
+    if (settings.mode === 'bypass') {
+      return this._annotate(load(), { status: 'bypass', key: null, cachedAt: null, stored: false });
+    }
+
+    const key = this.key(request);
+
+    if (settings.mode !== 'refresh') {
+      const entry = this.get(key);
+      if (entry) {
+        return this._annotate(entry.value, { status: 'hit', key: key, cachedAt: entry.cachedAt, stored: true });
+      }
+      if (settings.mode === 'only') {
+        throw new GeminiAppCacheMissError(`No cached response for this request (cache mode 'only', key ${key})`, key);
+      }
+    }
+
+    const value = load();
+    let cachedAt = null;
+    if (!settings.accept || settings.accept(value)) {
+      const now = new Date().toISOString();
+      try {
+        this.put(key, value, settings.ttl, now);
+        cachedAt = now;
+      } catch (error) {
+        // A full or unavailable cache should not fail the request - reported as stored: false
+      }
+    }
+
+    return this._annotate(value, {
+      status: settings.mode === 'refresh' ? 'refresh' : 'miss',
+      key: key,
+      cachedAt: cachedAt,
+      stored: cachedAt !== null
+    });
+  }
+
+  /**
+   * Cache key for a request (SHA-256 of its JSON)
+   * @param {Object} request - Request description
+   * @returns {string} Key
+   */
+  key(request) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      JSON.stringify(request),
+      Utilities.Charset.UTF_8
+    );
+    return this.prefix + Utilities.base64EncodeWebSafe(digest).replace(/=+$/, '');
+  }
+
+  /**
+   * Read a cached entry (null if missing or partly evicted)
+   * @param {string} key - Cache key
+   * @returns {{value: Object, cachedAt: string}|null} Entry
+   */
+  get(key) {
+    const store = this._getStore();
+    const count = parseInt(store.get(key), 10);
+    if (!count) {
+      return null;
+    }
+
+    const chunkKeys = [];
+    for (let i = 0; i < count; i++) {
+      chunkKeys.push(`${key}:${i}`);
+    }
+
+    const chunks = store.getAll(chunkKeys);
+    if (chunkKeys.some(chunkKey => typeof chunks[chunkKey] !== 'string')) {
+      return null;
+    }
+    return JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey]).join(''));
+  }
+
+  /**
+   * Store an entry, split into chunks under the value size limit
+   * @param {string} key - Cache key
+   * @param {Object} value - Response
+   * @param {number} ttl - Seconds to keep it
+   * @param {string} [cachedAt] - Timestamp to record
+   */
+  put(key, value, ttl, cachedAt) {
+    // Escape non-ASCII so every character is one byte and chunks can split anywhere
+    const text = JSON.stringify({ cachedAt: cachedAt || new Date().toISOString(), value: value })
+      .replace(/[\u007f-\uffff]/g, char => '\\u' + ('000' + char.charCodeAt(0).toString(16)).slice(-4));
+
+    const entries = {};
+    let count = 0;
+    for (let start = 0; start < text.length; start += _GEMINI_APP_CACHE_CHUNK_SIZE) {
+      entries[`${key}:${count++}`] = text.substring(start, start + _GEMINI_APP_CACHE_CHUNK_SIZE);
+    }
+    entries[key] = String(count);
+
+    this._getStore().putAll(entries, ttl);
+  }
+
+  /**
+   * Attach cache info without changing the response's JSON
+   * @private
+   */
+  _annotate(response, info) {
+    Object.defineProperty(response, '_cache', { value: info, enumerable: false, configurable: true });
+    return response;
+  }
+
+  /**
+   * Cache used for storage (script cache by default)
+   * @private
+   */
+  _getStore() {
+    if (!this.store) {
+      this.store = CacheService.getScriptCache();
+    }
+    return this.store;
+  }
+}
+
+// ============================================================================
+// FILE MANAGER - Handles uploading files to Gemini Files API
+// ============================================================================
+
+/**
+ * Manages file uploads to the Gemini Files API
+ * Files uploaded here can be referenced by URI instead of sending inline data
+ */
+class _GeminiAppFileManager {
+  /**
+   * @param {string} apiKey - Google AI API key
+   * @param {_GeminiAppTransport} [transport] - HTTP transport (default: UrlFetchApp)
+   */
+  constructor(apiKey, transport) {
+    this.apiKey = apiKey;
+    this.transport = transport || new _GeminiAppTransport();
+    this.uploadBaseUrl = 'https://generativelanguage.googleapis.com/upload/v1beta/files';
+    this.filesBaseUrl = 'https://generativelanguage.googleapis.com/v1beta/files';
+    this.downloadBaseUrl = 'https://generativelanguage.googleapis.com/download/v1beta/files';
+  }
+
+  /**
+   * Upload a file from a URL or Google Workspace file ID to the Gemini Files API
+   * This allows you to reference large files by URI instead of sending inline
+   * 
+   * IMPORTANT: Apps Script has UrlFetchApp limitations (~20 second timeout, 50MB size limit).
+   * For large files (>10MB), use uploadDriveFile() instead which is faster and more reliable.
+   * 
+   * Supports:
+   * - Public URLs (fetched via UrlFetchApp)
+   * - Private Google Drive files (accessed via DriveApp using URL or file ID)
+   * - Private Google Docs/Sheets/Slides (accessed via appropriate Apps Script services, exported as PDF)
+   * 
+   * @param {string} urlOrFileId - URL of the file to upload OR a Google Workspace file ID
+   * @param {string} mimeType - MIME type (e.g., 'audio/mpeg', 'video/mp4', 'application/pdf')
+   * @param {string} [displayName] - Optional display name for the file
+   * @returns {Object} File object with properties: name, uri, mimeType, sizeBytes, createTime, etc.
+   * @throws {GeminiAppApiError} If upload fails
+   * 
+   * @example
+   * // For small files (images, short audio)
+   * const fileManager = new GeminiAppFileManager('YOUR_API_KEY');
+   * const file = fileManager.uploadFromUrl(
+   *   'https://example.com/image.jpg',
+   *   'image/jpeg'
+   * );
+   * 
+   * @example
+   * // For large files, use Drive instead (RECOMMENDED)
+   * const driveFile = DriveApp.getFileById('YOUR_FILE_ID');
+   * const file = fileManager.uploadDriveFile(driveFile);
+   * 
+   * @example
+   * // Private Google Drive file using URL (user must have access)
+   * const file = fileManager.uploadFromUrl(
+   *   'https://drive.google.com/file/d/YOUR_FILE_ID/view',
+   *   'audio/mpeg'
+   * );
+   * 
+   * @example
+   * // Private Google Drive file using file ID directly
+   * const file = fileManager.uploadFromUrl(
+   *   'YOUR_FILE_ID',
+   *   'audio/mpeg'
+   * );
+   */
+  uploadFromUrl(urlOrFileId, mimeType, displayName) {
+    try {
+      // Check if this is just a file ID (no URL protocol)
+      let fileId = null;
+      let url = urlOrFileId;
+
+      if (!urlOrFileId.includes('://')) {
+        // Looks like a bare file ID, treat as Google Drive file
+        fileId = urlOrFileId;
+      } else {
+        // Try to extract file ID from URL
+        fileId = this._extractGoogleFileId(urlOrFileId);
+      }
+
+      if (fileId) {
+        // Handle Google Workspace files (both public and private)
+        return this._uploadGoogleWorkspaceFile(url, fileId, mimeType, displayName);
+      }
+
+      // For non-Google URLs, fetch directly
+      const response = this.transport.fetch(urlOrFileId, { muteHttpExceptions: false });
+      const fileData = response.getContent();
+
+      return this._uploadBytesSimple(fileData, mimeType, displayName || this._getFileNameFromUrl(urlOrFileId));
+    } catch (error) {
+      if (error instanceof GeminiAppReplayError) {
+        throw error;
+      }
+      throw new GeminiAppApiError(
+        `Failed to fetch file from URL: ${error.message}`,
+        0,
+        null
+      );
+    }
+  }
+
+  /**
+   * Handle uploading Google Workspace files (Docs, Sheets, Slides, Drive)
+   * Supports both public and private files
+   * @private
+   */
+  _uploadGoogleWorkspaceFile(url, fileId, mimeType, displayName) {
+    try {
+      let blob;
+      let finalMimeType = mimeType;
+      let finalDisplayName = displayName;
+
+      // If url is null/empty, we're working with just a file ID - treat as Drive file
+      if (!url || !url.includes('://')) {
+        const file = DriveApp.getFileById(fileId);
+        blob = file.getBlob();
+        const driveFileMimeType = file.getMimeType();
+
+        // Check if it's a Google Workspace file type and export as PDF
+        if (driveFileMimeType === 'application/vnd.google-apps.document') {
+          const doc = DocumentApp.openById(fileId);
+          blob = doc.getAs('application/pdf');
+          finalMimeType = 'application/pdf';
+          finalDisplayName = finalDisplayName || doc.getName() + '.pdf';
+        } else if (driveFileMimeType === 'application/vnd.google-apps.spreadsheet') {
+          const spreadsheet = SpreadsheetApp.openById(fileId);
+          blob = DriveApp.getFileById(fileId).getAs('application/pdf');
+          finalMimeType = 'application/pdf';
+          finalDisplayName = finalDisplayName || spreadsheet.getName() + '.pdf';
+        } else if (driveFileMimeType === 'application/vnd.google-apps.presentation') {
+          const presentation = SlidesApp.openById(fileId);
+          blob = DriveApp.getFileById(fileId).getAs('application/pdf');
+          finalMimeType = 'application/pdf';
+          finalDisplayName = finalDisplayName || presentation.getName() + '.pdf';
+        } else {
+          // Regular Drive file
+          finalMimeType = mimeType || driveFileMimeType;
+          finalDisplayName = finalDisplayName || file.getName();
+        }
+      }
+      // Google Docs - export as PDF
+      else if (url.includes('docs.google.com/document')) {
+        const doc = DocumentApp.openById(fileId);
+        blob = doc.getAs('application/pdf');
+        finalMimeType = 'application/pdf';
+        finalDisplayName = finalDisplayName || doc.getName() + '.pdf';
+      }
+      // Google Sheets - export as PDF
+      else if (url.includes('docs.google.com/spreadsheets')) {
+        const spreadsheet = SpreadsheetApp.openById(fileId);
+        blob = DriveApp.getFileById(fileId).getAs('application/pdf');
+        finalMimeType = 'application/pdf';
+        finalDisplayName = finalDisplayName || spreadsheet.getName() + '.pdf';
+      }
+      // Google Slides - export as PDF
+      else if (url.includes('docs.google.com/presentation')) {
+        const presentation = SlidesApp.openById(fileId);
+        blob = DriveApp.getFileById(fileId).getAs('application/pdf');
+        finalMimeType = 'application/pdf';
+        finalDisplayName = finalDisplayName || presentation.getName() + '.pdf';
+      }
+      // Google Drive file
+      else if (url.includes('drive.google.com')) {
+        const file = DriveApp.getFileById(fileId);
+        blob = file.getBlob();
+        finalMimeType = mimeType || file.getMimeType();
+        finalDisplayName = finalDisplayName || file.getName();
+      }
+      else {
+        // Not a recognized Google Workspace URL, try fetching directly
+        const response = this.transport.fetch(url, { muteHttpExceptions: false });
+        blob = response.getBlob();
+        finalDisplayName = finalDisplayName || this._getFileNameFromUrl(url);
+      }
+
+      const bytes = blob.getBytes();
+      return this._uploadBytesSimple(bytes, finalMimeType, finalDisplayName);
+
+    } catch (error) {
+      // If we don't have access, throw a helpful error
+      if (error.message && error.message.includes('No item with the given ID')) {
+        throw new GeminiAppApiError(
+          `Cannot access Google Workspace file. Please ensure:\n` +
+          `1. You have permission to access the file\n` +
+          `2. The file ID is correct\n` +
+          `3. The file hasn't been deleted\n` +
+          `Original error: ${error.message}`,
+          403,
+          null
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extract Google file ID from various URL formats
+   * @private
+   */
+  _extractGoogleFileId(url) {
+    // Try different patterns
+    const patterns = [
+      /\/d\/([a-zA-Z0-9_-]+)/,           // /d/FILE_ID
+      /id=([a-zA-Z0-9_-]+)/,             // ?id=FILE_ID
+      /\/file\/d\/([a-zA-Z0-9_-]+)/,     // /file/d/FILE_ID
+      /\/folders\/([a-zA-Z0-9_-]+)/,     // /folders/FOLDER_ID
+    ];
+
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match && match[1]) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Upload a Drive file to the Gemini Files API
+   * 
+   * @param {GoogleAppsScript.Drive.File|Blob} file - Drive file or Blob
+   * @param {string} [displayName] - Optional display name
+   * @returns {Object} File object with uri property
+   * @throws {GeminiAppApiError} If upload fails
+   * 
+   * @example
+   * const file = DriveApp.getFileById('FILE_ID');
+   * const uploadedFile = fileManager.uploadDriveFile(file);
+   */
+  uploadDriveFile(file, displayName) {
+    const blob = file.getBlob ? file.getBlob() : file;
+    const bytes = blob.getBytes();
+    const mimeType = blob.getContentType();
+    const name = displayName || blob.getName();
+
+    return this._uploadBytesSimple(bytes, mimeType, name);
+  }
+
+  /**
+   * Internal method to upload file bytes using resumable upload
+   * @private
+   */
+  _uploadBytesSimple(bytes, mimeType, displayName) {
+    // Use resumable upload - this is the standard way for the Gemini Files API
+    const boundary = '----GeminiAppBoundary' + Utilities.getUuid();
+
+    // Step 1: Create resumable session with metadata
+    const metadata = {
+      file: {
+        displayName: displayName
+      }
+    };
+
+    // Build initial request with metadata
+    const initialUrl = this.uploadBaseUrl + '?key=' + this.apiKey;
+    const initialOptions = {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(metadata),
+      muteHttpExceptions: true,
+      headers: {
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Type': mimeType,
+        'X-Goog-Upload-Header-Content-Length': bytes.length
+      }
+    };
+
+    const initialResponse = this._makeRequestWithRetry(initialUrl, initialOptions);
+
+    if (initialResponse.getResponseCode() !== 200) {
+      const responseText = initialResponse.getContentText();
+      let errorMsg = 'Unknown error';
+      try {
+        const data = JSON.parse(responseText);
+        errorMsg = data.error?.message || errorMsg;
+      } catch (e) {
+        errorMsg = responseText.substring(0, 200);
+      }
+      throw new GeminiAppApiError(
+        `Failed to start resumable upload: ${errorMsg}`,
+        initialResponse.getResponseCode(),
+        responseText
+      );
+    }
+
+    // Get upload URL from response header
+    const headers = initialResponse.getHeaders();
+    const uploadUrl = headers['X-Goog-Upload-URL'] || headers['x-goog-upload-url'];
+
+    if (!uploadUrl) {
+      throw new GeminiAppApiError(
+        'No upload URL returned in response',
+        500,
+        initialResponse.getContentText()
+      );
+    }
+
+    // Step 2: Upload file content
+    const uploadOptions = {
+      method: 'post',
+      contentType: mimeType,
+      payload: bytes,
+      muteHttpExceptions: true,
+      headers: {
+        'X-Goog-Upload-Command': 'upload, finalize',
+        'X-Goog-Upload-Offset': '0'
+      }
+    };
+
+    const uploadResponse = this.transport.fetch(uploadUrl, uploadOptions);
+
+    if (uploadResponse.getResponseCode() !== 200) {
+      const responseText = uploadResponse.getContentText();
+      let errorMsg = 'Unknown error';
+      try {
+        const data = JSON.parse(responseText);
+        errorMsg = data.error?.message || errorMsg;
+      } catch (e) {
+        errorMsg = responseText.substring(0, 200);
+      }
+      throw new GeminiAppApiError(
+        `File upload failed: ${errorMsg}`,
+        uploadResponse.getResponseCode(),
+        responseText
+      );
+    }
+
+    const uploadedFile = JSON.parse(uploadResponse.getContentText()).file;
+    return uploadedFile;
+  }
+
+  /**
+   * Get file metadata
+   * @param {string} fileName - Name of the file (e.g., 'files/abc123')
+   * @returns {Object} File metadata
+   */
+  getFile(fileName) {
+    const url = `${this.filesBaseUrl}/${fileName.replace('files/', '')}?key=${this.apiKey}`;
+    const response = this._makeRequestWithRetry(url, { method: 'get', muteHttpExceptions: true });
+
+    if (response.getResponseCode() !== 200) {
+      const data = JSON.parse(response.getContentText());
+      throw new GeminiAppApiError(
+        `Failed to get file: ${data.error?.message || 'Unknown error'}`,
+        response.getResponseCode(),
+        data
+      );
+    }
+
+    return JSON.parse(response.getContentText());
+  }
+
+  /**
+   * Download the contents of a file (e.g. batch job output)
+   * Only files generated by the API can be downloaded; uploaded files cannot.
+   * @param {string} fileName - Name of the file (e.g., 'files/abc123')
+   * @returns {GoogleAppsScript.Base.Blob} File contents
+   */
+  downloadFile(fileName) {
+    const cleanFileName = fileName.replace('files/', '');
+    const url = `${this.downloadBaseUrl}/${cleanFileName}:download?alt=media&key=${this.apiKey}`;
+    const response = this._makeRequestWithRetry(url, { method: 'get', muteHttpExceptions: true });
+
+    if (response.getResponseCode() !== 200) {
+      const responseText = response.getContentText();
+      let errorMsg = 'Unknown error';
+      try {
+        const data = JSON.parse(responseText);
+        errorMsg = data.error?.message || errorMsg;
+      } catch (e) {
+        errorMsg = responseText.substring(0, 200);
+      }
+      throw new GeminiAppApiError(
+        `Failed to download file: ${errorMsg}`,
+        response.getResponseCode(),
+        responseText
+      );
+    }
+
+    return response.getBlob();
+  }
+
+  /**
+   * Delete a file
+   * @param {string} fileName - Name of the file (e.g., 'files/abc123')
+   */
+  deleteFile(fileName) {
+    const cleanFileName = fileName.replace('files/', '');
+    const url = `${this.filesBaseUrl}/${cleanFileName}?key=${this.apiKey}`;
+    const options = {
+      method: 'delete',
+      muteHttpExceptions: true
+    };
+
+    try {
+      const response = this.transport.fetch(url, options);
+      const statusCode = response.getResponseCode();
+
+      // Success
+      if (statusCode === 200 || statusCode === 204) {
+        return { success: true };
+      }
+
+      // Already deleted / not found - treat as success
+      if (statusCode === 404) {
+        return { success: true, alreadyDeleted: true };
+      }
+
+      // Other errors
+      const responseText = response.getContentText();
+      let errorMsg = 'Unknown error';
+      try {
+        const data = JSON.parse(responseText);
+        errorMsg = data.error?.message || errorMsg;
+      } catch (e) {
+        errorMsg = responseText;
+      }
+
+      throw new GeminiAppApiError(
+        `Failed to delete file: ${errorMsg}`,
+        statusCode,
+        responseText
+      );
+    } catch (error) {
+      // If it's already our error, re-throw
+      if (error instanceof GeminiAppApiError || error instanceof GeminiAppReplayError) {
+        throw error;
+      }
+      // Network timeout or other error
+      throw new GeminiAppApiError(
+        `Delete request failed: ${error.message}`,
+        0,
+        error.toString()
+      );
+    }
+  }
+
+  /**
+   * Delete multiple files (useful for cleanup)
+   * @param {Array<string>} fileNames - Array of file names to delete
+   * @param {boolean} [showProgress=false] - Show progress during deletion
+   * @returns {Object} Result with success and failed arrays
+   */
+  deleteFiles(fileNames, showProgress = false) {
+    const results = {
+      success: [],
+      failed: []
+    };
+
+    const total = fileNames.length;
+    for (let i = 0; i < total; i++) {
+      const fileName = fileNames[i];
+
+      if (showProgress && (i % 5 === 0 || i === total - 1)) {
+        console.log(`Deleting files: ${i + 1}/${total}`);
+      }
+
+      try {
+        const result = this.deleteFile(fileName);
+        results.success.push(fileName);
+
+        // Delay to avoid rate limiting
+        if (i < total - 1) {
+          this.transport.sleep(1000); // 1 second between deletes to avoid rate limits
+        }
+      } catch (error) {
+        results.failed.push({ fileName, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete all files (use with caution!)
+   * @param {number} [maxFiles=100] - Maximum number of files to delete
+   * @returns {Object} Result with deleted count and any errors
+   */
+  deleteAllFiles(maxFiles = 100) {
+    const filesList = this.listFiles(maxFiles);
+    const fileNames = (filesList.files || []).map(f => f.name);
+
+    if (fileNames.length === 0) {
+      return { deleted: 0, failed: [] };
+    }
+
+    console.log(`Found ${fileNames.length} files to delete...`);
+
+    // Filter out files that are still processing
+    const files = filesList.files || [];
+    const activeFiles = [];
+    const processingFiles = [];
+
+    for (const file of files) {
+      if (file.state === 'PROCESSING') {
+        processingFiles.push(file.name);
+      } else {
+        activeFiles.push(file.name);
+      }
+    }
+
+    if (processingFiles.length > 0) {
+      console.log(`Skipping ${processingFiles.length} files that are still processing`);
+    }
+
+    if (activeFiles.length === 0) {
+      return {
+        deleted: 0,
+        failed: processingFiles.map(name => ({ fileName: name, error: 'File is still processing' }))
+      };
+    }
+
+    const results = this.deleteFiles(activeFiles, true); // Show progress
+
+    // Add processing files to failed list
+    processingFiles.forEach(name => {
+      results.failed.push({ fileName: name, error: 'File is still processing' });
+    });
+
+    return {
+      deleted: results.success.length,
+      failed: results.failed
+    };
+  }
+
+  /**
+   * List all uploaded files
+   * @param {number} [pageSize=10] - Number of files to return
+   * @returns {Object} Object with files array and nextPageToken
+   */
+  listFiles(pageSize = 10) {
+    const url = `${this.filesBaseUrl}?key=${this.apiKey}&pageSize=${pageSize}`;
+    const response = this._makeRequestWithRetry(url, { method: 'get', muteHttpExceptions: true });
+
+    if (response.getResponseCode() !== 200) {
+      const data = JSON.parse(response.getContentText());
+      throw new GeminiAppApiError(
+        `Failed to list files: ${data.error?.message || 'Unknown error'}`,
+        response.getResponseCode(),
+        data
+      );
+    }
+
+    return JSON.parse(response.getContentText());
+  }
+
+  /**
+   * Extract filename from URL
+   * @private
+   */
+  _getFileNameFromUrl(url) {
+    try {
+      const parts = url.split('/');
+      const fileName = parts[parts.length - 1].split('?')[0];
+      return fileName || 'uploaded_file';
+    } catch (e) {
+      return 'uploaded_file';
+    }
+  }
+
+  /**
+   * Make HTTP request with exponential backoff retry
+   * @private
+   */
+  _makeRequestWithRetry(url, options, maxRetries = 5) {
+    let lastError;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        const response = this.transport.fetch(url, options);
+        const statusCode = response.getResponseCode();
+
+        // Success
+        if (statusCode >= 200 && statusCode < 300) {
+          return response;
+        }
+
+        // Retryable errors: 429 (rate limit), 500-599 (server errors)
+        if (statusCode === 429 || statusCode >= 500) {
+          lastError = new Error(`HTTP ${statusCode}: ${response.getContentText()}`);
+
+          // Exponential backoff: 1s, 2s, 4s, 8s, 16s
+          const delay = Math.pow(2, attempt) * 1000;
+          this.transport.sleep(delay);
+          continue;
+        }
+
+        // Non-retryable error
+        return response;
+
+      } catch (error) {
+        if (error instanceof GeminiAppReplayError) {
+          throw error;
+        }
+        lastError = error;
+        // Network errors are retryable
+        const delay = Math.pow(2, attempt) * 1000;
+        this.transport.sleep(delay);
+      }
+    }
+
+    throw new GeminiAppApiError(
+      `Request failed after ${maxRetries} retries: ${lastError?.message || 'Unknown error'}`,
+      0,
+      null
+    );
+  }
+}
+
+// ============================================================================
+// CACHE MANAGER - Handles context caching (cachedContents)
+// ============================================================================
+
+/**
+ * Manages cached contents for the Gemini context caching API
+ * Large inputs (e.g. a long PDF) are cached once and referenced by name in later
+ * prompts with { cachedContent: name }, so they are not re-sent and are billed at
+ * the cached token rate. Created caches are tracked in PropertiesService so later
+ * executions can reuse them until they expire.
+ */
+class _GeminiAppCacheManager {
+  /**
+   * @param {_GeminiApp} ai - Parent AI instance
+   * @param {GoogleAppsScript.Properties.Properties} [properties] - Where to track caches (default: Script Properties)
+   */
+  constructor(ai, properties) {
+    this.ai = ai;
+    this.properties = properties || null;
+    this.propertyPrefix = 'GEMINIAPP_CACHE_';
+  }
+
+  /**
+   * Create cached content
+   * 
+   * @param {Object} options - Cache options
+   * @param {Array<Object>} options.contents - Contents to cache (e.g. [{ role: 'user', parts: [...] }])
+   * @param {string} [options.systemInstruction] - System instruction to cache
+   * @param {Array<Object>} [options.tools] - Tools to cache (API format)
+   * @param {string} [options.model] - Model the cache is for (default: instance model). Prompts must use the same model.
+   * @param {number|string} [options.ttl=3600] - Time to live in seconds (or '3600s')
+   * @param {string} [options.displayName] - Display name
+   * @param {string} [options.key] - Key to track the cache under in PropertiesService (default: displayName or name)
+   * @returns {Object} Cached content with name, model, expireTime, usageMetadata
+   * 
+   * @example
+   * const cache = ai.getCacheManager().create({
+   *   contents: [{ role: 'user', parts: [{ text: longText }] }],
+   *   ttl: 7200,
+   *   key: 'policy-handbook'
+   * });
+   * const answer = ai.prompt('What is the leave policy?', { cachedContent: cache.name });
+   */
+  create(options = {}) {
+    if (!options.contents || options.contents.length === 0) {
+      throw new GeminiAppValidationError('Cache contents are required');
+    }
+
+    const model = options.model || this.ai.model;
+    const body = {
+      model: this.ai._modelResource(model),
+      contents: options.contents,
+      ttl: this._formatTtl(options.ttl || 3600)
+    };
+
+    if (options.systemInstruction) {
+      body.systemInstruction = { parts: [{ text: options.systemInstruction }] };
+    }
+    if (options.tools) {
+      body.tools = options.tools;
+    }
+    if (options.displayName) {
+      body.displayName = options.displayName;
+    }
+
+    const cache = this._request('post', 'cachedContents', body);
+    this._track(options.key || options.displayName || cache.name, cache);
+    return cache;
+  }
+
+  /**
+   * Create a cache from file inputs - same inputs as promptWithFile()
+   * If a cache is already tracked under options.key for the same model and has not
+   * expired, it is returned instead of creating a new one.
+   * 
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file - File(s) as Drive file, Blob, URL, Drive ID, file URI object, or array
+   * @param {Object} [options] - Options (same as create(), plus mimeType and text)
+   * @param {string|Array<string>} [options.mimeType] - MIME type(s) for URLs
+   * @param {string} [options.text] - Extra text to cache alongside the files
+   * @returns {Object} Cached content (tracked entry when reused)
+   * 
+   * @example
+   * const cache = ai.getCacheManager().createFromFiles('DRIVE_PDF_ID', { key: 'annual-report', ttl: 86400 });
+   * ai.prompt('Summarize chapter 3', { cachedContent: cache.name });
+   */
+  createFromFiles(file, options = {}) {
+    if (options.key) {
+      const tracked = this.getTracked(options.key);
+      if (tracked && tracked.model === (options.model || this.ai.model)) {
+        return tracked;
+      }
+    }
+
+    const parts = this.ai._prepareFileParts(file, 'file', options.mimeType);
+    if (options.text) {
+      parts.unshift({ text: options.text });
+    }
+
+    return this.create(Object.assign({}, options, {
+      contents: [{ role: 'user', parts: parts }]
+    }));
+  }
+
+  /**
+   * List cached contents
+   * @param {number} [pageSize=10] - Number of caches to return
+   * @param {string} [pageToken] - Token for the next page
+   * @returns {Object} Object with cachedContents array and nextPageToken
+   */
+  list(pageSize = 10, pageToken) {
+    let path = `cachedContents?pageSize=${pageSize}`;
+    if (pageToken) {
+      path += `&pageToken=${encodeURIComponent(pageToken)}`;
+    }
+    return this._request('get', path);
+  }
+
+  /**
+   * Get cached content metadata
+   * @param {string} name - Cache name (e.g. 'cachedContents/abc123')
+   * @returns {Object} Cached content
+   */
+  get(name) {
+    return this._request('get', this._normalizeName(name));
+  }
+
+  /**
+   * Update the time to live of a cache
+   * @param {string} name - Cache name
+   * @param {number|string} ttl - New time to live in seconds (or '3600s'), counted from now
+   * @returns {Object} Updated cached content
+   */
+  updateTtl(name, ttl) {
+    const cache = this._request(
+      'patch',
+      `${this._normalizeName(name)}?updateMask=ttl`,
+      { ttl: this._formatTtl(ttl) }
+    );
+    this._updateTracked(cache);
+    return cache;
+  }
+
+  /**
+   * Delete a cache
+   * @param {string} name - Cache name
+   * @returns {Object} Result with success property
+   */
+  delete(name) {
+    const cacheName = this._normalizeName(name);
+
+    try {
+      this._request('delete', cacheName);
+    } catch (error) {
+      if (!(error instanceof GeminiAppApiError) || error.statusCode !== 404) {
+        throw error;
+      }
+      this._untrackName(cacheName);
+      return { success: true, alreadyDeleted: true };
+    }
+
+    this._untrackName(cacheName);
+    return { success: true };
+  }
+
+  /**
+   * Get a tracked cache by key if it has not expired
+   * Expired entries are removed from PropertiesService.
+   * 
+   * @param {string} key - Tracking key
+   * @param {number} [minRemainingSeconds=60] - Treat caches expiring sooner than this as expired
+   * @returns {{key: string, name: string, model: string, expireTime: string, displayName: string}|null} Tracked cache or null
+   */
+  getTracked(key, minRemainingSeconds = 60) {
+    const propertyKey = this.propertyPrefix + key;
+    const value = this._getProperties().getProperty(propertyKey);
+    if (!value) {
+      return null;
+    }
+
+    const entry = JSON.parse(value);
+    if (new Date(entry.expireTime).getTime() - Date.now() < minRemainingSeconds * 1000) {
+      this._getProperties().deleteProperty(propertyKey);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * List all tracked caches that have not expired
+   * @returns {Array<Object>} Tracked caches
+   */
+  listTracked() {
+    const all = this._getProperties().getProperties();
+    return Object.keys(all)
+      .filter(propertyKey => propertyKey.indexOf(this.propertyPrefix) === 0)
+      .map(propertyKey => this.getTracked(propertyKey.substring(this.propertyPrefix.length)))
+      .filter(entry => entry !== null);
+  }
+
+  /**
+   * Send a request to the cachedContents endpoint
+   * @private
+   */
+  _request(method, path, body) {
+    const url = this.ai._apiUrl(path);
+    const responseText = this.ai._fetchWithRetry(url, body, method);
+    return responseText ? JSON.parse(responseText) : {};
+  }
+
+  /**
+   * Normalize a cache name or object to 'cachedContents/ID' (full resource name in Vertex AI mode)
+   * @private
+   */
+  _normalizeName(name) {
+    const cacheName = typeof name === 'object' && name ? name.name : name;
+    if (!cacheName) {
+      throw new GeminiAppValidationError('Cache name is required');
+    }
+    if (cacheName.indexOf('projects/') === 0) {
+      return cacheName;
+    }
+
+    const shortName = cacheName.indexOf('cachedContents/') === 0 ? cacheName : `cachedContents/${cacheName}`;
+    // Vertex AI uses full resource names (projects/.../cachedContents/ID)
+    return this.ai.vertex ? `${this.ai.vertex.resourcePath}/${shortName}` : shortName;
+  }
+
+  /**
+   * Format a TTL as the API duration string
+   * @private
+   */
+  _formatTtl(ttl) {
+    const seconds = typeof ttl === 'string' ? parseFloat(ttl) : ttl;
+    if (typeof seconds !== 'number' || isNaN(seconds) || seconds <= 0) {
+      throw new GeminiAppValidationError(`Invalid cache ttl '${ttl}'. Use a number of seconds, e.g. 3600`);
+    }
+    return `${seconds}s`;
+  }
+
+  /**
+   * Track a cache in PropertiesService
+   * @private
+   */
+  _track(key, cache) {
+    const entry = {
+      key: key,
+      name: cache.name,
+      model: (cache.model || '').replace(/^.*models\//, ''),
+      expireTime: cache.expireTime,
+      displayName: cache.displayName || null
+    };
+    this._getProperties().setProperty(this.propertyPrefix + key, JSON.stringify(entry));
+  }
+
+  /**
+   * Update the expiry of tracked entries for a cache
+   * @private
+   */
+  _updateTracked(cache) {
+    this._findTrackedKeys(cache.name).forEach(key => this._track(key, cache));
+  }
+
+  /**
+   * Stop tracking a cache name
+   * @private
+   */
+  _untrackName(name) {
+    this._findTrackedKeys(name).forEach(key => {
+      this._getProperties().deleteProperty(this.propertyPrefix + key);
+    });
+  }
+
+  /**
+   * Find tracking keys that point at a cache name
+   * @private
+   */
+  _findTrackedKeys(name) {
+    const all = this._getProperties().getProperties();
+    return Object.keys(all)
+      .filter(propertyKey => propertyKey.indexOf(this.propertyPrefix) === 0)
+      .filter(propertyKey => {
+        try {
+          return JSON.parse(all[propertyKey]).name === name;
+        } catch (e) {
+          return false;
+        }
+      })
+      .map(propertyKey => propertyKey.substring(this.propertyPrefix.length));
+  }
+
+  /**
+   * Properties store used for tracking (Script Properties by default)
+   * @private
+   */
+  _getProperties() {
+    if (!this.properties) {
+      this.properties = PropertiesService.getScriptProperties();
+    }
+    return this.properties;
+  }
+}
+
+// ============================================================================
+// BATCH MANAGER - Handles Batch API jobs (batchGenerateContent)
+// ============================================================================
+
+/**
+ * Prompt options that shape a batch request, besides the generation parameters
+ * Job options (handler, inputMode, triggerFunction, ...) are not request options.
+ * @private
+ */
+const _GEMINI_APP_BATCH_REQUEST_OPTIONS = [
+  'schema', 'systemInstruction', 'safetySettings', 'tools', 'toolMode',
+  'grounding', 'codeExecution', 'urlContext', 'cachedContent'
+];
+
+/**
+ * Manages Gemini Batch API jobs
+ * Jobs run asynchronously (usually within 24 hours) at a reduced cost. Because
+ * Apps Script executions are limited to 6 minutes, submitted jobs are saved in
+ * PropertiesService and a time-driven trigger polls them, calling a handler
+ * function with the parsed results once each job finishes.
+ */
+class _GeminiAppBatchManager {
+  /**
+   * @param {_GeminiApp} ai - Parent AI instance
+   * @param {GoogleAppsScript.Properties.Properties} [properties] - Where to save jobs (default: Script Properties)
+   */
+  constructor(ai, properties) {
+    this.ai = ai;
+    this.properties = properties || null;
+    this.propertyPrefix = 'GEMINIAPP_BATCH_';
+    // Inline requests are limited to 20MB in total - switch to a JSONL file well before that
+    this.maxInlineBytes = 10 * 1024 * 1024;
+  }
+
+  /**
+   * Submit a batch job
+   * 
+   * Each request can be:
+   * - a string (prompt text)
+   * - { key, text, ...options } - prompt text with per-request options (schema, temperature, ...)
+   * - { key, request } - a raw GenerateContentRequest body
+   * 
+   * @param {Array<string|Object>} requests - Requests to run
+   * @param {Object} [options] - Options
+   * @param {string} [options.model] - Model (default: instance model)
+   * @param {string} [options.displayName] - Job display name
+   * @param {Object} [options.schema] - JSON schema applied to every request (results are parsed)
+   * @param {string} [options.systemInstruction] - System instruction for every request
+   * @param {string} [options.inputMode] - 'inline' or 'file' (default: file when the requests exceed 10MB)
+   * @param {string} [options.handler] - Name of the function to call with the results (starts polling)
+   * @param {string} [options.triggerFunction] - Global function the polling trigger runs (see watch())
+   * @param {number} [options.everyMinutes=10] - Polling interval (1, 5, 10, 15 or 30)
+   * @returns {BatchJob} Job handle
+   * 
+   * @example
+   * const job = ai.getBatchManager().submit(
+   *   rows.map((row, i) => ({ key: 'row-' + (i + 2), text: 'Classify: ' + row[0] })),
+   *   { schema: { category: 'string' }, handler: 'writeClassifications', triggerFunction: 'pollGeminiBatches' }
+   * );
+   */
+  submit(requests, options = {}) {
+    this.ai._requireApiKeyMode('The Batch API');
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new GeminiAppValidationError('Batch requests must be a non-empty array');
+    }
+
+    const model = options.model || this.ai.model;
+    const items = requests.map((item, index) => this._buildItem(item, index, options));
+    const inputConfig = this._buildInputConfig(items, options);
+
+    const body = {
+      batch: {
+        displayName: options.displayName || `GeminiApp batch ${new Date().toISOString()}`,
+        inputConfig: inputConfig
+      }
+    };
+
+    const operation = this.ai._makeRequest('batchGenerateContent', body, model);
+    const job = this._toJob(operation);
+
+    const state = {
+      name: job.name,
+      model: model,
+      schema: options.schema || null,
+      handler: null,
+      createTime: new Date().toISOString()
+    };
+    this._save(job.name, Object.assign(state, this._itemSchemas(requests, items)));
+
+    if (options.handler) {
+      this.watch(job.name, options.handler, options);
+    }
+
+    return job;
+  }
+
+  /**
+   * Get the current state of a batch job
+   * @param {string} name - Job name (e.g. 'batches/abc123')
+   * @returns {BatchJob} Job handle
+   */
+  get(name) {
+    return this._toJob(this._request('get', this._normalizeName(name)));
+  }
+
+  /**
+   * List batch jobs
+   * @param {number} [pageSize=10] - Number of jobs to return
+   * @param {string} [pageToken] - Token for the next page
+   * @returns {{jobs: Array<BatchJob>, nextPageToken: string}} Jobs
+   */
+  list(pageSize = 10, pageToken) {
+    let path = `batches?pageSize=${pageSize}`;
+    if (pageToken) {
+      path += `&pageToken=${encodeURIComponent(pageToken)}`;
+    }
+    const response = this._request('get', path);
+    return {
+      jobs: (response.operations || response.batches || []).map(operation => this._toJob(operation)),
+      nextPageToken: response.nextPageToken || null
+    };
+  }
+
+  /**
+   * Cancel a running batch job
+   * @param {string} name - Job name
+   * @returns {Object} Result with success property
+   */
+  cancel(name) {
+    this._request('post', `${this._normalizeName(name)}:cancel`, {});
+    return { success: true };
+  }
+
+  /**
+   * Delete a batch job and stop tracking it
+   * @param {string} name - Job name
+   * @returns {Object} Result with success property
+   */
+  delete(name) {
+    const jobName = this._normalizeName(name);
+    this._request('delete', jobName);
+    this._getProperties().deleteProperty(this.propertyPrefix + jobName);
+    return { success: true };
+  }
+
+  /**
+   * Get the parsed results of a finished job
+   * Results come from inline responses or the JSONL output file (downloaded via the file manager).
+   * 
+   * @param {string|BatchJob} job - Job name or handle
+   * @param {Object} [options] - Options
+   * @param {Object} [options.schema] - Schema to parse every response with (default: the request's schema saved at submit)
+   * @returns {Array<BatchResult>} One result per request, in input order for inline jobs
+   * @throws {GeminiAppError} If the job has not succeeded
+   */
+  getResults(job, options = {}) {
+    // Refresh the job unless we already have a finished handle
+    const current = job && typeof job === 'object' && job.done && job.raw
+      ? job
+      : this.get(typeof job === 'string' ? job : job.name);
+
+    if (current.state !== 'SUCCEEDED') {
+      throw new GeminiAppError(`Batch job ${current.name} has not succeeded (state: ${current.state})`);
+    }
+
+    const saved = this._load(current.name) || {};
+    const itemSchemas = saved.itemSchemas || {};
+    const schemaFor = key => options.schema ||
+      (itemSchemas[key] !== undefined ? saved.schemas[itemSchemas[key]] : saved.schema) || null;
+    const output = current.raw.response || current.raw.metadata?.output || {};
+
+    let entries;
+    if (output.responsesFile) {
+      const text = this.ai.fileManager.downloadFile(output.responsesFile).getDataAsString();
+      entries = text
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } else {
+      entries = output.inlinedResponses?.inlinedResponses || [];
+    }
+
+    return entries.map((entry, index) => this._toResult(entry, index, schemaFor));
+  }
+
+  /**
+   * Poll the job from a time-driven trigger and call a handler when it finishes
+   * 
+   * Triggers can only run functions defined in your own project, so create a
+   * global function that calls poll() and pass its name as triggerFunction:
+   * 
+   *   function pollGeminiBatches() {
+   *     GeminiApp.newInstance(API_KEY).getBatchManager().poll({ writeClassifications });
+   *   }
+   * 
+   * @param {string|BatchJob} job - Job name or handle
+   * @param {string} handler - Name of the function to call with (results, job)
+   * @param {Object} [options] - Options
+   * @param {string} [options.triggerFunction='pollGeminiBatches'] - Global function the trigger runs
+   * @param {number} [options.everyMinutes=10] - Polling interval (1, 5, 10, 15 or 30)
+   * @returns {BatchJob} Job handle
+   */
+  watch(job, handler, options = {}) {
+    const jobName = this._normalizeName(typeof job === 'string' ? job : job.name);
+    const triggerFunction = options.triggerFunction || 'pollGeminiBatches';
+    const everyMinutes = options.everyMinutes || 10;
+
+    if (![1, 5, 10, 15, 30].includes(everyMinutes)) {
+      throw new GeminiAppValidationError('everyMinutes must be 1, 5, 10, 15 or 30');
+    }
+    if (!handler || typeof handler !== 'string') {
+      throw new GeminiAppValidationError('handler must be the name of a function');
+    }
+
+    const saved = this._load(jobName) || { name: jobName, model: this.ai.model, schema: null };
+    saved.handler = handler;
+    saved.triggerFunction = triggerFunction;
+    this._save(jobName, saved);
+
+    const hasTrigger = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === triggerFunction);
+    if (!hasTrigger) {
+      ScriptApp.newTrigger(triggerFunction).timeBased().everyMinutes(everyMinutes).create();
+    }
+
+    return this.get(jobName);
+  }
+
+  /**
+   * Check every saved job and call the handlers of those that have finished
+   * Call this from your trigger function. Finished jobs are removed from
+   * PropertiesService, and the trigger is deleted when no watched jobs remain.
+   * 
+   * Handlers receive (results, job). Failed, cancelled and expired jobs call the
+   * handler with an empty results array so the job state can be inspected.
+   * 
+   * A job whose status check or handler throws stays saved and is retried on the
+   * next poll; the other jobs are still processed and the error is thrown once
+   * trigger cleanup has run.
+   * 
+   * When GeminiApp is used as a library, pass the handlers: a library cannot see
+   * the functions of the calling script, so the global lookup only works when
+   * this file is copied into your project.
+   * 
+   * @param {Object<string, Function>} [handlers] - Handler functions by name (default: look up global functions)
+   * @returns {Array<BatchJob>} Jobs that finished during this poll
+   * @throws {GeminiAppError} If any job could not be checked or handled
+   */
+  poll(handlers = {}) {
+    const finished = [];
+    const failed = [];
+    const activeTriggers = {};
+    const finishedTriggers = {};
+
+    this._listSaved().forEach(saved => {
+      if (!saved.handler) {
+        return;
+      }
+
+      try {
+        const job = this.get(saved.name);
+        if (!job.done) {
+          activeTriggers[saved.triggerFunction] = true;
+          return;
+        }
+
+        const handler = handlers[saved.handler] || (typeof globalThis !== 'undefined' ? globalThis[saved.handler] : null);
+        if (typeof handler !== 'function') {
+          throw new GeminiAppValidationError(
+            `Batch handler '${saved.handler}' not found. Pass it to poll(): batchManager.poll({ ${saved.handler} })`
+          );
+        }
+
+        const results = job.state === 'SUCCEEDED' ? this.getResults(job) : [];
+        handler(results, job);
+
+        this._getProperties().deleteProperty(this.propertyPrefix + saved.name);
+        finishedTriggers[saved.triggerFunction] = true;
+        finished.push(job);
+      } catch (error) {
+        // Keep the job and its trigger so the next poll tries again
+        activeTriggers[saved.triggerFunction] = true;
+        failed.push(`${saved.name}: ${error.message}`);
+      }
+    });
+
+    // Remove triggers that no longer have jobs to poll
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      const functionName = trigger.getHandlerFunction();
+      if (finishedTriggers[functionName] && !activeTriggers[functionName]) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+
+    if (failed.length > 0) {
+      throw new GeminiAppError(`Batch polling failed for ${failed.length} job(s): ${failed.join('; ')}`);
+    }
+
+    return finished;
+  }
+
+  /**
+   * List jobs saved in PropertiesService
+   * @returns {Array<Object>} Saved job state (name, model, schema, handler, createTime, and per-item schemas)
+   */
+  listSaved() {
+    return this._listSaved();
+  }
+
+  /**
+   * Build one batch item with a key and GenerateContentRequest
+   * Only request options are used (item options over job options), and only the
+   * item's or job's own tools are declared - registered tools have no handler to
+   * run in a batch.
+   * @private
+   */
+  _buildItem(item, index, options) {
+    if (typeof item === 'string') {
+      item = { text: item };
+    }
+
+    const key = String(item.key !== undefined ? item.key : index);
+
+    if (item.request) {
+      return { key: key, request: item.request };
+    }
+
+    if (!item.text) {
+      throw new GeminiAppValidationError(`Batch request ${key} needs text or a request body`);
+    }
+
+    const requestOptions = Object.assign(this._pickRequestOptions(options), this._pickRequestOptions(item));
+    const tools = {};
+    (requestOptions.tools || []).forEach(tool => {
+      this.ai._validateTool(tool);
+      tools[tool.name] = tool;
+    });
+
+    const contents = [{ role: 'user', parts: [{ text: item.text }] }];
+    const request = this.ai._buildRequest(contents, requestOptions, requestOptions.systemInstruction, tools);
+
+    return { key: key, request: request };
+  }
+
+  /**
+   * Generation parameters and request options from job or item options
+   * @private
+   */
+  _pickRequestOptions(options) {
+    const keys = Object.keys(_GEMINI_APP_GENERATION_PARAMS).concat(_GEMINI_APP_BATCH_REQUEST_OPTIONS);
+    return keys.reduce((picked, key) => {
+      if (options[key] !== undefined) {
+        picked[key] = options[key];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Schemas of items that set their own, saved so their results are parsed with them
+   * Each distinct schema is stored once: schemas holds them, itemSchemas maps keys to indexes.
+   * @private
+   * @returns {{schemas: Array<Object>, itemSchemas: Object<string, number>}|{}} Empty when no item has a schema
+   */
+  _itemSchemas(requests, items) {
+    const schemas = [];
+    const positions = {};
+    const itemSchemas = {};
+
+    requests.forEach((item, index) => {
+      if (!item || typeof item !== 'object' || item.request || !item.schema) {
+        return;
+      }
+      const json = JSON.stringify(item.schema);
+      if (positions[json] === undefined) {
+        positions[json] = schemas.push(item.schema) - 1;
+      }
+      itemSchemas[items[index].key] = positions[json];
+    });
+
+    return schemas.length > 0 ? { schemas: schemas, itemSchemas: itemSchemas } : {};
+  }
+
+  /**
+   * Build inline or file-based input config
+   * @private
+   */
+  _buildInputConfig(items, options) {
+    const jsonl = items.map(item => JSON.stringify(item)).join('\n');
+    const useFile = options.inputMode === 'file' ||
+      (options.inputMode !== 'inline' && Utilities.newBlob(jsonl).getBytes().length > this.maxInlineBytes);
+
+    if (!useFile) {
+      return {
+        requests: {
+          requests: items.map(item => ({ request: item.request, metadata: { key: item.key } }))
+        }
+      };
+    }
+
+    const blob = Utilities.newBlob(jsonl, 'application/jsonl', `batch-${Date.now()}.jsonl`);
+    const uploadedFile = this.ai.fileManager.uploadDriveFile(blob);
+    return { fileName: uploadedFile.name };
+  }
+
+  /**
+   * Convert a batch operation into a job handle
+   * @private
+   * @returns {BatchJob}
+   */
+  _toJob(operation) {
+    const metadata = operation.metadata || {};
+    const rawState = metadata.state || (operation.done ? (operation.error ? 'FAILED' : 'SUCCEEDED') : 'PENDING');
+    const state = rawState.replace(/^(BATCH|JOB)_STATE_/, '');
+
+    return {
+      name: operation.name,
+      displayName: metadata.displayName || null,
+      model: (metadata.model || '').replace('models/', '') || null,
+      state: state,
+      done: !!operation.done || ['SUCCEEDED', 'FAILED', 'CANCELLED', 'EXPIRED'].includes(state),
+      stats: metadata.batchStats || null,
+      createTime: metadata.createTime || null,
+      updateTime: metadata.updateTime || null,
+      error: operation.error || null,
+      raw: operation
+    };
+  }
+
+  /**
+   * Convert one inline or file response into a result
+   * @private
+   * @returns {BatchResult}
+   */
+  _toResult(entry, index, schemaFor) {
+    const key = entry.key || entry.metadata?.key || String(index);
+    const schema = schemaFor(key);
+
+    if (entry.error) {
+      return { key: key, value: null, error: entry.error.message || JSON.stringify(entry.error), response: null };
+    }
+
+    try {
+      return { key: key, value: this.ai._formatResponse(entry.response, schema), error: null, response: entry.response };
+    } catch (error) {
+      return { key: key, value: null, error: error.message, response: entry.response };
+    }
+  }
+
+  /**
+   * Send a request to the batches endpoint
+   * @private
+   */
+  _request(method, path, body) {
+    this.ai._requireApiKeyMode('The Batch API');
+    const url = this.ai._apiUrl(path);
+    const responseText = this.ai._fetchWithRetry(url, body, method);
+    return responseText ? JSON.parse(responseText) : {};
+  }
+
+  /**
+   * Normalize a job name to 'batches/ID'
+   * @private
+   */
+  _normalizeName(name) {
+    if (!name) {
+      throw new GeminiAppValidationError('Batch job name is required');
+    }
+    return name.indexOf('batches/') === 0 ? name : `batches/${name}`;
+  }
+
+  /**
+   * Save job state
+   * @private
+   */
+  _save(name, state) {
+    this._getProperties().setProperty(this.propertyPrefix + name, JSON.stringify(state));
+  }
+
+  /**
+   * Load saved job state
+   * @private
+   */
+  _load(name) {
+    const value = this._getProperties().getProperty(this.propertyPrefix + name);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * List saved job state
+   * @private
+   */
+  _listSaved() {
+    const all = this._getProperties().getProperties();
+    return Object.keys(all)
+      .filter(propertyKey => propertyKey.indexOf(this.propertyPrefix) === 0)
+      .map(propertyKey => JSON.parse(all[propertyKey]));
+  }
+
+  /**
+   * Properties store used for job state (Script Properties by default)
+   * @private
+   */
+  _getProperties() {
+    if (!this.properties) {
+      this.properties = PropertiesService.getScriptProperties();
+    }
+    return this.properties;
+  }
+}
+
+// ============================================================================
+// CHAT SESSION
+// ============================================================================
+
+/**
+ * Represents a chat session with context
+ */
+class _GeminiAppChat {
+  /**
+   * @param {_GeminiApp} ai - Parent AI instance
+   * @param {Object} [options] - Chat options
+   * @param {Array} [options.history] - Initial chat history
+   * @param {string} [options.systemInstruction] - System instruction for the chat
+   * @param {Array<ToolDefinition>} [options.tools] - Tools available for every message in the chat
+   */
+  constructor(ai, options = {}) {
+    this.ai = ai;
+    this.history = options.history || [];
+    this.systemInstruction = options.systemInstruction;
+    this.tools = options.tools || [];
+    this.generationConfig = _pickGenerationParams(options);
+    this.safetySettings = _mergeSafetySettings(options.safetySettings);
+    this.cachedContent = options.cachedContent || null;
+    this.grounding = options.grounding || null;
+    this.codeExecution = options.codeExecution || false;
+    this.urlContext = options.urlContext || false;
+  }
+
+  /**
+   * Send a text message in the chat
+   * 
+   * @param {string} text The message text
+   * @param {{schema: Object}} [options] Options for the request
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * const chat = ai.startChat();
+   * const response = chat.sendMessage('Hello!');
+   * console.log(response);
+   */
+  sendMessage(text, options = {}) {
+    return this._sendMessage([{ text: text }], options);
+  }
+
+  /**
+   * Send a text message and receive the response in chunks
+   * The model response is added to history once the stream completes.
+   * 
+   * @param {string} text The message text
+   * @param {function(string, Object): void} onChunk Called with (textDelta, rawChunk) for each chunk
+   * @param {Object} [options] Same options as sendMessage()
+   * @returns {string|Object} Same final value as sendMessage()
+   * 
+   * @example
+   * const chat = ai.startChat();
+   * chat.sendMessageStream('Tell me a story', (delta) => console.log(delta));
+   */
+  sendMessageStream(text, onChunk, options = {}) {
+    return this.sendMessage(text, this.ai._withStreamCallback(onChunk, options));
+  }
+
+  /**
+   * Send a message with an image
+   * 
+   * @param {string} text The message text
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} image Image file(s), URL(s), file ID(s), or file URI object(s)
+   * @param {{schema: Object, mimeType: string|Array<string>}} [options] Options for the request
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @param {string|Array<string>} [options.mimeType] MIME type (required for URLs and file IDs, or array for multiple)
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * const chat = ai.startChat();
+   * const response = chat.sendMessageWithImage('What is this?', imageUrl, { mimeType: 'image/jpeg' });
+   * 
+   * @example
+   * // With file ID
+   * const response = chat.sendMessageWithImage('What is this?', 'FILE_ID_HERE', { mimeType: 'image/jpeg' });
+   * 
+   * @example
+   * // Multiple images
+   * const response = chat.sendMessageWithImage('Compare these', [img1, img2], { mimeType: ['image/jpeg', 'image/png'] });
+   * 
+   * @example
+   * // With structured output
+   * const schema = { type: 'object', properties: { objects: { type: 'array', items: { type: 'string' } } } };
+   * const response = chat.sendMessageWithImage('List objects in image', imageBlob, { schema });
+   */
+  sendMessageWithImage(text, image, options = {}) {
+    // Single image or array of images
+    const parts = [{ text: text }].concat(
+      this.ai._prepareFileParts(image, 'image', options.mimeType)
+    );
+
+    return this._sendMessage(parts, options);
+  }
+
+  /**
+   * Send a message with a file (PDF, audio, video, etc.)
+   * 
+   * @param {string} text The message text
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file File(s), URL(s), file ID(s), or file URI object(s)
+   * @param {{schema: Object, mimeType: string|Array<string>}} [options] Options for the request
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @param {string|Array<string>} [options.mimeType] MIME type (required for URLs and file IDs, or array for multiple)
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * const chat = ai.startChat();
+   * const response = chat.sendMessageWithFile('Transcribe this', audioFile);
+   * 
+   * @example
+   * // With file ID
+   * const response = chat.sendMessageWithFile('Transcribe this', 'FILE_ID_HERE', { mimeType: 'audio/mpeg' });
+   * 
+   * @example
+   * // Multiple files
+   * const response = chat.sendMessageWithFile('Compare these', [file1, file2], { mimeType: ['audio/mpeg', 'audio/wav'] });
+   * 
+   * @example
+   * // With structured output (schema)
+   * const uploadedFile = ai.uploadFile(myBlob, 'audio/mpeg');
+   * const schema = { type: 'object', properties: { transcription: { type: 'string' } } };
+   * const response = chat.sendMessageWithFile(
+   *   'Transcribe this audio',
+   *   { uri: uploadedFile.uri, mimeType: uploadedFile.mimeType },
+   *   { schema }  // Schema goes in third parameter, not second!
+   * );
+   */
+  sendMessageWithFile(text, file, options = {}) {
+    // Single file or array of files
+    const parts = [{ text: text }].concat(
+      this.ai._prepareFileParts(file, 'file', options.mimeType)
+    );
+
+    return this._sendMessage(parts, options);
+  }
+
+  /**
+   * Send results for function calls returned in manual tool mode
+   * Use this after a message sent with { autoExecuteTools: false } returned pending functionCalls
+   * 
+   * @param {Array<{name: string, response: *, id: string}>} results Result for each pending function call
+   * @param {Object} [options] Options for the request (same as sendMessage)
+   * @returns {string|Object} Response text, parsed JSON if schema provided, or pending calls in manual mode
+   * 
+   * @example
+   * const result = chat.sendMessage('What is the weather in Paris?', { autoExecuteTools: false });
+   * const responses = result.functionCalls.map(call => ({
+   *   name: call.name,
+   *   id: call.id,
+   *   response: myWeatherLookup(call.args)
+   * }));
+   * const answer = chat.sendFunctionResponses(responses);
+   */
+  sendFunctionResponses(results, options = {}) {
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new GeminiAppValidationError('sendFunctionResponses requires a non-empty array of results');
+    }
+
+    const parts = results.map(result => this.ai._buildFunctionResponsePart(result, result.response));
+    return this._sendMessage(parts, options);
+  }
+
+  /**
+   * Get chat history
+   * @returns {Array} Array of content objects
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Internal method to send message with parts
+   * @private
+   */
+  _sendMessage(parts, options = {}) {
+    // Add user message to history
+    this.history.push({
+      role: 'user',
+      parts: parts
+    });
+
+    // Chat-level tools are always available; per-message tools are added on top
+    // Session generation settings apply unless overridden for this message
+    const requestOptions = Object.assign({}, this.generationConfig, options, {
+      tools: this.tools.concat(options.tools || []),
+      safetySettings: _mergeSafetySettings(this.safetySettings, options.safetySettings),
+      cachedContent: options.cachedContent || this.cachedContent,
+      grounding: options.grounding || this.grounding,
+      codeExecution: options.codeExecution || this.codeExecution,
+      urlContext: options.urlContext || this.urlContext
+    });
+
+    // Make request - model turns (including function calls) are appended to history
+    return this.ai._generate(this.history, requestOptions, this.systemInstruction);
+  }
+}
+
+// ============================================================================
+// MAIN AI CLASS
+// ============================================================================
+
+/**
+ * Main GeminiApp class for interacting with Google's Gemini API
+ * @class
+ * @implements {GeminiAppInstance}
+ */
+class _GeminiApp {
+  /**
+   * @param {string} apiKey - Google AI API key (null in Vertex AI mode)
+   * @param {string|InstanceOptions} [modelOrOptions='gemini-2.5-flash'] - Model to use, or instance options
+   */
+  constructor(apiKey, modelOrOptions) {
+    const options = typeof modelOrOptions === 'string'
+      ? { model: modelOrOptions }
+      : (modelOrOptions || {});
+
+    if (!apiKey && !options.vertex) {
+      throw new GeminiAppValidationError('API key is required (or pass { vertex: { project } } to use Vertex AI)');
+    }
+
+    this.apiKey = apiKey || null;
+    this.transport = new _GeminiAppTransport(options.transport);
+    this.vertex = options.vertex ? this._buildVertexConfig(options.vertex) : null;
+    this.model = options.model || _GEMINI_APP_DEFAULT_MODELS.text;
+    this.generationConfig = _pickGenerationParams(options);
+    this.safetySettings = _mergeSafetySettings(options.safetySettings);
+    this.maxInputTokens = options.maxInputTokens || null;
+    // The models API is AI Studio only
+    this.validateModels = !this.vertex && options.validateModels !== false;
+    this.fallbackModels = options.fallbackModels || [];
+    this.fallbackAfter = options.fallbackAfter || 2;
+    this.responseCache = options.cache ? new _GeminiAppResponseCache(options.cache) : null;
+    this.modelInfo = {};
+    this.baseUrl = this.vertex
+      ? `${this.vertex.apiRoot}/${this.vertex.resourcePath}`
+      : 'https://generativelanguage.googleapis.com/v1beta';
+    this.fileManager = new _GeminiAppFileManager(apiKey, this.transport);
+    this.cacheManager = new _GeminiAppCacheManager(this);
+    this.batchManager = new _GeminiAppBatchManager(this);
+    this.tools = {};
+  }
+
+  /**
+   * Send a simple text prompt
+   * 
+   * @param {string} text The prompt text
+   * @param {{schema: Object, model: string}} [options] Options for the request
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @param {string} [options.model] Override default model
+   * @param {number} [options.temperature] Override instance default - also topP, topK, maxOutputTokens, stopSequences, seed, candidateCount
+   * @param {number} [options.thinkingBudget] Thinking token budget (0 = off where supported, -1 = dynamic)
+   * @param {boolean} [options.includeThoughts] Include thought summaries (returned in the full response's thoughts field)
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * const ai = GeminiApp.newInstance('YOUR_API_KEY');
+   * const response = ai.prompt('Explain quantum computing');
+   * console.log(response);
+   * 
+   * @example
+   * // Generation parameters
+   * const response = ai.prompt('Write a tagline', { temperature: 1.2, maxOutputTokens: 50, stopSequences: ['\n'] });
+   * 
+   * @example
+   * // With structured JSON
+   * const response = ai.prompt('List 3 colors', {
+   *   schema: {
+   *     type: 'object',
+   *     properties: {
+   *       colors: { type: 'array', items: { type: 'string' } }
+   *     },
+   *     required: ['colors']
+   *   }
+   * });
+   * console.log(response.colors);
+   */
+  prompt(text, options = {}) {
+    const contents = [{
+      role: 'user',
+      parts: [{ text: text }]
+    }];
+
+    return this._generate(contents, options);
+  }
+
+  /**
+   * Send a prompt with an image
+   * 
+   * @param {string} text - The prompt text
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object} image - Image as Drive file, Blob, URL string, or file URI object {uri: string, mimeType: string}
+   * @param {Object} [options] - Options
+   * @param {Object} [options.schema] - JSON schema for structured response
+   * @param {string} [options.model] - Override default model
+   * @param {string} [options.mimeType] - MIME type (required if image is a URL string)
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * // With Drive file
+   * const file = DriveApp.getFileById('FILE_ID');
+   * const response = ai.promptWithImage('What is in this image?', file);
+   * 
+   * @example
+   * // With URL (will be uploaded to Files API)
+   * const response = ai.promptWithImage('Describe this', 'https://example.com/image.jpg', {
+   *   mimeType: 'image/jpeg'
+   * });
+   * 
+   * @example
+   * // With pre-uploaded file URI
+   * const uploadedFile = ai.uploadFile('https://example.com/image.jpg', 'image/jpeg');
+   * const response = ai.promptWithImage('Describe this', {
+   *   uri: uploadedFile.uri,
+   *   mimeType: uploadedFile.mimeType
+   * });
+   */
+  /**
+   * Send a prompt with an image
+   * 
+   * @param {string} text The prompt text
+   * @param {Blob|string|Array<Blob|string>} image Image(s) as Blob, URL string, file ID string, or array of any
+   * @param {{mimeType: string|Array<string>, schema: Object, model: string}} [options] Options for the request
+   * @param {string|Array<string>} [options.mimeType] MIME type (required if image is a URL or file ID string, or array of mimeTypes if multiple images)
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @param {string} [options.model] Override default model
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * // Analyze single image
+   * const response = ai.promptWithImage('What is in this image?', imageBlob);
+   * console.log(response);
+   * 
+   * @example
+   * // With URL
+   * const response = ai.promptWithImage(
+   *   'Describe this image', 
+   *   'https://example.com/image.jpg',
+   *   { mimeType: 'image/jpeg' }
+   * );
+   * 
+   * @example
+   * // With Google Drive file ID
+   * const response = ai.promptWithImage(
+   *   'Describe this image', 
+   *   '1abc-XyZ123_FileID',
+   *   { mimeType: 'image/jpeg' }
+   * );
+   * 
+   * @example
+   * // With multiple images
+   * const response = ai.promptWithImage(
+   *   'Compare these images',
+   *   [url1, url2],
+   *   { mimeType: ['image/jpeg', 'image/png'] }
+   * );
+   */
+  promptWithImage(text, image, options = {}) {
+    // Single image or array of images
+    const parts = [{ text: text }].concat(
+      this._prepareFileParts(image, 'image', options.mimeType)
+    );
+
+    const contents = [{
+      role: 'user',
+      parts: parts
+    }];
+
+    return this._generate(contents, options);
+  }
+
+  /**
+   * Send a prompt with a file (PDF, audio, video, etc.)
+   * Supports Google Workspace files (Docs, Sheets, Slides) - automatically converted to PDF
+   * 
+   * @param {string} text The prompt text
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file File(s) as Drive file, Blob, URL string, file ID string, file URI object, or array of any
+   * @param {{mimeType: string|Array<string>, schema: Object, model: string}} options Options for the request
+   * @param {string|Array<string>} options.mimeType MIME type (required if file is a URL or file ID string, or array of mimeTypes if multiple files)
+   * @param {Object} [options.schema] JSON schema for structured response
+   * @param {string} [options.model] Override default model
+   * @returns {string|Object} Response text or parsed JSON if schema provided
+   * 
+   * @example
+   * // Transcribe audio from URL
+   * const response = ai.promptWithFile('Transcribe this audio', audioUrl, {
+   *   mimeType: 'audio/mpeg'
+   * });
+   * 
+   * @example
+   * // Use Google Drive file ID directly
+   * const response = ai.promptWithFile('Transcribe this audio', '1PqLDLIz-ZNnl5lDZSssf0BbTylzrW8GC', {
+   *   mimeType: 'audio/mpeg'
+   * });
+   * 
+   * @example
+   * // Analyze PDF with structured output
+   * const response = ai.promptWithFile('Summarize this document', pdfFile, {
+   *   mimeType: 'application/pdf',
+   *   schema: {
+   *     type: 'object',
+   *     properties: {
+   *       summary: { type: 'string' },
+   *       keyPoints: { type: 'array', items: { type: 'string' } }
+   *     },
+   *     required: ['summary', 'keyPoints']
+   *   }
+   * });
+   * 
+   * @example
+   * // Google Doc (automatically converted to PDF)
+   * const response = ai.promptWithFile(
+   *   'Summarize this document',
+   *   'https://docs.google.com/document/d/YOUR_DOC_ID/edit',
+   *   { mimeType: 'application/pdf' }
+   * );
+   * 
+   * @example
+   * // Multiple files
+   * const response = ai.promptWithFile(
+   *   'Compare these documents',
+   *   [pdfUrl1, pdfUrl2],
+   *   { mimeType: ['application/pdf', 'application/pdf'] }
+   * );
+   */
+  promptWithFile(text, file, options = {}) {
+    // Single file or array of files
+    const parts = [{ text: text }].concat(
+      this._prepareFileParts(file, 'file', options.mimeType)
+    );
+
+    const contents = [{
+      role: 'user',
+      parts: parts
+    }];
+
+    return this._generate(contents, options);
+  }
+
+  /**
+   * Send a text prompt and receive the response in chunks
+   * Uses streamGenerateContent (SSE). Apps Script buffers the HTTP body, so chunks are
+   * delivered in order once the request completes - useful for writing partial output
+   * progressively and for recovering partial text if the stream is cut off.
+   * 
+   * @param {string} text The prompt text
+   * @param {function(string, Object): void} onChunk Called with (textDelta, rawChunk) for each chunk
+   * @param {PromptOptions} [options] Same options as prompt()
+   * @returns {string|Object} Same final value as prompt()
+   * @throws {GeminiAppApiError} If the stream ends early - partial text is on error.partialText
+   * 
+   * @example
+   * const body = DocumentApp.getActiveDocument().getBody();
+   * const paragraph = body.appendParagraph('');
+   * ai.promptStream('Write a short story', (delta) => paragraph.appendText(delta));
+   */
+  promptStream(text, onChunk, options = {}) {
+    return this.prompt(text, this._withStreamCallback(onChunk, options));
+  }
+
+  /**
+   * Send a prompt with file(s) and receive the response in chunks
+   * 
+   * @param {string} text The prompt text
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file Same inputs as promptWithFile()
+   * @param {function(string, Object): void} onChunk Called with (textDelta, rawChunk) for each chunk
+   * @param {PromptOptions} [options] Same options as promptWithFile()
+   * @returns {string|Object} Same final value as promptWithFile()
+   * 
+   * @example
+   * const chunks = [];
+   * const summary = ai.promptWithFileStream('Summarize', pdfBlob, (delta) => chunks.push(delta));
+   */
+  promptWithFileStream(text, file, onChunk, options = {}) {
+    return this.promptWithFile(text, file, this._withStreamCallback(onChunk, options));
+  }
+
+  /**
+   * Count the tokens a prompt would use, via the countTokens endpoint
+   * Accepts the same file inputs as promptWithFile() (Drive files, Blobs, URLs,
+   * Drive IDs, Workspace URLs and file URI objects).
+   * 
+   * @param {string|Array<string|Object>} textOrParts Prompt text, or an array of text strings / content parts
+   * @param {Object} [options] Options
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} [options.file] File(s) to include, as in promptWithFile()
+   * @param {string|Array<string>} [options.mimeType] MIME type(s) for file URLs
+   * @param {string} [options.systemInstruction] System instruction to include in the count
+   * @param {Array<ToolDefinition>} [options.tools] Extra tools to include in the count
+   * @param {string} [options.model] Override default model
+   * @returns {{totalTokens: number, cachedContentTokenCount: number, promptTokensDetails: Array<Object>}} Token count
+   * 
+   * @example
+   * const count = ai.countTokens('Summarize this report', { file: 'DRIVE_FILE_ID' });
+   * console.log(count.totalTokens);
+   */
+  countTokens(textOrParts, options = {}) {
+    const inputs = Array.isArray(textOrParts) ? textOrParts : [textOrParts];
+
+    // Full contents (with parts) are passed through; anything else is a part or text
+    const contents = inputs.every(item => item && typeof item === 'object' && Array.isArray(item.parts))
+      ? inputs.slice()
+      : [{
+        role: 'user',
+        parts: inputs
+          .filter(item => item !== undefined && item !== null && item !== '')
+          .map(item => typeof item === 'string' ? { text: item } : item)
+      }];
+
+    if (options.file) {
+      // Copy the last content so the caller's contents are not changed
+      const last = contents[contents.length - 1];
+      contents[contents.length - 1] = Object.assign({}, last, {
+        parts: last.parts.concat(this._prepareFileParts(options.file, 'file', options.mimeType))
+      });
+    }
+
+    const request = this._buildRequest(contents, options, options.systemInstruction, this._collectTools(options.tools));
+    return this._countRequestTokens(request, options.model);
+  }
+
+  /**
+   * Create embeddings for one or more texts
+   * A single string uses embedContent; arrays use batchEmbedContents and are split
+   * into batches of 100 automatically.
+   * 
+   * @param {string|Array<string>} text Text or array of texts
+   * @param {Object} [options] Options
+   * @param {string} [options.taskType] Task type, e.g. 'RETRIEVAL_DOCUMENT', 'RETRIEVAL_QUERY', 'SEMANTIC_SIMILARITY'
+   * @param {number} [options.outputDimensionality] Truncate embeddings to this many dimensions
+   * @param {string} [options.title] Document title (only with taskType 'RETRIEVAL_DOCUMENT')
+   * @param {string} [options.model='gemini-embedding-001'] Embedding model
+   * @returns {Array<number>|Array<Array<number>>} Embedding vector, or one vector per input text
+   * 
+   * @example
+   * const vector = ai.embed('Hello world');
+   * 
+   * @example
+   * const vectors = ai.embed(rows.map(r => r[0]), { taskType: 'CLUSTERING', outputDimensionality: 256 });
+   */
+  embed(text, options = {}) {
+    this._requireApiKeyMode('embed()');
+    const model = options.model || _GEMINI_APP_DEFAULT_MODELS.embedding;
+    const texts = Array.isArray(text) ? text : [text];
+
+    if (texts.length === 0 || texts.some(item => typeof item !== 'string' || item === '')) {
+      throw new GeminiAppValidationError('embed requires a non-empty string or an array of non-empty strings');
+    }
+    if (options.taskType && !_GEMINI_APP_EMBEDDING_TASK_TYPES.includes(options.taskType)) {
+      throw new GeminiAppValidationError(
+        `Unknown taskType '${options.taskType}'. Valid task types: ${_GEMINI_APP_EMBEDDING_TASK_TYPES.join(', ')}`
+      );
+    }
+    if (options.outputDimensionality !== undefined &&
+      (!Number.isInteger(options.outputDimensionality) || options.outputDimensionality < 1)) {
+      throw new GeminiAppValidationError('outputDimensionality must be a positive integer');
+    }
+
+    const buildRequest = (item) => {
+      const request = {
+        model: `models/${model}`,
+        content: { parts: [{ text: item }] }
+      };
+      if (options.taskType) {
+        request.taskType = options.taskType;
+      }
+      if (options.outputDimensionality) {
+        request.outputDimensionality = options.outputDimensionality;
+      }
+      if (options.title) {
+        request.title = options.title;
+      }
+      return request;
+    };
+
+    if (!Array.isArray(text)) {
+      const response = this._makeRequest('embedContent', buildRequest(text), model);
+      return response.embedding.values;
+    }
+
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += _GEMINI_APP_EMBEDDING_BATCH_LIMIT) {
+      const batch = texts.slice(start, start + _GEMINI_APP_EMBEDDING_BATCH_LIMIT);
+      const response = this._makeRequest('batchEmbedContents', { requests: batch.map(buildRequest) }, model);
+      (response.embeddings || []).forEach(embedding => vectors.push(embedding.values));
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Generate or edit images with an image-capable model
+   * Input images are accepted in any form promptWithImage() takes, for editing or
+   * combining images.
+   * 
+   * @param {string} prompt Description of the image to create, or the edit to make
+   * @param {Object} [options] Options (also accepts prompt options such as temperature and safetySettings)
+   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} [options.inputImages] Image(s) to edit or combine
+   * @param {string|Array<string>} [options.mimeType] MIME type(s) for input image URLs
+   * @param {number} [options.count=1] Number of generations (one request each)
+   * @param {string} [options.aspectRatio] Aspect ratio, e.g. '16:9'
+   * @param {string} [options.model='gemini-2.5-flash-image'] Image model
+   * @returns {{images: Array<GoogleAppsScript.Base.Blob>, text: string}} Generated images and any accompanying text
+   * 
+   * @example
+   * const result = ai.generateImage('A watercolor fox reading a newspaper');
+   * GeminiApp.saveToDrive(result.images, 'FOLDER_ID');
+   * 
+   * @example
+   * // Edit an existing image
+   * const edited = ai.generateImage('Make the sky purple', { inputImages: 'DRIVE_FILE_ID' });
+   */
+  generateImage(prompt, options = {}) {
+    const count = options.count === undefined ? 1 : options.count;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new GeminiAppValidationError('count must be a positive integer');
+    }
+
+    const parts = [{ text: prompt }];
+    if (options.inputImages) {
+      parts.push(...this._prepareFileParts(options.inputImages, 'image', options.mimeType));
+    }
+
+    // Instance generation defaults are meant for text models, so only per-call options apply
+    const requestOptions = Object.assign({ responseModalities: ['TEXT', 'IMAGE'] }, options, {
+      model: options.model || _GEMINI_APP_DEFAULT_MODELS.image,
+      returnFullResponse: true,
+      skipInstanceDefaults: true
+    });
+
+    const images = [];
+    const texts = [];
+
+    // Image models return one candidate per request, so each generation is its own call
+    for (let i = 0; i < count; i++) {
+      const result = this._generate([{ role: 'user', parts: parts }], requestOptions, null, {});
+      images.push(...result.images);
+      if (result.text) {
+        texts.push(result.text);
+      }
+    }
+
+    // Number the images across all calls so names stay unique
+    images.forEach((image, index) => image.setName(image.getName().replace(/^image-\d+/, `image-${index + 1}`)));
+
+    if (images.length === 0) {
+      throw new GeminiAppApiError(
+        'The model did not return an image. ' + (texts.length > 0 ? `Model said: ${texts.join(' ').substring(0, 200)}` : ''),
+        400,
+        null
+      );
+    }
+
+    return { images: images, text: texts.join('\n') };
+  }
+
+  /**
+   * Convert text to speech with a TTS model
+   * The model returns raw 16-bit PCM, which is wrapped in a WAV header so the Blob
+   * can be played, saved to Drive or attached to an email as is.
+   * 
+   * @param {string} text Text to read. For multiple speakers, prefix lines with the speaker names.
+   * @param {Object} [options] Options
+   * @param {string} [options.voice='Kore'] Prebuilt voice for a single speaker (e.g. 'Kore', 'Puck', 'Charon')
+   * @param {Object<string, string>|Array<{speaker: string, voice: string}>} [options.speakers] Voice per speaker (max 2)
+   * @param {string} [options.name='speech.wav'] File name of the returned Blob
+   * @param {string} [options.model='gemini-2.5-flash-preview-tts'] TTS model
+   * @returns {GoogleAppsScript.Base.Blob} WAV audio
+   * 
+   * @example
+   * const audio = ai.speak('Say cheerfully: Good morning team!', { voice: 'Puck' });
+   * DriveApp.createFile(audio);
+   * 
+   * @example
+   * // Two speakers
+   * const audio = ai.speak('Joe: How was the launch?\nJane: Better than expected!', {
+   *   speakers: { Joe: 'Charon', Jane: 'Kore' }
+   * });
+   * GmailApp.sendEmail(to, 'Daily briefing', 'Audio attached', { attachments: [audio] });
+   */
+  speak(text, options = {}) {
+    if (typeof text !== 'string' || text === '') {
+      throw new GeminiAppValidationError('speak requires non-empty text');
+    }
+
+    const model = options.model || _GEMINI_APP_DEFAULT_MODELS.speech;
+    const toVoiceConfig = (voice) => {
+      const voiceName = _GEMINI_APP_TTS_VOICES.find(name => name.toLowerCase() === String(voice).toLowerCase());
+      if (!voiceName) {
+        throw new GeminiAppValidationError(
+          `Unknown voice '${voice}'. Available voices: ${_GEMINI_APP_TTS_VOICES.join(', ')}`
+        );
+      }
+      return { prebuiltVoiceConfig: { voiceName: voiceName } };
+    };
+
+    let speechConfig;
+    if (options.speakers) {
+      const speakers = Array.isArray(options.speakers)
+        ? options.speakers
+        : Object.keys(options.speakers).map(speaker => ({ speaker: speaker, voice: options.speakers[speaker] }));
+
+      if (speakers.length === 0 || speakers.length > 2) {
+        throw new GeminiAppValidationError(`speakers must define 1 or 2 speakers (got ${speakers.length})`);
+      }
+
+      speechConfig = {
+        multiSpeakerVoiceConfig: {
+          speakerVoiceConfigs: speakers.map(entry => ({
+            speaker: entry.speaker,
+            voiceConfig: toVoiceConfig(entry.voice)
+          }))
+        }
+      };
+    } else {
+      speechConfig = { voiceConfig: toVoiceConfig(options.voice || 'Kore') };
+    }
+
+    const request = this._buildRequest(
+      [{ role: 'user', parts: [{ text: text }] }],
+      // Instance generation defaults are meant for text models
+      Object.assign({}, options, { responseModalities: ['AUDIO'], skipInstanceDefaults: true }),
+      null,
+      {}
+    );
+    request.generationConfig.speechConfig = speechConfig;
+
+    const response = this._makeRequest('generateContent', request, model);
+    this._formatResponse(response, null);
+
+    const audioParts = (response.candidates[0].content?.parts || []).filter(part => part.inlineData);
+    if (audioParts.length === 0) {
+      throw new GeminiAppApiError('The model did not return audio', 400, response);
+    }
+
+    // e.g. 'audio/L16;codec=pcm;rate=24000'
+    const rateMatch = audioParts[0].inlineData.mimeType.match(/rate=(\d+)/);
+    const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000;
+    const pcm = [];
+    audioParts.forEach(part => {
+      Utilities.base64Decode(part.inlineData.data).forEach(byte => pcm.push(byte));
+    });
+
+    return Utilities.newBlob(_pcmToWav(pcm, sampleRate), 'audio/wav', options.name || 'speech.wav');
+  }
+
+  /**
+   * List the models available to this API key
+   * 
+   * @param {Object} [options] Options
+   * @param {string} [options.method] Only models supporting this generation method (e.g. 'generateContent', 'embedContent')
+   * @returns {Array<ModelInfo>} Models with token limits, supported methods and thinking support
+   * 
+   * @example
+   * ai.listModels({ method: 'generateContent' }).forEach(model => {
+   *   console.log(model.name, model.inputTokenLimit, model.thinking);
+   * });
+   */
+  listModels(options = {}) {
+    this._requireApiKeyMode('listModels()');
+    const models = [];
+    let pageToken = null;
+
+    do {
+      const query = 'pageSize=1000' + (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '');
+      const response = JSON.parse(this._fetchWithRetry(this._apiUrl(`models?${query}`), undefined, 'get'));
+      (response.models || []).forEach(model => models.push(this._toModelInfo(model)));
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+
+    return options.method
+      ? models.filter(model => model.supportedGenerationMethods.includes(options.method))
+      : models;
+  }
+
+  /**
+   * Get metadata for a model (cached for the rest of the execution)
+   * 
+   * @param {string} [name] Model name, with or without the 'models/' prefix (default: instance model)
+   * @returns {ModelInfo} Token limits, supported methods, thinking support and sampling defaults
+   * 
+   * @example
+   * const model = ai.getModel('gemini-2.5-pro');
+   * console.log(model.inputTokenLimit, model.outputTokenLimit);
+   */
+  getModel(name) {
+    this._requireApiKeyMode('getModel()');
+    const modelName = (name || this.model).replace(/^models\//, '');
+
+    if (!this.modelInfo[modelName]) {
+      const response = JSON.parse(this._fetchWithRetry(this._apiUrl(`models/${modelName}`), undefined, 'get'));
+      this.modelInfo[modelName] = this._toModelInfo(response);
     }
 
-    return null;
+    return this.modelInfo[modelName];
   }
 
   /**
-   * Upload a Drive file to the Gemini Files API
+   * Register a tool (function) that the model can call from any prompt or chat
+   * When the model requests a call, the handler runs and its result is sent back
+   * automatically until the model returns a final answer.
    * 
-   * @param {GoogleAppsScript.Drive.File|Blob} file - Drive file or Blob
-   * @param {string} [displayName] - Optional display name
-   * @returns {Object} File object with uri property
-   * @throws {GeminiAppApiError} If upload fails
+   * @param {ToolDefinition} tool Tool declaration with a handler
+   * @param {string} tool.name Function name (letters, digits, underscores, dashes)
+   * @param {string} tool.description What the function does - the model uses this to decide when to call it
+   * @param {Object} [tool.parameters] JSON schema for the function arguments
+   * @param {function(Object, Object): *} [tool.handler] Called with (args, functionCall); return value is sent to the model
+   * @returns {_GeminiApp} This instance (for chaining)
    * 
    * @example
-   * const file = DriveApp.getFileById('FILE_ID');
-   * const uploadedFile = fileManager.uploadDriveFile(file);
+   * ai.registerTool({
+   *   name: 'lookupRow',
+   *   description: 'Find a customer row in the CRM sheet by email',
+   *   parameters: {
+   *     type: 'object',
+   *     properties: { email: { type: 'string' } },
+   *     required: ['email']
+   *   },
+   *   handler: (args) => findCustomerByEmail(args.email)
+   * });
+   * const answer = ai.prompt('When did jane@example.com last order?');
+   */
+  registerTool(tool) {
+    this._validateTool(tool);
+    this.tools[tool.name] = tool;
+    return this;
+  }
+
+  /**
+   * Remove a previously registered tool
+   * 
+   * @param {string} name Tool name
+   * @returns {_GeminiApp} This instance (for chaining)
+   */
+  unregisterTool(name) {
+    delete this.tools[name];
+    return this;
+  }
+
+  /**
+   * Start a chat session
+   * 
+   * @param {{history: Array, systemInstruction: string}} [options] Chat options
+   * @param {Array} [options.history] Initial chat history
+   * @param {string} [options.systemInstruction] System instruction
+   * @param {Array<ToolDefinition>} [options.tools] Tools available for every message in the chat
+   * @param {number} [options.temperature] Session default - also topP, topK, maxOutputTokens, stopSequences, seed, candidateCount, thinkingBudget, includeThoughts
+   * @param {Array<Object>|Object<string, string>} [options.safetySettings] Session safety thresholds by harm category
+   * @param {string} [options.cachedContent] Cached content name used for every message
+   * @param {string|Object} [options.grounding] Ground every message with Google Search ('googleSearch' or 'googleSearchRetrieval')
+   * @param {boolean} [options.codeExecution] Let the model write and run Python for every message
+   * @param {boolean} [options.urlContext] Let the model read URLs mentioned in any message
+   * @returns {_GeminiAppChat} Chat session instance
+   * 
+   * @example
+   * const chat = ai.startChat({
+   *   systemInstruction: 'You are a helpful coding assistant.',
+   *   temperature: 0.3
+   * });
+   * 
+   * const response1 = chat.sendMessage('How do I sort an array in JavaScript?');
+   * const response2 = chat.sendMessage('Can you show me an example?');
+   */
+  startChat(options = {}) {
+    return new _GeminiAppChat(this, options);
+  }
+
+  /**
+   * Upload a file from URL or Drive ID to Files API
+   * Returns a file object with URI that can be reused
+   * 
+   * @param {string} urlOrId URL of the file or Google Drive file ID
+   * @param {string} [mimeType] MIME type (required for URLs, not needed for Drive IDs)
+   * @param {string} [displayName] Optional display name
+   * @returns {Object} File object with uri, name, mimeType, etc.
+   * 
+   * @example
+   * // From URL
+   * const file = ai.uploadFile('https://example.com/large-video.mp4', 'video/mp4');
+   * 
+   * // From Drive ID (mimeType not needed)
+   * const file = ai.uploadFile('1abc...xyz');
+   * 
+   * // Later use the file URI
+   * const response = ai.promptWithFile('Describe this video', {
+   *   uri: file.uri,
+   *   mimeType: file.mimeType
+   * });
+   */
+  uploadFile(urlOrId, mimeType, displayName) {
+    this._requireApiKeyMode('The Files API', 'Pass Cloud Storage (gs://) URIs or Drive files instead.');
+
+    // Check if it's a Drive file ID (not a URL)
+    if (this._isDriveFileId(urlOrId)) {
+      try {
+        const driveFile = DriveApp.getFileById(urlOrId);
+        return this.fileManager.uploadDriveFile(driveFile, displayName);
+      } catch (e) {
+        throw new GeminiAppValidationError(`Failed to access Drive file with ID '${urlOrId}': ${e.message}`);
+      }
+    }
+
+    // It's a URL
+    return this.fileManager.uploadFromUrl(urlOrId, mimeType, displayName);
+  }
+
+  /**
+   * Upload a Drive file to Files API
+   * 
+   * @param {GoogleAppsScript.Drive.File|Blob} file Drive file or Blob
+   * @param {string} [displayName] Optional display name
+   * @returns {Object} File object with uri
+   * 
+   * @example
+   * const driveFile = DriveApp.getFileById('FILE_ID');
+   * const uploadedFile = ai.uploadDriveFile(driveFile);
+   * const response = ai.promptWithFile('Analyze this', {
+   *   uri: uploadedFile.uri,
+   *   mimeType: uploadedFile.mimeType
+   * });
    */
   uploadDriveFile(file, displayName) {
+    this._requireApiKeyMode('The Files API', 'Pass Cloud Storage (gs://) URIs or Drive files instead.');
+    return this.fileManager.uploadDriveFile(file, displayName);
+  }
+
+  /**
+   * Delete a file from the Files API
+   * 
+   * @param {string} fileUri File URI or name (e.g., 'files/abc123' or full URI)
+   * @returns {Object} Result with success property
+   * 
+   * @example
+   * const file = ai.uploadFile('https://example.com/image.jpg', 'image/jpeg');
+   * // ... use the file ...
+   * ai.deleteFile(file.name); // or ai.deleteFile(file.uri)
+   */
+  deleteFile(fileUri) {
+    this._requireApiKeyMode('The Files API', 'Pass Cloud Storage (gs://) URIs or Drive files instead.');
+    // Extract file name from URI if needed
+    const fileName = fileUri.includes('/') ? fileUri.split('/').pop() : fileUri;
+    return this.fileManager.deleteFile(fileName);
+  }
+
+  /**
+   * Get access to the file manager for advanced operations
+   * @returns {_GeminiAppFileManager} File manager instance
+   */
+  getFileManager() {
+    this._requireApiKeyMode('The Files API', 'Pass Cloud Storage (gs://) URIs or Drive files instead.');
+    return this.fileManager;
+  }
+
+  /**
+   * Get access to the cache manager for context caching
+   * @returns {_GeminiAppCacheManager} Cache manager instance
+   * 
+   * @example
+   * const caches = ai.getCacheManager();
+   * const cache = caches.createFromFiles(pdfBlob, { key: 'contract', ttl: 3600 });
+   * ai.prompt('List the termination clauses', { cachedContent: cache.name });
+   */
+  getCacheManager() {
+    return this.cacheManager;
+  }
+
+  /**
+   * Get access to the batch manager for Batch API jobs
+   * @returns {_GeminiAppBatchManager} Batch manager instance
+   * 
+   * @example
+   * const job = ai.getBatchManager().submit(['Translate: hello', 'Translate: goodbye']);
+   * // Later (another execution)
+   * const results = ai.getBatchManager().getResults(job.name);
+   */
+  getBatchManager() {
+    this._requireApiKeyMode('The Batch API');
+    return this.batchManager;
+  }
+
+  // ==========================================================================
+  // INTERNAL METHODS
+  // ==========================================================================
+
+  /**
+   * Prepare file parts for a single file or an array of files
+   * mimeType may be a single MIME type or an array matching the files
+   * @private
+   */
+  _prepareFileParts(file, type, mimeType) {
+    if (Array.isArray(file)) {
+      const mimeTypes = Array.isArray(mimeType) ? mimeType : [];
+      return file.map((f, index) => this._prepareFilePart(f, type, mimeTypes[index] || mimeType));
+    }
+
+    return [this._prepareFilePart(file, type, mimeType)];
+  }
+
+  /**
+   * Prepare a file part for the API request
+   * Handles Drive files, Blobs, URLs, file IDs, and file URI objects
+   * @private
+   */
+  _prepareFilePart(file, type = 'file', mimeType) {
+    // Already a file URI object
+    if (file && typeof file === 'object' && file.uri && file.mimeType) {
+      return {
+        fileData: {
+          mimeType: file.mimeType,
+          fileUri: file.uri
+        }
+      };
+    }
+
+    if (typeof file === 'string' && file.indexOf('gs://') === 0) {
+      if (!this.vertex) {
+        throw new GeminiAppValidationError(
+          'Cloud Storage (gs://) URIs are only supported in Vertex AI mode. Upload the file with ai.uploadFile() instead.'
+        );
+      }
+      if (!mimeType) {
+        throw new GeminiAppValidationError(
+          'mimeType is required for Cloud Storage URIs. Example: ai.promptWithFile(text, "gs://bucket/report.pdf", { mimeType: "application/pdf" })'
+        );
+      }
+      return { fileData: { mimeType: mimeType, fileUri: file } };
+    }
+
+    // Vertex AI has no Files API - Drive files are sent inline, other URLs by reference
+    if (typeof file === 'string' && this.vertex) {
+      return this._prepareVertexFilePart(file, mimeType);
+    }
+
+    // String input - could be URL or file ID
+    if (typeof file === 'string') {
+      // Check if it's a plain file ID (no slashes, just alphanumeric and dashes)
+      const isPlainFileId = /^[a-zA-Z0-9_-]+$/.test(file) && !file.includes('/') && !file.includes('.');
+
+      // Check if it's a Google Workspace URL (docs, sheets, slides, drive)
+      const isWorkspaceUrl = file.includes('docs.google.com/') ||
+        file.includes('sheets.google.com/') ||
+        file.includes('slides.google.com/') ||
+        file.includes('drive.google.com/');
+
+      if (isPlainFileId || isWorkspaceUrl) {
+        // It's a Google Workspace file ID or URL - use DriveApp directly
+        // No mimeType needed - detected automatically during upload
+        try {
+          let driveFile;
+          if (isPlainFileId) {
+            driveFile = DriveApp.getFileById(file);
+          } else {
+            // Extract file ID from Google Workspace URL
+            const fileIdMatch = file.match(/[-\w]{25,}/);
+            if (!fileIdMatch) {
+              throw new Error('Could not extract file ID from Google Workspace URL');
+            }
+            driveFile = DriveApp.getFileById(fileIdMatch[0]);
+          }
+
+          const uploadedFile = this.fileManager.uploadDriveFile(driveFile);
+          return {
+            fileData: {
+              mimeType: uploadedFile.mimeType,
+              fileUri: uploadedFile.uri
+            }
+          };
+        } catch (error) {
+          throw new GeminiAppApiError(
+            `Cannot access Google Drive file '${file}'. Please ensure:\n` +
+            `1. You have permission to access the file\n` +
+            `2. The file ID/URL is correct\n` +
+            `3. The file hasn't been deleted\n` +
+            `Original error: ${error.message}`,
+            403,
+            null
+          );
+        }
+      }
+
+      // It's a regular URL (not Google Workspace) - mimeType is required
+      if (!mimeType) {
+        throw new GeminiAppValidationError(
+          'mimeType is required when providing a URL or file ID string. ' +
+          'Example: ai.promptWithFile(text, url, { mimeType: "audio/mpeg" })'
+        );
+      }
+
+      // Upload URL to Files API (handles both public URLs and private Google Workspace files)
+      const uploadedFile = this.fileManager.uploadFromUrl(file, mimeType);
+      return {
+        fileData: {
+          mimeType: uploadedFile.mimeType,
+          fileUri: uploadedFile.uri
+        }
+      };
+    }
+
+    // Drive file or Blob - convert to inline data
     const blob = file.getBlob ? file.getBlob() : file;
     const bytes = blob.getBytes();
-    const mimeType = blob.getContentType();
-    const name = displayName || blob.getName();
+    const base64Data = Utilities.base64Encode(bytes);
+    const detectedMimeType = blob.getContentType();
 
-    return this._uploadBytesSimple(bytes, mimeType, name);
+    return {
+      inlineData: {
+        mimeType: detectedMimeType,
+        data: base64Data
+      }
+    };
   }
 
   /**
-   * Internal method to upload file bytes using resumable upload
+   * Prepare a Drive ID or URL for Vertex AI
+   * Drive and Workspace files become inline data (Docs, Sheets and Slides as PDF);
+   * other URLs are passed as fileData, which Vertex AI fetches itself.
    * @private
    */
-  _uploadBytesSimple(bytes, mimeType, displayName) {
-    // Use resumable upload - this is the standard way for the Gemini Files API
-    const boundary = '----GeminiAppBoundary' + Utilities.getUuid();
-
-    // Step 1: Create resumable session with metadata
-    const metadata = {
-      file: {
-        displayName: displayName
-      }
-    };
-
-    // Build initial request with metadata
-    const initialUrl = this.uploadBaseUrl + '?key=' + this.apiKey;
-    const initialOptions = {
-      method: 'post',
-      contentType: 'application/json',
-      payload: JSON.stringify(metadata),
-      muteHttpExceptions: true,
-      headers: {
-        'X-Goog-Upload-Protocol': 'resumable',
-        'X-Goog-Upload-Command': 'start',
-        'X-Goog-Upload-Header-Content-Type': mimeType,
-        'X-Goog-Upload-Header-Content-Length': bytes.length
-      }
-    };
+  _prepareVertexFilePart(file, mimeType) {
+    const driveId = this._isDriveFileId(file)
+      ? file
+      : (this._isGoogleWorkspaceUrl(file) ? (file.match(/[-\w]{25,}/) || [])[0] : null);
 
-    const initialResponse = this._makeRequestWithRetry(initialUrl, initialOptions);
-
-    if (initialResponse.getResponseCode() !== 200) {
-      const responseText = initialResponse.getContentText();
-      let errorMsg = 'Unknown error';
-      try {
-        const data = JSON.parse(responseText);
-        errorMsg = data.error?.message || errorMsg;
-      } catch (e) {
-        errorMsg = responseText.substring(0, 200);
+    if (!driveId) {
+      if (!mimeType) {
+        throw new GeminiAppValidationError(
+          'mimeType is required when providing a URL. Example: ai.promptWithFile(text, url, { mimeType: "audio/mpeg" })'
+        );
       }
-      throw new GeminiAppApiError(
-        `Failed to start resumable upload: ${errorMsg}`,
-        initialResponse.getResponseCode(),
-        responseText
-      );
+      return { fileData: { mimeType: mimeType, fileUri: file } };
     }
 
-    // Get upload URL from response header
-    const headers = initialResponse.getHeaders();
-    const uploadUrl = headers['X-Goog-Upload-URL'] || headers['x-goog-upload-url'];
-
-    if (!uploadUrl) {
+    let blob;
+    try {
+      const driveFile = DriveApp.getFileById(driveId);
+      blob = driveFile.getMimeType().indexOf('application/vnd.google-apps.') === 0
+        ? driveFile.getAs('application/pdf')
+        : driveFile.getBlob();
+    } catch (error) {
       throw new GeminiAppApiError(
-        'No upload URL returned in response',
-        500,
-        initialResponse.getContentText()
+        `Cannot access Google Drive file '${file}'. Please ensure you have permission to access it. ` +
+        `Original error: ${error.message}`,
+        403,
+        null
       );
     }
 
-    // Step 2: Upload file content
-    const uploadOptions = {
-      method: 'post',
-      contentType: mimeType,
-      payload: bytes,
-      muteHttpExceptions: true,
-      headers: {
-        'X-Goog-Upload-Command': 'upload, finalize',
-        'X-Goog-Upload-Offset': '0'
+    return {
+      inlineData: {
+        mimeType: blob.getContentType(),
+        data: Utilities.base64Encode(blob.getBytes())
       }
     };
-
-    const uploadResponse = UrlFetchApp.fetch(uploadUrl, uploadOptions);
-
-    if (uploadResponse.getResponseCode() !== 200) {
-      const responseText = uploadResponse.getContentText();
-      let errorMsg = 'Unknown error';
-      try {
-        const data = JSON.parse(responseText);
-        errorMsg = data.error?.message || errorMsg;
-      } catch (e) {
-        errorMsg = responseText.substring(0, 200);
-      }
-      throw new GeminiAppApiError(
-        `File upload failed: ${errorMsg}`,
-        uploadResponse.getResponseCode(),
-        responseText
-      );
-    }
-
-    const uploadedFile = JSON.parse(uploadResponse.getContentText()).file;
-    return uploadedFile;
   }
 
   /**
-   * Get file metadata
-   * @param {string} fileName - Name of the file (e.g., 'files/abc123')
-   * @returns {Object} File metadata
+   * Run a generateContent request, executing any function calls the model makes
+   * Model turns and function responses are appended to `contents`, so chat
+   * sessions can pass their history and keep the full exchange.
+   * @private
+   * @param {Array<Object>} contents - Conversation contents (mutated)
+   * @param {Object} options - Prompt options
+   * @param {string} [systemInstruction] - System instruction text
+   * @param {Object<string, Object>} [tools] - Tools to declare (default: registered tools plus options.tools)
+   * @returns {string|Object} Formatted response, or pending function calls in manual mode
    */
-  getFile(fileName) {
-    const url = `${this.filesBaseUrl}/${fileName.replace('files/', '')}?key=${this.apiKey}`;
-    const response = this._makeRequestWithRetry(url, { method: 'get', muteHttpExceptions: true });
-
-    if (response.getResponseCode() !== 200) {
-      const data = JSON.parse(response.getContentText());
-      throw new GeminiAppApiError(
-        `Failed to get file: ${data.error?.message || 'Unknown error'}`,
-        response.getResponseCode(),
-        data
-      );
+  _generate(contents, options = {}, systemInstruction, tools = this._collectTools(options.tools)) {
+    const maxIterations = options.maxToolIterations || 10;
+    const autoExecute = options.autoExecuteTools !== false;
+    const usageTotals = [];
+    const maxSchemaRetries = options.schemaRetries === undefined ? 1 : options.schemaRetries;
+    let schemaRetries = 0;
+    let repairStart = null;
+
+    if (options.urls) {
+      this._addUrlContext(contents, options.urls);
     }
 
-    return JSON.parse(response.getContentText());
-  }
+    // Once a fallback model answers, the rest of the turn (tool calls, repairs, continuations) stays on it
+    const turn = { model: options.model || this.model };
 
-  /**
-   * Delete a file
-   * @param {string} fileName - Name of the file (e.g., 'files/abc123')
-   */
-  deleteFile(fileName) {
-    const cleanFileName = fileName.replace('files/', '');
-    const url = `${this.filesBaseUrl}/${cleanFileName}?key=${this.apiKey}`;
-    const options = {
-      method: 'delete',
-      muteHttpExceptions: true
-    };
+    // Schema repairs have their own limit (schemaRetries), so only tool call turns count here
+    let toolTurns = 0;
 
-    try {
-      const response = UrlFetchApp.fetch(url, options);
-      const statusCode = response.getResponseCode();
+    for (;;) {
+      let response = this._requestOnce(contents, options, systemInstruction, tools, turn);
+      usageTotals.push(response.usageMetadata || {});
 
-      // Success
-      if (statusCode === 200 || statusCode === 204) {
-        return { success: true };
+      // Truncated answers are completed before they are added to the conversation
+      if (options.autoContinue && this._isTruncated(response)) {
+        response = options.schema
+          ? this._continueStructured(contents, options, systemInstruction, tools, usageTotals, turn)
+          : this._continueText(contents, response, options, systemInstruction, tools, usageTotals, turn);
       }
 
-      // Already deleted / not found - treat as success
-      if (statusCode === 404) {
-        return { success: true, alreadyDeleted: true };
+      const content = response.candidates?.[0]?.content;
+      const functionCalls = this._extractFunctionCalls(response);
+
+      if (content) {
+        contents.push(content);
       }
 
-      // Other errors
-      const responseText = response.getContentText();
-      let errorMsg = 'Unknown error';
-      try {
-        const data = JSON.parse(responseText);
-        errorMsg = data.error?.message || errorMsg;
-      } catch (e) {
-        errorMsg = responseText;
+      if (functionCalls.length === 0 || !autoExecute) {
+        let result;
+        try {
+          result = functionCalls.length === 0
+            ? this._formatResponse(response, options.schema, options)
+            : this._formatFunctionCallResponse(response, functionCalls, options);
+        } catch (error) {
+          const canRepair = error instanceof GeminiAppSchemaError && content &&
+            response.candidates.length === 1 && schemaRetries < maxSchemaRetries;
+
+          if (!canRepair) {
+            this._removeRepairTurns(contents, repairStart);
+            throw error;
+          }
+
+          // Ask the model to fix its answer, then try again
+          schemaRetries++;
+          repairStart = repairStart === null ? contents.length - 1 : repairStart;
+          contents.push({ role: 'user', parts: [{ text: this._buildRepairMessage(error) }] });
+          continue;
+        }
+
+        this._removeRepairTurns(contents, repairStart);
+
+        if (options.returnFullResponse && Array.isArray(result)) {
+          result.forEach(candidate => {
+            candidate.model = turn.model;
+          });
+        } else if (options.returnFullResponse) {
+          result.model = turn.model;
+          // Report tokens for the whole function calling exchange, not just the last turn
+          if (usageTotals.length > 1) {
+            result.usage = this._sumUsage(usageTotals);
+          }
+        }
+        return result;
       }
 
-      throw new GeminiAppApiError(
-        `Failed to delete file: ${errorMsg}`,
-        statusCode,
-        responseText
-      );
-    } catch (error) {
-      // If it's already our error, re-throw
-      if (error instanceof GeminiAppApiError) {
-        throw error;
+      toolTurns++;
+      if (toolTurns >= maxIterations) {
+        throw new GeminiAppError(
+          `Function calling stopped after ${maxIterations} iterations without a final answer. ` +
+          `Increase options.maxToolIterations or check that your tool handlers return useful results.`
+        );
       }
-      // Network timeout or other error
-      throw new GeminiAppApiError(
-        `Delete request failed: ${error.message}`,
-        0,
-        error.toString()
-      );
+
+      // Execute every call from this turn (parallel calls) and answer them in one turn
+      contents.push({
+        role: 'user',
+        parts: functionCalls.map(call => this._executeFunctionCall(call, tools))
+      });
     }
   }
 
   /**
-   * Delete multiple files (useful for cleanup)
-   * @param {Array<string>} fileNames - Array of file names to delete
-   * @param {boolean} [showProgress=false] - Show progress during deletion
-   * @returns {Object} Result with success and failed arrays
+   * Build, check and send one generateContent request (streamed when onChunk is set)
+   * On repeated 429/503 errors the request moves down the fallbackModels chain; the
+   * model that answered is stored on `turn`, so later requests in the turn stay on it.
+   * @private
+   * @param {Array<Object>} contents - Conversation contents
+   * @param {Object} options - Prompt options
+   * @param {string} [systemInstruction] - System instruction text
+   * @param {Object} tools - Tools by name
+   * @param {{model: string, inputTokens: number}} [turn] - Model and token state shared by the requests of one turn
    */
-  deleteFiles(fileNames, showProgress = false) {
-    const results = {
-      success: [],
-      failed: []
-    };
+  _requestOnce(contents, options, systemInstruction, tools, turn = { model: options.model || this.model }) {
+    const request = this._buildRequest(contents, options, systemInstruction, tools);
+    this._checkInputTokens(request, Object.assign({}, options, { model: turn.model }), turn);
 
-    const total = fileNames.length;
-    for (let i = 0; i < total; i++) {
-      const fileName = fileNames[i];
+    const fallbackAfter = options.fallbackAfter || this.fallbackAfter;
+    const models = [options.model || this.model]
+      .concat(options.fallbackModels || this.fallbackModels)
+      .filter((model, index, list) => list.indexOf(model) === index);
+    const chain = models.slice(Math.max(models.indexOf(turn.model), 0));
 
-      if (showProgress && (i % 5 === 0 || i === total - 1)) {
-        console.log(`Deleting files: ${i + 1}/${total}`);
-      }
+    for (let i = 0; ; i++) {
+      const isLast = i === chain.length - 1;
+      // The last model in the chain gets the full retry budget
+      const maxRetries = isLast ? undefined : fallbackAfter;
 
       try {
-        const result = this.deleteFile(fileName);
-        results.success.push(fileName);
-
-        // Delay to avoid rate limiting
-        if (i < total - 1) {
-          Utilities.sleep(1000); // 1 second between deletes to avoid rate limits
-        }
+        const response = options.onChunk
+          ? this._makeStreamRequest(request, chain[i], options.onChunk, maxRetries)
+          : this._makeRequest('generateContent', request, chain[i], maxRetries, this._responseCacheSettings(options));
+        turn.model = chain[i];
+        // The next request of the turn resends this prompt and answer
+        const usage = response.usageMetadata || {};
+        turn.inputTokens = (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0);
+        return response;
       } catch (error) {
-        results.failed.push({ fileName, error: error.message });
+        const overloaded = error instanceof GeminiAppApiError && (error.statusCode === 429 || error.statusCode === 503);
+        if (isLast || !overloaded) {
+          throw error;
+        }
       }
     }
-
-    return results;
   }
 
   /**
-   * Delete all files (use with caution!)
-   * @param {number} [maxFiles=100] - Maximum number of files to delete
-   * @returns {Object} Result with deleted count and any errors
+   * Response cache and settings for a call, or null when caching is off
+   * Streaming calls and image or audio generation are never cached.
+   * @private
    */
-  deleteAllFiles(maxFiles = 100) {
-    const filesList = this.listFiles(maxFiles);
-    const fileNames = (filesList.files || []).map(f => f.name);
-
-    if (fileNames.length === 0) {
-      return { deleted: 0, failed: [] };
+  _responseCacheSettings(options) {
+    const media = (options.responseModalities || []).some(modality => modality === 'IMAGE' || modality === 'AUDIO');
+    if (options.onChunk || media || (!this.responseCache && !options.cache)) {
+      return null;
     }
 
-    console.log(`Found ${fileNames.length} files to delete...`);
-
-    // Filter out files that are still processing
-    const files = filesList.files || [];
-    const activeFiles = [];
-    const processingFiles = [];
+    const cache = this.responseCache || new _GeminiAppResponseCache();
+    return Object.assign(
+      { cache: cache, accept: response => this._isCacheable(response, options) },
+      cache.settingsFor(options.cache)
+    );
+  }
 
-    for (const file of files) {
-      if (file.state === 'PROCESSING') {
-        processingFiles.push(file.name);
-      } else {
-        activeFiles.push(file.name);
-      }
+  /**
+   * Check whether a response is a usable answer worth caching
+   * Function calls are kept as is; anything else must format without errors
+   * (no safety block or truncation, and valid against the schema).
+   * @private
+   */
+  _isCacheable(response, options) {
+    if (this._extractFunctionCalls(response).length > 0) {
+      return true;
     }
-
-    if (processingFiles.length > 0) {
-      console.log(`Skipping ${processingFiles.length} files that are still processing`);
+    if ((response.candidates || []).some(candidate => candidate.finishReason === 'MAX_TOKENS')) {
+      return false;
     }
 
-    if (activeFiles.length === 0) {
-      return {
-        deleted: 0,
-        failed: processingFiles.map(name => ({ fileName: name, error: 'File is still processing' }))
-      };
+    try {
+      this._formatResponse(response, options.schema, options);
+      return true;
+    } catch (error) {
+      return false;
     }
-
-    const results = this.deleteFiles(activeFiles, true); // Show progress
-
-    // Add processing files to failed list
-    processingFiles.forEach(name => {
-      results.failed.push({ fileName: name, error: 'File is still processing' });
-    });
-
-    return {
-      deleted: results.success.length,
-      failed: results.failed
-    };
   }
 
   /**
-   * List all uploaded files
-   * @param {number} [pageSize=10] - Number of files to return
-   * @returns {Object} Object with files array and nextPageToken
+   * Check whether a single-candidate response was cut off at maxOutputTokens
+   * @private
    */
-  listFiles(pageSize = 10) {
-    const url = `${this.filesBaseUrl}?key=${this.apiKey}&pageSize=${pageSize}`;
-    const response = this._makeRequestWithRetry(url, { method: 'get', muteHttpExceptions: true });
+  _isTruncated(response) {
+    return response.candidates?.length === 1 &&
+      response.candidates[0].finishReason === 'MAX_TOKENS' &&
+      this._extractFunctionCalls(response).length === 0;
+  }
 
-    if (response.getResponseCode() !== 200) {
-      const data = JSON.parse(response.getContentText());
-      throw new GeminiAppApiError(
-        `Failed to list files: ${data.error?.message || 'Unknown error'}`,
-        response.getResponseCode(),
-        data
-      );
+  /**
+   * Ask the model to continue a truncated text answer until it finishes
+   * Returns one response whose content holds the stitched text, so the conversation
+   * only records the complete answer.
+   * @private
+   */
+  _continueText(contents, response, options, systemInstruction, tools, usageTotals, turn) {
+    const maxContinuations = options.maxContinuations || 10;
+    const conversation = contents.slice();
+    const parts = (response.candidates[0].content?.parts || []).slice();
+    let last = response;
+
+    for (let round = 0; round < maxContinuations && this._isTruncated(last); round++) {
+      conversation.push(last.candidates[0].content || { role: 'model', parts: [{ text: '' }] });
+      conversation.push({ role: 'user', parts: [{ text: _GEMINI_APP_CONTINUE_PROMPT }] });
+
+      last = this._requestOnce(conversation, options, systemInstruction, tools, turn);
+      usageTotals.push(last.usageMetadata || {});
+      parts.push(...(last.candidates?.[0]?.content?.parts || []));
     }
 
-    return JSON.parse(response.getContentText());
+    const text = parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+    const thoughtParts = parts.filter(part => part.text && part.thought);
+
+    return this._withContent(last, thoughtParts.concat([{ text: text }]));
   }
 
   /**
-   * Extract filename from URL
+   * Re-request a truncated structured answer in parts and merge them into one object
+   * Objects are requested one top-level property at a time; arrays (at the top level
+   * or as a property) are requested in pages of items. Nested objects are requested
+   * whole, so a single property that is too long on its own can be truncated again.
    * @private
    */
-  _getFileNameFromUrl(url) {
-    try {
-      const parts = url.split('/');
-      const fileName = parts[parts.length - 1].split('?')[0];
-      return fileName || 'uploaded_file';
-    } catch (e) {
-      return 'uploaded_file';
+  _continueStructured(contents, options, systemInstruction, tools, usageTotals, turn) {
+    const schema = _normalizeSchema(options.schema);
+    // The truncated answer is dropped - the model regenerates the output part by part
+    const conversation = contents.slice();
+    const partOptions = Object.assign({}, options, { onChunk: undefined, autoContinue: false });
+    let lastResponse = null;
+    const send = (message, partSchema) => {
+      const part = this._requestPart(conversation, message, partSchema, partOptions, systemInstruction, tools, usageTotals, turn);
+      lastResponse = part.response;
+      return part.value;
+    };
+    let value;
+
+    if (schema.type === 'array') {
+      value = this._requestItemsInParts(send, schema, 'the list', options);
+    } else if (schema.type === 'object' && schema.properties && Object.keys(schema.properties).length > 0) {
+      value = {};
+      Object.keys(schema.properties).forEach(key => {
+        const property = schema.properties[key];
+
+        if (property.type === 'array') {
+          value[key] = this._requestItemsInParts(send, property, `only the "${key}" field`, options);
+          return;
+        }
+
+        const part = send(
+          `Your complete answer is too long for one response, so it is being collected in parts. Return only the "${key}" field.`,
+          { type: 'object', properties: { [key]: property }, required: (schema.required || []).includes(key) ? [key] : [] }
+        );
+        if (part[key] !== undefined) {
+          value[key] = part[key];
+        }
+      });
+    } else {
+      throw new GeminiAppError(
+        'autoContinue can only split object and array schemas. Increase maxOutputTokens for this request.'
+      );
     }
+
+    return this._withContent(this._withFinishReason(lastResponse, 'STOP'), [{ text: JSON.stringify(value) }]);
   }
 
   /**
-   * Make HTTP request with exponential backoff retry
+   * Request the items of an array schema page by page until the model says it is complete
    * @private
    */
-  _makeRequestWithRetry(url, options, maxRetries = 5) {
-    let lastError;
-
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const response = UrlFetchApp.fetch(url, options);
-        const statusCode = response.getResponseCode();
+  _requestItemsInParts(send, arraySchema, label, options) {
+    const maxParts = options.maxContinuations || 10;
+    const pageSchema = {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: arraySchema.items || {} },
+        complete: { type: 'boolean', description: 'true when no items are left after this part' }
+      },
+      required: ['items', 'complete']
+    };
+    const items = [];
+
+    for (let index = 0; index < maxParts; index++) {
+      const page = send(
+        index === 0
+          ? `Your complete answer is too long for one response, so it is being collected in parts. ` +
+          `Return ${label} in parts of at most ${_GEMINI_APP_CONTINUE_PAGE_SIZE} items. Return the first part now.`
+          : 'Return the next part, continuing after the last item you returned. Do not repeat items.',
+        pageSchema
+      );
 
-        // Success
-        if (statusCode >= 200 && statusCode < 300) {
-          return response;
-        }
+      items.push(...(page.items || []));
+      if (page.complete || !page.items || page.items.length === 0) {
+        return items;
+      }
+    }
 
-        // Retryable errors: 429 (rate limit), 500-599 (server errors)
-        if (statusCode === 429 || statusCode >= 500) {
-          lastError = new Error(`HTTP ${statusCode}: ${response.getContentText()}`);
+    throw new GeminiAppError(
+      `autoContinue stopped after ${maxParts} parts without a complete answer. Increase options.maxContinuations.`
+    );
+  }
 
-          // Exponential backoff: 1s, 2s, 4s, 8s, 16s
-          const delay = Math.pow(2, attempt) * 1000;
-          Utilities.sleep(delay);
-          continue;
-        }
+  /**
+   * Send one part request of a structured continuation and parse it
+   * @private
+   * @returns {{value: *, response: Object}} Parsed part and the raw response
+   */
+  _requestPart(conversation, message, schema, options, systemInstruction, tools, usageTotals, turn) {
+    conversation.push({ role: 'user', parts: [{ text: message }] });
 
-        // Non-retryable error
-        return response;
+    const response = this._requestOnce(conversation, Object.assign({}, options, { schema: schema }), systemInstruction, tools, turn);
+    usageTotals.push(response.usageMetadata || {});
 
-      } catch (error) {
-        lastError = error;
-        // Network errors are retryable
-        const delay = Math.pow(2, attempt) * 1000;
-        Utilities.sleep(delay);
-      }
+    if (this._isTruncated(response)) {
+      throw new GeminiAppError(
+        'A part of the continued answer was still cut off at maxOutputTokens. Increase maxOutputTokens for this request.'
+      );
     }
 
-    throw new GeminiAppApiError(
-      `Request failed after ${maxRetries} retries: ${lastError?.message || 'Unknown error'}`,
-      0,
-      null
-    );
+    const value = this._formatResponse(response, schema, { validateSchema: false });
+    conversation.push(response.candidates[0].content);
+    return { value: value, response: response };
   }
-}
 
-// ============================================================================
-// CHAT SESSION
-// ============================================================================
+  /**
+   * Copy a response with the first candidate's content replaced
+   * @private
+   */
+  _withContent(response, parts) {
+    const candidate = Object.assign({}, response.candidates[0], { content: { role: 'model', parts: parts } });
+    return Object.assign({}, response, { candidates: [candidate] });
+  }
 
-/**
- * Represents a chat session with context
- */
-class _GeminiAppChat {
   /**
-   * @param {_GeminiApp} ai - Parent AI instance
-   * @param {Object} [options] - Chat options
-   * @param {Array} [options.history] - Initial chat history
-   * @param {string} [options.systemInstruction] - System instruction for the chat
+   * Copy a response with the first candidate's finish reason replaced
+   * @private
    */
-  constructor(ai, options = {}) {
-    this.ai = ai;
-    this.history = options.history || [];
-    this.systemInstruction = options.systemInstruction;
+  _withFinishReason(response, finishReason) {
+    const candidate = Object.assign({}, response.candidates[0], { finishReason: finishReason });
+    return Object.assign({}, response, { candidates: [candidate] });
   }
 
   /**
-   * Send a text message in the chat
-   * 
-   * @param {string} text The message text
-   * @param {{schema: Object}} [options] Options for the request
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * const chat = ai.startChat();
-   * const response = chat.sendMessage('Hello!');
-   * console.log(response);
+   * Count tokens for a full generateContent request body
+   * @private
    */
-  sendMessage(text, options = {}) {
-    return this._sendMessage([{ text: text }], options);
+  _countRequestTokens(request, model) {
+    const modelName = model || this.model;
+    // Vertex AI takes the request fields directly and rejects the others
+    const body = this.vertex
+      ? ['contents', 'systemInstruction', 'tools', 'generationConfig']
+        .filter(key => request[key] !== undefined)
+        .reduce((result, key) => Object.assign(result, { [key]: request[key] }), {})
+      : { generateContentRequest: Object.assign({ model: this._modelResource(modelName) }, request) };
+
+    const response = this._makeRequest('countTokens', body, modelName);
+    return Object.assign({ totalTokens: 0 }, response);
   }
 
   /**
-   * Send a message with an image
-   * 
-   * @param {string} text The message text
-   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} image Image file(s), URL(s), file ID(s), or file URI object(s)
-   * @param {{schema: Object, mimeType: string|Array<string>}} [options] Options for the request
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @param {string|Array<string>} [options.mimeType] MIME type (required for URLs and file IDs, or array for multiple)
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * const chat = ai.startChat();
-   * const response = chat.sendMessageWithImage('What is this?', imageUrl, { mimeType: 'image/jpeg' });
-   * 
-   * @example
-   * // With file ID
-   * const response = chat.sendMessageWithImage('What is this?', 'FILE_ID_HERE', { mimeType: 'image/jpeg' });
-   * 
-   * @example
-   * // Multiple images
-   * const response = chat.sendMessageWithImage('Compare these', [img1, img2], { mimeType: ['image/jpeg', 'image/png'] });
-   * 
-   * @example
-   * // With structured output
-   * const schema = { type: 'object', properties: { objects: { type: 'array', items: { type: 'string' } } } };
-   * const response = chat.sendMessageWithImage('List objects in image', imageBlob, { schema });
+   * Throw before sending if the request exceeds the maxInputTokens budget
+   * Only the first request of a turn is counted with countTokens. Follow-up requests
+   * (tool results, repairs, continuations) are estimated from the previous request's
+   * usage, which leaves out the newly added turn.
+   * @private
+   * @param {{inputTokens: number}} [turn] - Token state shared by the requests of one turn
    */
-  sendMessageWithImage(text, image, options = {}) {
-    const parts = [{ text: text }];
-
-    // Handle array of images
-    if (Array.isArray(image)) {
-      const mimeTypes = Array.isArray(options.mimeType) ? options.mimeType : [];
-      image.forEach((img, index) => {
-        const mimeType = mimeTypes[index] || options.mimeType;
-        const imagePart = this.ai._prepareFilePart(img, 'image', mimeType);
-        parts.push(imagePart);
-      });
-    } else {
-      // Single image
-      const imagePart = this.ai._prepareFilePart(image, 'image', options.mimeType);
-      parts.push(imagePart);
+  _checkInputTokens(request, options, turn) {
+    const maxInputTokens = options.maxInputTokens || this.maxInputTokens;
+    if (!maxInputTokens) {
+      return;
     }
 
-    return this._sendMessage(parts, options);
+    const estimated = !!(turn && turn.inputTokens);
+    const total = estimated ? turn.inputTokens : this._countRequestTokens(request, options.model).totalTokens;
+    if (total > maxInputTokens) {
+      throw new GeminiAppValidationError(
+        `Request has ${estimated ? 'at least ' : ''}${total} input tokens, which exceeds maxInputTokens (${maxInputTokens}). ` +
+        `Reduce the prompt or file size, or raise the limit.`
+      );
+    }
   }
 
   /**
-   * Send a message with a file (PDF, audio, video, etc.)
-   * 
-   * @param {string} text The message text
-   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file File(s), URL(s), file ID(s), or file URI object(s)
-   * @param {{schema: Object, mimeType: string|Array<string>}} [options] Options for the request
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @param {string|Array<string>} [options.mimeType] MIME type (required for URLs and file IDs, or array for multiple)
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * const chat = ai.startChat();
-   * const response = chat.sendMessageWithFile('Transcribe this', audioFile);
-   * 
-   * @example
-   * // With file ID
-   * const response = chat.sendMessageWithFile('Transcribe this', 'FILE_ID_HERE', { mimeType: 'audio/mpeg' });
-   * 
-   * @example
-   * // Multiple files
-   * const response = chat.sendMessageWithFile('Compare these', [file1, file2], { mimeType: ['audio/mpeg', 'audio/wav'] });
-   * 
-   * @example
-   * // With structured output (schema)
-   * const uploadedFile = ai.uploadFile(myBlob, 'audio/mpeg');
-   * const schema = { type: 'object', properties: { transcription: { type: 'string' } } };
-   * const response = chat.sendMessageWithFile(
-   *   'Transcribe this audio',
-   *   { uri: uploadedFile.uri, mimeType: uploadedFile.mimeType },
-   *   { schema }  // Schema goes in third parameter, not second!
-   * );
+   * Validate a stream callback and add it to the options
+   * @private
    */
-  sendMessageWithFile(text, file, options = {}) {
-    const parts = [{ text: text }];
-
-    // Handle array of files
-    if (Array.isArray(file)) {
-      const mimeTypes = Array.isArray(options.mimeType) ? options.mimeType : [];
-      file.forEach((f, index) => {
-        const mimeType = mimeTypes[index] || options.mimeType;
-        const filePart = this.ai._prepareFilePart(f, 'file', mimeType);
-        parts.push(filePart);
-      });
-    } else {
-      // Single file
-      const filePart = this.ai._prepareFilePart(file, 'file', options.mimeType);
-      parts.push(filePart);
+  _withStreamCallback(onChunk, options) {
+    if (typeof onChunk !== 'function') {
+      throw new GeminiAppValidationError('onChunk must be a function: (textDelta, rawChunk) => {}');
     }
+    return Object.assign({}, options, { onChunk: onChunk });
+  }
 
-    return this._sendMessage(parts, options);
+  /**
+   * Build the corrective follow-up sent when a structured response fails validation
+   * @private
+   */
+  _buildRepairMessage(error) {
+    return 'Your previous response did not match the required JSON schema:\n' +
+      error.violations.map(violation => `- ${violation}`).join('\n') +
+      '\nRespond again with the complete, corrected JSON only.';
   }
 
   /**
-   * Get chat history
-   * @returns {Array} Array of content objects
+   * Remove failed answers and repair requests, keeping only the final model turn
+   * Keeps chat history free of the repair exchange.
+   * @private
    */
-  getHistory() {
-    return this.history;
+  _removeRepairTurns(contents, repairStart) {
+    if (repairStart !== null) {
+      contents.splice(repairStart, contents.length - 1 - repairStart);
+    }
   }
 
   /**
-   * Internal method to send message with parts
+   * Append URLs for the urlContext tool to the latest user turn
+   * The tool reads URLs mentioned in the prompt, so they are listed after the text.
    * @private
    */
-  _sendMessage(parts, options = {}) {
-    // Add user message to history
-    this.history.push({
-      role: 'user',
-      parts: parts
+  _addUrlContext(contents, urls) {
+    const list = Array.isArray(urls) ? urls : [urls];
+
+    if (list.length === 0 || list.length > _GEMINI_APP_URL_CONTEXT_LIMIT) {
+      throw new GeminiAppValidationError(
+        `urls must contain between 1 and ${_GEMINI_APP_URL_CONTEXT_LIMIT} URLs, got ${list.length}`
+      );
+    }
+
+    list.forEach(url => {
+      if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+        throw new GeminiAppValidationError(`Invalid URL for url context: ${url}. Use http:// or https:// URLs.`);
+      }
     });
 
-    // Prepare request
+    contents[contents.length - 1].parts.push({ text: '\n\nURLs:\n' + list.join('\n') });
+  }
+
+  /**
+   * Build the request body for generateContent
+   * options.skipInstanceDefaults leaves out the instance generation defaults
+   * (used for image models).
+   * @private
+   */
+  _buildRequest(contents, options, systemInstruction, tools) {
     const request = {
-      contents: this.history,
-      generationConfig: {}
+      contents: contents,
+      generationConfig: _toGenerationConfig(
+        Object.assign({}, options.skipInstanceDefaults ? {} : this.generationConfig, _pickGenerationParams(options))
+      )
     };
 
-    if (this.systemInstruction) {
+    if (request.generationConfig.candidateCount > 1 && options.onChunk) {
+      throw new GeminiAppValidationError('Streaming supports a single candidate only - remove candidateCount or onChunk');
+    }
+
+    // The API rejects systemInstruction, tools and toolConfig next to cachedContent;
+    // they come from the cache instead (see cacheManager.create)
+    const cached = !!options.cachedContent;
+    if (cached && (options.grounding || options.codeExecution || options.urlContext || options.urls)) {
+      throw new GeminiAppValidationError(
+        'grounding, codeExecution and urlContext cannot be combined with cachedContent - ' +
+        'create the cache with these tools instead: cacheManager.create({ tools: [...] })'
+      );
+    }
+
+    if (systemInstruction && !cached) {
       request.systemInstruction = {
-        parts: [{ text: this.systemInstruction }]
+        parts: [{ text: systemInstruction }]
       };
     }
 
+    if (cached) {
+      request.cachedContent = this.cacheManager._normalizeName(options.cachedContent);
+    }
+
+    const safetySettings = _mergeSafetySettings(this.safetySettings, options.safetySettings);
+    const categories = Object.keys(safetySettings);
+    if (categories.length > 0) {
+      request.safetySettings = categories.map(category => ({
+        category: category,
+        threshold: safetySettings[category]
+      }));
+    }
+
     if (options.schema) {
-      request.generationConfig.responseSchema = options.schema;
+      request.generationConfig.responseSchema = _normalizeSchema(options.schema);
       request.generationConfig.responseMimeType = 'application/json';
     }
 
-    // Make request
-    const response = this.ai._makeRequest('generateContent', request);
+    const declarations = Object.keys(tools).map(name => {
+      const tool = tools[name];
+      const declaration = { name: tool.name, description: tool.description };
+      if (tool.parameters) {
+        declaration.parameters = tool.parameters;
+      }
+      return declaration;
+    });
+
+    const requestTools = [];
+
+    // The API rejects Google Search grounding next to function declarations, so grounded prompts leave them out
+    if (declarations.length > 0 && !cached && !options.grounding) {
+      requestTools.push({ functionDeclarations: declarations });
 
-    // Add model response to history
-    if (response.candidates && response.candidates[0]?.content) {
-      this.history.push(response.candidates[0].content);
+      if (options.toolMode) {
+        request.toolConfig = {
+          functionCallingConfig: { mode: options.toolMode }
+        };
+      }
     }
 
-    // Return formatted response
-    return this.ai._formatResponse(response, options.schema);
-  }
-}
+    if (options.grounding) {
+      requestTools.push(this._buildGroundingTool(options.grounding));
+    }
 
-// ============================================================================
-// MAIN AI CLASS
-// ============================================================================
+    if (options.codeExecution) {
+      requestTools.push({ codeExecution: {} });
+    }
+
+    if (options.urlContext || options.urls) {
+      requestTools.push({ urlContext: {} });
+    }
+
+    if (requestTools.length > 0) {
+      request.tools = requestTools;
+    }
+
+    return request;
+  }
 
-/**
- * Main GeminiApp class for interacting with Google's Gemini API
- * @class
- * @implements {GeminiAppInstance}
- */
-class _GeminiApp {
   /**
-   * @param {string} apiKey - Google AI API key
-   * @param {string} [model='gemini-2.5-flash'] - Model to use
+   * Build the Google Search grounding tool
+   * 'googleSearch' is used by Gemini 2.0+ models; 'googleSearchRetrieval' by 1.5 models,
+   * optionally with a dynamic retrieval threshold.
+   * @private
+   * @param {string|{type: string, dynamicThreshold: number}} grounding - Grounding option
    */
-  constructor(apiKey, model = 'gemini-2.5-flash') {
-    if (!apiKey) {
-      throw new GeminiAppValidationError('API key is required');
+  _buildGroundingTool(grounding) {
+    const config = typeof grounding === 'string' ? { type: grounding } : grounding;
+
+    if (config.type === 'googleSearch') {
+      return { googleSearch: {} };
     }
 
-    this.apiKey = apiKey;
-    this.model = model;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-    this.fileManager = new _GeminiAppFileManager(apiKey);
+    if (config.type === 'googleSearchRetrieval') {
+      const tool = { googleSearchRetrieval: {} };
+      if (config.dynamicThreshold !== undefined) {
+        tool.googleSearchRetrieval.dynamicRetrievalConfig = {
+          mode: 'MODE_DYNAMIC',
+          dynamicThreshold: config.dynamicThreshold
+        };
+      }
+      return tool;
+    }
+
+    throw new GeminiAppValidationError(
+      `Unknown grounding '${config.type}'. Use 'googleSearch' or 'googleSearchRetrieval'.`
+    );
   }
 
   /**
-   * Send a simple text prompt
-   * 
-   * @param {string} text The prompt text
-   * @param {{schema: Object, model: string}} [options] Options for the request
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @param {string} [options.model] Override default model
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * const ai = GeminiApp.newInstance('YOUR_API_KEY');
-   * const response = ai.prompt('Explain quantum computing');
-   * console.log(response);
-   * 
-   * @example
-   * // With structured JSON
-   * const response = ai.prompt('List 3 colors', {
-   *   schema: {
-   *     type: 'object',
-   *     properties: {
-   *       colors: { type: 'array', items: { type: 'string' } }
-   *     },
-   *     required: ['colors']
-   *   }
-   * });
-   * console.log(response.colors);
+   * Merge registered tools with per-call tools (per-call tools win on name clashes)
+   * @private
+   * @returns {Object<string, ToolDefinition>} Tools keyed by name
    */
-  prompt(text, options = {}) {
-    const request = {
-      contents: [{
-        parts: [{ text: text }]
-      }],
-      generationConfig: {}
-    };
+  _collectTools(extraTools) {
+    const tools = Object.assign({}, this.tools);
 
-    if (options.schema) {
-      request.generationConfig.responseSchema = options.schema;
-      request.generationConfig.responseMimeType = 'application/json';
-    }
+    (extraTools || []).forEach(tool => {
+      this._validateTool(tool);
+      tools[tool.name] = tool;
+    });
 
-    const response = this._makeRequest('generateContent', request, options.model);
-    return this._formatResponse(response, options.schema);
+    return tools;
   }
 
   /**
-   * Send a prompt with an image
-   * 
-   * @param {string} text - The prompt text
-   * @param {GoogleAppsScript.Drive.File|Blob|string|Object} image - Image as Drive file, Blob, URL string, or file URI object {uri: string, mimeType: string}
-   * @param {Object} [options] - Options
-   * @param {Object} [options.schema] - JSON schema for structured response
-   * @param {string} [options.model] - Override default model
-   * @param {string} [options.mimeType] - MIME type (required if image is a URL string)
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * // With Drive file
-   * const file = DriveApp.getFileById('FILE_ID');
-   * const response = ai.promptWithImage('What is in this image?', file);
-   * 
-   * @example
-   * // With URL (will be uploaded to Files API)
-   * const response = ai.promptWithImage('Describe this', 'https://example.com/image.jpg', {
-   *   mimeType: 'image/jpeg'
-   * });
-   * 
-   * @example
-   * // With pre-uploaded file URI
-   * const uploadedFile = ai.uploadFile('https://example.com/image.jpg', 'image/jpeg');
-   * const response = ai.promptWithImage('Describe this', {
-   *   uri: uploadedFile.uri,
-   *   mimeType: uploadedFile.mimeType
-   * });
+   * Validate a tool definition
+   * @private
    */
+  _validateTool(tool) {
+    if (!tool || typeof tool !== 'object') {
+      throw new GeminiAppValidationError('Tool definition must be an object');
+    }
+    if (!tool.name || !/^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/.test(tool.name)) {
+      throw new GeminiAppValidationError(
+        `Invalid tool name '${tool.name}'. Names must start with a letter or underscore ` +
+        `and contain only letters, digits, underscores, dots or dashes (max 64 characters).`
+      );
+    }
+    if (!tool.description) {
+      throw new GeminiAppValidationError(`Tool '${tool.name}' requires a description`);
+    }
+    if (tool.handler && typeof tool.handler !== 'function') {
+      throw new GeminiAppValidationError(`Tool '${tool.name}' handler must be a function`);
+    }
+  }
+
   /**
-   * Send a prompt with an image
-   * 
-   * @param {string} text The prompt text
-   * @param {Blob|string|Array<Blob|string>} image Image(s) as Blob, URL string, file ID string, or array of any
-   * @param {{mimeType: string|Array<string>, schema: Object, model: string}} [options] Options for the request
-   * @param {string|Array<string>} [options.mimeType] MIME type (required if image is a URL or file ID string, or array of mimeTypes if multiple images)
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @param {string} [options.model] Override default model
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * // Analyze single image
-   * const response = ai.promptWithImage('What is in this image?', imageBlob);
-   * console.log(response);
-   * 
-   * @example
-   * // With URL
-   * const response = ai.promptWithImage(
-   *   'Describe this image', 
-   *   'https://example.com/image.jpg',
-   *   { mimeType: 'image/jpeg' }
-   * );
-   * 
-   * @example
-   * // With Google Drive file ID
-   * const response = ai.promptWithImage(
-   *   'Describe this image', 
-   *   '1abc-XyZ123_FileID',
-   *   { mimeType: 'image/jpeg' }
-   * );
-   * 
-   * @example
-   * // With multiple images
-   * const response = ai.promptWithImage(
-   *   'Compare these images',
-   *   [url1, url2],
-   *   { mimeType: ['image/jpeg', 'image/png'] }
-   * );
+   * Extract functionCall parts from the first candidate
+   * @private
    */
-  promptWithImage(text, image, options = {}) {
-    const parts = [{ text: text }];
-
-    // Handle array of images
-    if (Array.isArray(image)) {
-      const mimeTypes = Array.isArray(options.mimeType) ? options.mimeType : [];
-      image.forEach((img, index) => {
-        const mimeType = mimeTypes[index] || options.mimeType;
-        const imagePart = this._prepareFilePart(img, 'image', mimeType);
-        parts.push(imagePart);
+  _extractFunctionCalls(response) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    return parts
+      .filter(part => part.functionCall)
+      .map(part => part.functionCall);
+  }
+
+  /**
+   * Execute a single function call and build the functionResponse part
+   * Handler errors are reported back to the model instead of aborting the loop.
+   * @private
+   */
+  _executeFunctionCall(call, tools) {
+    const tool = tools[call.name];
+
+    if (!tool || !tool.handler) {
+      return this._buildFunctionResponsePart(call, {
+        error: `Function '${call.name}' is not available`
       });
-    } else {
-      // Single image
-      const imagePart = this._prepareFilePart(image, 'image', options.mimeType);
-      parts.push(imagePart);
     }
 
-    const request = {
-      contents: [{
-        parts: parts
-      }],
-      generationConfig: {}
+    try {
+      const result = tool.handler(call.args || {}, call);
+      return this._buildFunctionResponsePart(call, result);
+    } catch (error) {
+      console.error({ tool: call.name, error: error.message });
+      return this._buildFunctionResponsePart(call, { error: error.message });
+    }
+  }
+
+  /**
+   * Build a functionResponse part - the API requires the response to be an object
+   * @private
+   */
+  _buildFunctionResponsePart(call, result) {
+    const isPlainObject = result !== null && typeof result === 'object' && !Array.isArray(result);
+    const functionResponse = {
+      name: call.name,
+      response: isPlainObject ? result : { result: result === undefined ? null : result }
     };
 
-    if (options.schema) {
-      request.generationConfig.responseSchema = options.schema;
-      request.generationConfig.responseMimeType = 'application/json';
+    if (call.id) {
+      functionResponse.id = call.id;
     }
 
-    const response = this._makeRequest('generateContent', request, options.model);
-    return this._formatResponse(response, options.schema);
+    return { functionResponse: functionResponse };
   }
 
   /**
-   * Send a prompt with a file (PDF, audio, video, etc.)
-   * Supports Google Workspace files (Docs, Sheets, Slides) - automatically converted to PDF
-   * 
-   * @param {string} text The prompt text
-   * @param {GoogleAppsScript.Drive.File|Blob|string|Object|Array} file File(s) as Drive file, Blob, URL string, file ID string, file URI object, or array of any
-   * @param {{mimeType: string|Array<string>, schema: Object, model: string}} options Options for the request
-   * @param {string|Array<string>} options.mimeType MIME type (required if file is a URL or file ID string, or array of mimeTypes if multiple files)
-   * @param {Object} [options.schema] JSON schema for structured response
-   * @param {string} [options.model] Override default model
-   * @returns {string|Object} Response text or parsed JSON if schema provided
-   * 
-   * @example
-   * // Transcribe audio from URL
-   * const response = ai.promptWithFile('Transcribe this audio', audioUrl, {
-   *   mimeType: 'audio/mpeg'
-   * });
-   * 
-   * @example
-   * // Use Google Drive file ID directly
-   * const response = ai.promptWithFile('Transcribe this audio', '1PqLDLIz-ZNnl5lDZSssf0BbTylzrW8GC', {
-   *   mimeType: 'audio/mpeg'
-   * });
-   * 
-   * @example
-   * // Analyze PDF with structured output
-   * const response = ai.promptWithFile('Summarize this document', pdfFile, {
-   *   mimeType: 'application/pdf',
-   *   schema: {
-   *     type: 'object',
-   *     properties: {
-   *       summary: { type: 'string' },
-   *       keyPoints: { type: 'array', items: { type: 'string' } }
-   *     },
-   *     required: ['summary', 'keyPoints']
-   *   }
-   * });
-   * 
-   * @example
-   * // Google Doc (automatically converted to PDF)
-   * const response = ai.promptWithFile(
-   *   'Summarize this document',
-   *   'https://docs.google.com/document/d/YOUR_DOC_ID/edit',
-   *   { mimeType: 'application/pdf' }
-   * );
-   * 
-   * @example
-   * // Multiple files
-   * const response = ai.promptWithFile(
-   *   'Compare these documents',
-   *   [pdfUrl1, pdfUrl2],
-   *   { mimeType: ['application/pdf', 'application/pdf'] }
-   * );
+   * Format a response that stopped on function calls (manual tool mode)
+   * @private
    */
-  promptWithFile(text, file, options = {}) {
-    const parts = [{ text: text }];
-
-    // Handle array of files
-    if (Array.isArray(file)) {
-      const mimeTypes = Array.isArray(options.mimeType) ? options.mimeType : [];
-      file.forEach((f, index) => {
-        const mimeType = mimeTypes[index] || options.mimeType;
-        const filePart = this._prepareFilePart(f, 'file', mimeType);
-        parts.push(filePart);
-      });
-    } else {
-      // Single file
-      const filePart = this._prepareFilePart(file, 'file', options.mimeType);
-      parts.push(filePart);
+  _formatFunctionCallResponse(response, functionCalls, options = {}) {
+    const candidate = response.candidates[0];
+    const parts = candidate.content?.parts || [];
+    const text = parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+
+    if (options.returnFullResponse) {
+      const thoughts = parts
+        .filter(part => part.text && part.thought)
+        .map(part => part.text)
+        .join('');
+      return this._buildResult(candidate, response, text, null, thoughts);
     }
 
-    const request = {
-      contents: [{
-        parts: parts
-      }],
-      generationConfig: {}
+    return {
+      text: text,
+      functionCalls: functionCalls.map(call => ({
+        id: call.id,
+        name: call.name,
+        args: call.args || {}
+      }))
     };
+  }
 
-    if (options.schema) {
-      request.generationConfig.responseSchema = options.schema;
-      request.generationConfig.responseMimeType = 'application/json';
+  /**
+   * Convert a model resource into ModelInfo
+   * @private
+   * @returns {ModelInfo}
+   */
+  _toModelInfo(model) {
+    return {
+      name: (model.name || '').replace(/^models\//, ''),
+      displayName: model.displayName || null,
+      description: model.description || null,
+      version: model.version || null,
+      inputTokenLimit: model.inputTokenLimit || null,
+      outputTokenLimit: model.outputTokenLimit || null,
+      supportedGenerationMethods: model.supportedGenerationMethods || [],
+      thinking: !!model.thinking,
+      temperature: model.temperature === undefined ? null : model.temperature,
+      maxTemperature: model.maxTemperature === undefined ? null : model.maxTemperature,
+      topP: model.topP === undefined ? null : model.topP,
+      topK: model.topK === undefined ? null : model.topK,
+      raw: model
+    };
+  }
+
+  /**
+   * Check a model override before sending, so typos fail with a clear message
+   * The instance model and the library defaults are trusted; other models are looked
+   * up once per execution.
+   * @private
+   * @throws {GeminiAppValidationError} If the model does not exist or does not support the endpoint
+   */
+  _checkModel(model, task) {
+    // Library defaults are trusted for the endpoint they are the default for
+    const trusted = model === this.model || Object.keys(_GEMINI_APP_DEFAULT_MODELS).some(kind =>
+      _GEMINI_APP_DEFAULT_MODELS[kind] === model &&
+      _GEMINI_APP_MODEL_METHODS[task] === (kind === 'embedding' ? 'embedContent' : 'generateContent')
+    );
+
+    if (!this.validateModels || trusted) {
+      return;
+    }
+
+    let info;
+    try {
+      info = this.getModel(model);
+    } catch (error) {
+      if (!(error instanceof GeminiAppApiError) || (error.statusCode !== 404 && error.statusCode !== 400)) {
+        throw error;
+      }
+      throw new GeminiAppValidationError(`Unknown model '${model}'.${this._suggestModels(model)}`);
     }
 
-    const response = this._makeRequest('generateContent', request, options.model);
-    return this._formatResponse(response, options.schema);
+    const method = _GEMINI_APP_MODEL_METHODS[task];
+    if (method && info.supportedGenerationMethods.length > 0 && !info.supportedGenerationMethods.includes(method)) {
+      throw new GeminiAppValidationError(
+        `Model '${model}' does not support ${method}. Supported methods: ${info.supportedGenerationMethods.join(', ')}`
+      );
+    }
   }
 
   /**
-   * Start a chat session
-   * 
-   * @param {{history: Array, systemInstruction: string}} [options] Chat options
-   * @param {Array} [options.history] Initial chat history
-   * @param {string} [options.systemInstruction] System instruction
-   * @returns {_GeminiAppChat} Chat session instance
-   * 
-   * @example
-   * const chat = ai.startChat({
-   *   systemInstruction: 'You are a helpful coding assistant.'
-   * });
-   * 
-   * const response1 = chat.sendMessage('How do I sort an array in JavaScript?');
-   * const response2 = chat.sendMessage('Can you show me an example?');
+   * Suggest the closest model names for an unknown model
+   * @private
    */
-  startChat(options = {}) {
-    return new _GeminiAppChat(this, options);
+  _suggestModels(model) {
+    try {
+      const names = this.listModels().map(info => info.name);
+      const closest = names
+        .map(name => ({ name: name, distance: _editDistance(model, name) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map(entry => entry.name);
+      return closest.length > 0 ? ` Did you mean: ${closest.join(', ')}? Use GeminiApp.listModels(apiKey) to see all models.` : '';
+    } catch (error) {
+      return ' Use GeminiApp.listModels(apiKey) to see available models.';
+    }
   }
 
   /**
-   * Upload a file from URL or Drive ID to Files API
-   * Returns a file object with URI that can be reused
-   * 
-   * @param {string} urlOrId URL of the file or Google Drive file ID
-   * @param {string} [mimeType] MIME type (required for URLs, not needed for Drive IDs)
-   * @param {string} [displayName] Optional display name
-   * @returns {Object} File object with uri, name, mimeType, etc.
-   * 
-   * @example
-   * // From URL
-   * const file = ai.uploadFile('https://example.com/large-video.mp4', 'video/mp4');
-   * 
-   * // From Drive ID (mimeType not needed)
-   * const file = ai.uploadFile('1abc...xyz');
-   * 
-   * // Later use the file URI
-   * const response = ai.promptWithFile('Describe this video', {
-   *   uri: file.uri,
-   *   mimeType: file.mimeType
-   * });
+   * Validate Vertex AI options
+   * @private
    */
-  uploadFile(urlOrId, mimeType, displayName) {
-    // Check if it's a Drive file ID (not a URL)
-    if (this._isDriveFileId(urlOrId)) {
-      try {
-        const driveFile = DriveApp.getFileById(urlOrId);
-        return this.fileManager.uploadDriveFile(driveFile, displayName);
-      } catch (e) {
-        throw new GeminiAppValidationError(`Failed to access Drive file with ID '${urlOrId}': ${e.message}`);
-      }
+  _buildVertexConfig(vertex) {
+    if (!vertex.project) {
+      throw new GeminiAppValidationError('vertex.project is required, e.g. { vertex: { project: "my-project", location: "us-central1" } }');
     }
 
-    // It's a URL
-    return this.fileManager.uploadFromUrl(urlOrId, mimeType, displayName);
+    const location = vertex.location || 'us-central1';
+    const host = location === 'global' ? 'aiplatform.googleapis.com' : `${location}-aiplatform.googleapis.com`;
+
+    return {
+      project: vertex.project,
+      location: location,
+      accessToken: vertex.accessToken || null,
+      apiRoot: `https://${host}/${vertex.apiVersion || 'v1'}`,
+      resourcePath: `projects/${vertex.project}/locations/${location}`
+    };
   }
 
   /**
-   * Upload a Drive file to Files API
-   * 
-   * @param {GoogleAppsScript.Drive.File|Blob} file Drive file or Blob
-   * @param {string} [displayName] Optional display name
-   * @returns {Object} File object with uri
-   * 
-   * @example
-   * const driveFile = DriveApp.getFileById('FILE_ID');
-   * const uploadedFile = ai.uploadDriveFile(driveFile);
-   * const response = ai.promptWithFile('Analyze this', {
-   *   uri: uploadedFile.uri,
-   *   mimeType: uploadedFile.mimeType
-   * });
+   * Throw for features that only exist in the Gemini Developer API
+   * @private
+   */
+  _requireApiKeyMode(feature, hint) {
+    if (this.vertex) {
+      throw new GeminiAppValidationError(`${feature} is not available in Vertex AI mode.${hint ? ' ' + hint : ''}`);
+    }
+  }
+
+  /**
+   * Build a request URL for a path relative to the API base
+   * AI Studio authenticates with ?key=; Vertex AI uses the Authorization header.
+   * Full Vertex resource names (projects/...) are resolved against the version root.
+   * @private
    */
-  uploadDriveFile(file, displayName) {
-    return this.fileManager.uploadDriveFile(file, displayName);
+  _apiUrl(path) {
+    if (this.vertex) {
+      return path.indexOf('projects/') === 0 ? `${this.vertex.apiRoot}/${path}` : `${this.baseUrl}/${path}`;
+    }
+
+    const separator = path.includes('?') ? '&' : '?';
+    return `${this.baseUrl}/${path}${separator}key=${this.apiKey}`;
   }
 
   /**
-   * Delete a file from the Files API
-   * 
-   * @param {string} fileUri File URI or name (e.g., 'files/abc123' or full URI)
-   * @returns {Object} Result with success property
-   * 
-   * @example
-   * const file = ai.uploadFile('https://example.com/image.jpg', 'image/jpeg');
-   * // ... use the file ...
-   * ai.deleteFile(file.name); // or ai.deleteFile(file.uri)
+   * Model path relative to the API base
+   * @private
    */
-  deleteFile(fileUri) {
-    // Extract file name from URI if needed
-    const fileName = fileUri.includes('/') ? fileUri.split('/').pop() : fileUri;
-    return this.fileManager.deleteFile(fileName);
+  _modelPath(model) {
+    return this.vertex ? `publishers/google/models/${model}` : `models/${model}`;
   }
 
   /**
-   * Get access to the file manager for advanced operations
-   * @returns {_GeminiAppFileManager} File manager instance
+   * Full model resource name, as used in request bodies
+   * @private
    */
-  getFileManager() {
-    return this.fileManager;
+  _modelResource(model) {
+    return this.vertex ? `${this.vertex.resourcePath}/${this._modelPath(model)}` : `models/${model}`;
   }
 
-  // ==========================================================================
-  // INTERNAL METHODS
-  // ==========================================================================
+  /**
+   * Authorization headers for Vertex AI requests
+   * @private
+   */
+  _authHeaders() {
+    if (!this.vertex) {
+      return {};
+    }
+
+    const accessToken = this.vertex.accessToken;
+    const token = typeof accessToken === 'function'
+      ? accessToken()
+      : (accessToken || ScriptApp.getOAuthToken());
+    return { Authorization: `Bearer ${token}` };
+  }
 
   /**
-   * Prepare a file part for the API request
-   * Handles Drive files, Blobs, URLs, file IDs, and file URI objects
+   * Make API request with retry logic
+   * With a response cache, identical requests are served from CacheService.
    * @private
+   * @param {{cache: _GeminiAppResponseCache, mode: string, ttl: number}} [cache] - Response cache settings
    */
-  _prepareFilePart(file, type = 'file', mimeType) {
-    // Already a file URI object
-    if (file && typeof file === 'object' && file.uri && file.mimeType) {
-      return {
-        fileData: {
-          mimeType: file.mimeType,
-          fileUri: file.uri
-        }
-      };
+  _makeRequest(task, body, model, maxRetries, cache) {
+    const modelName = model || this.model;
+    const send = () => {
+      this._checkModel(modelName, task);
+      const url = this._apiUrl(`${this._modelPath(modelName)}:${task}`);
+      return JSON.parse(this._fetchWithRetry(url, body, 'post', maxRetries));
+    };
+
+    if (!cache) {
+      return send();
     }
+    return cache.cache.fetch({ api: this.baseUrl, task: task, model: modelName, body: body }, cache, send);
+  }
 
-    // String input - could be URL or file ID
-    if (typeof file === 'string') {
-      // Check if it's a plain file ID (no slashes, just alphanumeric and dashes)
-      const isPlainFileId = /^[a-zA-Z0-9_-]+$/.test(file) && !file.includes('/') && !file.includes('.');
+  /**
+   * Make a streaming API request (streamGenerateContent with SSE)
+   * UrlFetchApp buffers the whole body, so retries behave exactly like _makeRequest.
+   * Chunks are then parsed in order, passed to onChunk, and merged into a single
+   * response equivalent to a generateContent response.
+   * @private
+   * @param {Object} body - Request body
+   * @param {string} [model] - Model override
+   * @param {function(string, Object): void} onChunk - Called with (textDelta, rawChunk)
+   * @returns {Object} Merged response
+   */
+  _makeStreamRequest(body, model, onChunk, maxRetries) {
+    const modelName = model || this.model;
+    this._checkModel(modelName, 'streamGenerateContent');
+    const url = this._apiUrl(`${this._modelPath(modelName)}:streamGenerateContent?alt=sse`);
 
-      // Check if it's a Google Workspace URL (docs, sheets, slides, drive)
-      const isWorkspaceUrl = file.includes('docs.google.com/') ||
-        file.includes('sheets.google.com/') ||
-        file.includes('slides.google.com/') ||
-        file.includes('drive.google.com/');
+    const responseText = this._fetchWithRetry(url, body, 'post', maxRetries);
+    return this._parseStream(responseText, onChunk);
+  }
 
-      if (isPlainFileId || isWorkspaceUrl) {
-        // It's a Google Workspace file ID or URL - use DriveApp directly
-        // No mimeType needed - detected automatically during upload
-        try {
-          let driveFile;
-          if (isPlainFileId) {
-            driveFile = DriveApp.getFileById(file);
-          } else {
-            // Extract file ID from Google Workspace URL
-            const fileIdMatch = file.match(/[-\w]{25,}/);
-            if (!fileIdMatch) {
-              throw new Error('Could not extract file ID from Google Workspace URL');
-            }
-            driveFile = DriveApp.getFileById(fileIdMatch[0]);
-          }
+  /**
+   * Parse an SSE stream body into chunks and merge them
+   * @private
+   */
+  _parseStream(responseText, onChunk) {
+    const merged = { candidates: [] };
+    const parts = [];
+    let candidate = null;
+    let partialText = '';
+
+    const events = responseText.split(/\r?\n\r?\n/);
+
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.indexOf('data:') === 0)
+        .map(line => line.substring(5).trim())
+        .join('');
+
+      if (!data) {
+        continue;
+      }
 
-          const uploadedFile = this.fileManager.uploadDriveFile(driveFile);
-          return {
-            fileData: {
-              mimeType: uploadedFile.mimeType,
-              fileUri: uploadedFile.uri
-            }
-          };
-        } catch (error) {
-          throw new GeminiAppApiError(
-            `Cannot access Google Drive file '${file}'. Please ensure:\n` +
-            `1. You have permission to access the file\n` +
-            `2. The file ID/URL is correct\n` +
-            `3. The file hasn't been deleted\n` +
-            `Original error: ${error.message}`,
-            403,
-            null
-          );
-        }
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (e) {
+        // A truncated final event means the stream was cut off
+        break;
       }
 
-      // It's a regular URL (not Google Workspace) - mimeType is required
-      if (!mimeType) {
-        throw new GeminiAppValidationError(
-          'mimeType is required when providing a URL or file ID string. ' +
-          'Example: ai.promptWithFile(text, url, { mimeType: "audio/mpeg" })'
+      if (chunk.error) {
+        const error = new GeminiAppApiError(
+          `Stream failed: ${chunk.error.message || 'Unknown error'}`,
+          chunk.error.code || 500,
+          chunk
         );
+        error.partialText = partialText;
+        throw error;
       }
 
-      // Upload URL to Files API (handles both public URLs and private Google Workspace files)
-      const uploadedFile = this.fileManager.uploadFromUrl(file, mimeType);
-      return {
-        fileData: {
-          mimeType: uploadedFile.mimeType,
-          fileUri: uploadedFile.uri
+      const chunkCandidate = chunk.candidates?.[0];
+      let delta = '';
+
+      if (chunkCandidate) {
+        candidate = Object.assign(candidate || {}, chunkCandidate, { content: null });
+
+        (chunkCandidate.content?.parts || []).forEach(part => {
+          const last = parts[parts.length - 1];
+          // Merge consecutive text parts of the same kind into one
+          if (part.text !== undefined && last && last.text !== undefined &&
+            !!last.thought === !!part.thought && !part.thoughtSignature) {
+            last.text += part.text;
+          } else {
+            parts.push(Object.assign({}, part));
+          }
+
+          if (part.text && !part.thought) {
+            delta += part.text;
+          }
+        });
+      }
+
+      ['promptFeedback', 'usageMetadata', 'modelVersion', 'responseId'].forEach(key => {
+        if (chunk[key]) {
+          merged[key] = chunk[key];
         }
-      };
+      });
+
+      partialText += delta;
+      if (onChunk) {
+        onChunk(delta, chunk);
+      }
     }
 
-    // Drive file or Blob - convert to inline data
-    const blob = file.getBlob ? file.getBlob() : file;
-    const bytes = blob.getBytes();
-    const base64Data = Utilities.base64Encode(bytes);
-    const detectedMimeType = blob.getContentType();
+    if (candidate) {
+      candidate.content = { role: 'model', parts: parts };
+      merged.candidates.push(candidate);
 
-    return {
-      inlineData: {
-        mimeType: detectedMimeType,
-        data: base64Data
+      // No finish reason means the stream ended early
+      if (!candidate.finishReason) {
+        const error = new GeminiAppApiError(
+          'Stream ended before the model finished responding. Partial text is available on error.partialText.',
+          0,
+          merged
+        );
+        error.partialText = partialText;
+        throw error;
       }
-    };
+    }
+
+    return merged;
   }
 
   /**
-   * Make API request with retry logic
+   * Send a JSON request with exponential backoff retry
    * @private
+   * @param {string} url - Request URL
+   * @param {Object} [body] - JSON body (omitted for GET/DELETE)
+   * @param {string} [method='post'] - HTTP method
+   * @param {number} [maxRetries=5] - Attempts before giving up
+   * @returns {string} Response text of a successful request
    */
-  _makeRequest(task, body, model) {
-    const modelName = model || this.model;
-    const url = `${this.baseUrl}/models/${modelName}:${task}?key=${this.apiKey}`;
-
+  _fetchWithRetry(url, body, method = 'post', maxRetries = 5) {
     const options = {
-      method: 'post',
+      method: method,
       contentType: 'application/json',
-      payload: JSON.stringify(body),
+      headers: this._authHeaders(),
       muteHttpExceptions: true
     };
 
-    const maxRetries = 5;
+    if (body !== undefined) {
+      options.payload = JSON.stringify(body);
+    }
+
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        const response = UrlFetchApp.fetch(url, options);
+        const response = this.transport.fetch(url, options);
         const statusCode = response.getResponseCode();
         const responseText = response.getContentText();
 
         // Success
         if (statusCode === 200) {
-          return JSON.parse(responseText);
+          return responseText;
         }
 
         // Parse error response
@@ -1390,7 +5598,7 @@ class _GeminiApp {
           const delay = Math.pow(2, attempt) * 1000;
           console.error({ statusCode: statusCode, error: errorMessage })
           console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
-          Utilities.sleep(delay);
+          this.transport.sleep(delay);
           continue;
         }
 
@@ -1404,7 +5612,7 @@ class _GeminiApp {
         );
 
       } catch (error) {
-        if (error instanceof GeminiAppApiError) {
+        if (error instanceof GeminiAppError) {
           throw error;
         }
 
@@ -1412,15 +5620,17 @@ class _GeminiApp {
         lastError = error;
         const delay = Math.pow(2, attempt) * 1000;
         console.log(`Network error, retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms...`);
-        Utilities.sleep(delay);
+        this.transport.sleep(delay);
       }
     }
 
+    // Keep the status of the last API error (e.g. 429, 503) so callers can fall back
+    const lastApiError = lastError instanceof GeminiAppApiError ? lastError : null;
     throw new GeminiAppApiError(
       `Request failed after ${maxRetries} retries: ${lastError?.message || 'Unknown error'}. ` +
       `This could be due to rate limits or service outages. Please try again later.`,
-      0,
-      null
+      lastApiError ? lastApiError.statusCode : 0,
+      lastApiError ? lastApiError.response : null
     );
   }
 
@@ -1428,13 +5638,17 @@ class _GeminiApp {
    * Format API response
    * @private
    */
-  _formatResponse(response, schema) {
+  _formatResponse(response, schema, options = {}) {
     // Check for blocking or errors
     if (response.promptFeedback?.blockReason) {
-      throw new GeminiAppApiError(
-        `Response was blocked: ${response.promptFeedback.blockReason}. ` +
+      throw new GeminiAppSafetyError(
+        `Prompt was blocked: ${response.promptFeedback.blockReason}. ` +
         `${response.promptFeedback.blockReasonMessage || ''}`,
-        400,
+        {
+          blockedBy: 'prompt',
+          blockReason: response.promptFeedback.blockReason,
+          safetyRatings: response.promptFeedback.safetyRatings
+        },
         response
       );
     }
@@ -1447,7 +5661,31 @@ class _GeminiApp {
       );
     }
 
-    const candidate = response.candidates[0];
+    // Multiple candidates requested (candidateCount > 1) - format each one
+    if (response.candidates.length > 1) {
+      return response.candidates.map(candidate => this._formatCandidate(candidate, response, schema, options));
+    }
+
+    return this._formatCandidate(response.candidates[0], response, schema, options);
+  }
+
+  /**
+   * Format a single response candidate
+   * @private
+   */
+  _formatCandidate(candidate, response, schema, options = {}) {
+    if (_GEMINI_APP_SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+      throw new GeminiAppSafetyError(
+        `Response was blocked: ${candidate.finishReason}. ` +
+        `${candidate.finishMessage || ''}`,
+        {
+          blockedBy: 'candidate',
+          blockReason: candidate.finishReason,
+          safetyRatings: candidate.safetyRatings
+        },
+        response
+      );
+    }
 
     // Only check finishReason if it's a problematic one (not STOP)
     if (candidate.finishReason &&
@@ -1460,30 +5698,235 @@ class _GeminiApp {
       );
     }
 
-    // Extract text from parts
+    // Extract text from parts - thought summaries (thought: true) are kept separate
     const parts = candidate.content?.parts || [];
     let text = '';
+    let thoughts = '';
 
     for (const part of parts) {
-      if (part.text) {
+      if (part.text && part.thought) {
+        thoughts += part.text;
+      } else if (part.text) {
         text += part.text;
       }
     }
 
-    // Parse JSON if schema was provided
+    // Parse JSON if schema was provided, then check it against the schema
+    let value = text;
     if (schema) {
       try {
-        return JSON.parse(text);
+        value = JSON.parse(text);
       } catch (e) {
-        throw new GeminiAppApiError(
+        throw new GeminiAppSchemaError(
           `Failed to parse JSON response: ${e.message}. Response text: ${text.substring(0, 200)}...`,
-          500,
+          [`$: response is not valid JSON (${e.message})`],
+          text,
+          response
+        );
+      }
+
+      const violations = options.validateSchema === false ? [] : _validateSchema(value, _normalizeSchema(schema));
+      if (violations.length > 0) {
+        throw new GeminiAppSchemaError(
+          `Response does not match the schema:\n- ${violations.join('\n- ')}`,
+          violations,
+          text,
           response
         );
       }
     }
 
-    return text;
+    if (options.returnFullResponse) {
+      return this._buildResult(candidate, response, text, schema ? value : null, thoughts);
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the full result object returned when options.returnFullResponse is set
+   * @private
+   * @returns {GeminiAppResult}
+   */
+  _buildResult(candidate, response, text, data, thoughts = '') {
+    const usage = response.usageMetadata || {};
+    const steps = this._extractSteps(candidate.content?.parts || []);
+    const citations = (candidate.citationMetadata?.citationSources || []).map(source => ({
+      startIndex: source.startIndex || 0,
+      endIndex: source.endIndex || 0,
+      uri: source.uri || null,
+      title: source.title || null,
+      license: source.license || null,
+      publicationDate: source.publicationDate || null
+    }));
+
+    return {
+      text: text,
+      data: data,
+      thoughts: thoughts,
+      finishReason: candidate.finishReason || null,
+      finishMessage: candidate.finishMessage || null,
+      truncated: candidate.finishReason === 'MAX_TOKENS',
+      usage: this._normalizeUsage(usage),
+      safetyRatings: candidate.safetyRatings || [],
+      citations: citations,
+      functionCalls: (candidate.content?.parts || [])
+        .filter(part => part.functionCall)
+        .map(part => ({ id: part.functionCall.id, name: part.functionCall.name, args: part.functionCall.args || {} })),
+      grounding: this._parseGroundingMetadata(candidate.groundingMetadata),
+      codeExecutions: this._extractCodeExecutions(steps),
+      images: this._extractImages(candidate.content?.parts || []),
+      urlContext: (candidate.urlContextMetadata?.urlMetadata || []).map(entry => ({
+        url: entry.retrievedUrl,
+        status: (entry.urlRetrievalStatus || '').replace(/^URL_RETRIEVAL_STATUS_/, '')
+      })),
+      steps: steps,
+      model: response.modelVersion || null,
+      modelVersion: response.modelVersion || null,
+      responseId: response.responseId || null,
+      cache: response._cache || null,
+      raw: response
+    };
+  }
+
+  /**
+   * Convert response parts into ordered text, code and code result steps
+   * Thoughts and function calls are reported separately and skipped here.
+   * @private
+   * @returns {Array<ResponseStep>}
+   */
+  _extractSteps(parts) {
+    const steps = [];
+
+    parts.forEach(part => {
+      if (part.executableCode) {
+        steps.push({
+          type: 'code',
+          language: part.executableCode.language || 'PYTHON',
+          code: part.executableCode.code || ''
+        });
+      } else if (part.codeExecutionResult) {
+        steps.push({
+          type: 'codeResult',
+          outcome: part.codeExecutionResult.outcome || null,
+          output: part.codeExecutionResult.output || ''
+        });
+      } else if (part.text && !part.thought) {
+        const last = steps[steps.length - 1];
+        if (last && last.type === 'text') {
+          last.text += part.text;
+        } else {
+          steps.push({ type: 'text', text: part.text });
+        }
+      }
+    });
+
+    return steps;
+  }
+
+  /**
+   * Decode inline image parts into Blobs
+   * @private
+   * @returns {Array<GoogleAppsScript.Base.Blob>}
+   */
+  _extractImages(parts) {
+    return parts
+      .filter(part => part.inlineData && !part.thought &&
+        (part.inlineData.mimeType || '').indexOf('image/') === 0)
+      .map((part, index) => {
+        const mimeType = part.inlineData.mimeType;
+        const extension = _GEMINI_APP_FILE_EXTENSIONS[mimeType] || mimeType.split('/')[1];
+        return Utilities.newBlob(
+          Utilities.base64Decode(part.inlineData.data),
+          mimeType,
+          `image-${index + 1}.${extension}`
+        );
+      });
+  }
+
+  /**
+   * Pair each executed code block with its result
+   * @private
+   */
+  _extractCodeExecutions(steps) {
+    const executions = [];
+
+    steps.forEach(step => {
+      if (step.type === 'code') {
+        executions.push({ language: step.language, code: step.code, outcome: null, output: '' });
+      } else if (step.type === 'codeResult' && executions.length > 0) {
+        const last = executions[executions.length - 1];
+        last.outcome = step.outcome;
+        last.output = step.output;
+      }
+    });
+
+    return executions;
+  }
+
+  /**
+   * Parse groundingMetadata into sources and supported segments
+   * @private
+   * @returns {GroundingInfo|null}
+   */
+  _parseGroundingMetadata(metadata) {
+    if (!metadata) {
+      return null;
+    }
+
+    const sources = (metadata.groundingChunks || []).map((chunk, index) => {
+      const source = chunk.web || chunk.retrievedContext || {};
+      return {
+        index: index,
+        uri: source.uri || null,
+        title: source.title || null
+      };
+    });
+
+    const supports = (metadata.groundingSupports || []).map(support => ({
+      startIndex: support.segment?.startIndex || 0,
+      endIndex: support.segment?.endIndex || 0,
+      text: support.segment?.text || '',
+      sourceIndices: support.groundingChunkIndices || [],
+      confidenceScores: support.confidenceScores || []
+    }));
+
+    return {
+      queries: metadata.webSearchQueries || [],
+      sources: sources,
+      supports: supports,
+      searchEntryPoint: metadata.searchEntryPoint?.renderedContent || null
+    };
+  }
+
+  /**
+   * Sum usageMetadata across several requests into token counts
+   * @private
+   */
+  _sumUsage(usageList) {
+    return usageList
+      .map(usage => this._normalizeUsage(usage))
+      .reduce((total, usage) => {
+        Object.keys(usage).forEach(key => {
+          total[key] = (total[key] || 0) + usage[key];
+        });
+        return total;
+      }, {});
+  }
+
+  /**
+   * Convert usageMetadata into token counts
+   * @private
+   */
+  _normalizeUsage(usage) {
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0,
+      thoughtsTokens: usage.thoughtsTokenCount || 0,
+      cachedTokens: usage.cachedContentTokenCount || 0,
+      toolUsePromptTokens: usage.toolUsePromptTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0
+    };
   }
 
   /**
@@ -1523,24 +5966,37 @@ class _GeminiApp {
 /**
  * Create a new GeminiApp instance
  * 
- * @param {string} apiKey - Google AI API key
- * @param {string} [model='gemini-2.5-flash'] - Model to use
+ * @param {string} apiKey - Google AI API key (null when using options.vertex)
+ * @param {string|InstanceOptions} [modelOrOptions='gemini-2.5-flash'] - Model to use, or options with model and generation defaults
  * @returns {{
  *   prompt: function(string, {schema: Object=, model: string=}=): (string|Object),
  *   promptWithImage: function(string, (Blob|string|Array), {mimeType: (string|Array)=, schema: Object=, model: string=}=): (string|Object),
  *   promptWithFile: function(string, (Blob|string|Object|Array), {mimeType: (string|Array)=, schema: Object=, model: string=}=): (string|Object),
  *   startChat: function(): {
  *     sendMessage: function(string, {schema: Object=}=): (string|Object),
+ *     sendMessageStream: function(string, function(string, Object), Object=): (string|Object),
+ *     sendFunctionResponses: function(Array<Object>, Object=): (string|Object),
  *     sendMessageWithImage: function(string, (Blob|string|Array), {mimeType: (string|Array)=, schema: Object=}=): (string|Object),
  *     sendMessageWithFile: function(string, (Blob|string|Object|Array), {mimeType: (string|Array)=, schema: Object=}=): (string|Object),
  *     history: Array<Object>
  *   },
+ *   promptStream: function(string, function(string, Object), Object=): (string|Object),
+ *   promptWithFileStream: function(string, (Blob|string|Object|Array), function(string, Object), Object=): (string|Object),
+ *   countTokens: function((string|Array), Object=): Object,
+ *   embed: function((string|Array<string>), Object=): (Array<number>|Array<Array<number>>),
+ *   generateImage: function(string, Object=): {images: Array<Blob>, text: string},
+ *   speak: function(string, Object=): Blob,
+ *   listModels: function(Object=): Array<ModelInfo>,
+ *   getModel: function(string=): ModelInfo,
+ *   registerTool: function(ToolDefinition): Object,
  *   uploadFile: function(Blob, string, string=): Object,
  *   uploadFileFromUrl: function(string, string, string=): Object,
  *   deleteFile: function(string): Object,
  *   deleteFiles: function(Array<string>, boolean=): Object,
  *   deleteAllFiles: function(number=): Object,
  *   listFiles: function(number=): Object,
+ *   getCacheManager: function(): Object,
+ *   getBatchManager: function(): Object,
  *   fileManager: Object
  * }} GeminiApp instance with prompt methods
  * 
@@ -1549,9 +6005,62 @@ class _GeminiApp {
  * 
  * @example
  * const ai = GeminiApp.newInstance('YOUR_API_KEY', 'gemini-1.5-pro');
+ * 
+ * @example
+ * const ai = GeminiApp.newInstance('YOUR_API_KEY', { model: 'gemini-2.5-pro', temperature: 0.2, maxOutputTokens: 2048 });
+ * 
+ * @example
+ * // In-memory fake for offline tests
+ * const ai = GeminiApp.newInstance('test-key', {
+ *   transport: { fetch: (url, params) => ({ status: 200, body: { candidates: [{ content: { parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }] } }) }
+ * });
+ * 
+ * @example
+ * // Vertex AI (needs the https://www.googleapis.com/auth/cloud-platform scope in appsscript.json)
+ * const ai = GeminiApp.newInstance(null, { vertex: { project: 'my-project', location: 'us-central1' } });
+ */
+function newInstance(apiKey, modelOrOptions) {
+  return new _GeminiApp(apiKey, modelOrOptions);
+}
+
+/**
+ * Create a recorder that captures API traffic to a JSON fixture, or replays it
+ * Pass it as the transport of one or more instances. Fixtures have API keys and
+ * request base64 payloads redacted, so they can be committed with your tests.
+ * 
+ * @param {RecorderOptions} options - Mode and fixture location
+ * @returns {_GeminiAppRecorder} Transport with save() and getFixture()
+ * 
+ * @example
+ * // Record once against the real API
+ * const recorder = GeminiApp.newRecorder({ mode: 'record', folder: 'FIXTURES_FOLDER_ID', name: 'summaries.json' });
+ * const ai = GeminiApp.newInstance(apiKey, { transport: recorder });
+ * ai.prompt('Summarize: ...');
+ * const fixtureId = recorder.save();
+ * 
+ * @example
+ * // Replay later - no API key or network needed
+ * const ai = GeminiApp.newInstance('replay', { transport: GeminiApp.newRecorder({ mode: 'replay', fileId: fixtureId }) });
+ * ai.prompt('Summarize: ...'); // Recorded answer
+ */
+function newRecorder(options) {
+  return new _GeminiAppRecorder(options);
+}
+
+/**
+ * List the models available to an API key
+ * 
+ * @param {string} apiKey - Google AI API key
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - Only models supporting this generation method (e.g. 'generateContent')
+ * @param {Transport} [options.transport] - Custom HTTP transport
+ * @returns {Array<ModelInfo>} Models with token limits, supported methods and thinking support
+ * 
+ * @example
+ * GeminiApp.listModels(apiKey, { method: 'generateContent' }).forEach(model => console.log(model.name));
  */
-function newInstance(apiKey, model) {
-  return new _GeminiApp(apiKey, model);
+function listModels(apiKey, options = {}) {
+  return new _GeminiApp(apiKey, { transport: options.transport }).listModels(options);
 }
 
 /**
@@ -1559,6 +6068,8 @@ function newInstance(apiKey, model) {
  * @property {function(string, {schema: Object=}=): (string|Object)} sendMessage - Send a text message in chat. Returns text or JSON if schema provided.
  * @property {function(string, (Blob|string|Array), {mimeType: (string|Array)=, schema: Object=}=): (string|Object)} sendMessageWithImage - Send message with image(s). Returns text or JSON if schema provided.
  * @property {function(string, (Blob|string|Object|Array), {mimeType: (string|Array)=, schema: Object=}=): (string|Object)} sendMessageWithFile - Send message with file(s). Returns text or JSON if schema provided.
+ * @property {function(string, function(string, Object), Object=): (string|Object)} sendMessageStream - Send a message and stream the response to a callback.
+ * @property {function(Array<Object>, Object=): (string|Object)} sendFunctionResponses - Send results for pending function calls (manual tool mode).
  * @property {Array<Object>} history - Chat history array
  */
 
@@ -1568,12 +6079,23 @@ function newInstance(apiKey, model) {
  * @property {function(string, (Blob|string|Array), {mimeType: (string|Array)=, schema: Object=, model: string=}=): (string|Object)} promptWithImage - Send a prompt with one or more images. Returns text or JSON object if schema provided.
  * @property {function(string, (Blob|string|Object|Array), {mimeType: (string|Array)=, schema: Object=, model: string=}=): (string|Object)} promptWithFile - Send a prompt with one or more files (PDF, audio, video). Returns text or JSON object if schema provided.
  * @property {function(): ChatSession} startChat - Start a new chat session. Returns ChatSession with sendMessage(), sendMessageWithImage(), sendMessageWithFile() methods.
+ * @property {function(string, function(string, Object), Object=): (string|Object)} promptStream - Send a prompt and stream the response to a callback.
+ * @property {function(string, (Blob|string|Object|Array), function(string, Object), Object=): (string|Object)} promptWithFileStream - Send a prompt with files and stream the response.
+ * @property {function((string|Array), Object=): Object} countTokens - Count input tokens for text, parts and files. Returns {totalTokens}.
+ * @property {function((string|Array<string>), Object=): (Array<number>|Array<Array<number>>)} embed - Create embeddings. Returns one vector, or one per input text.
+ * @property {function(string, Object=): {images: Array<Blob>, text: string}} generateImage - Generate or edit images. Returns image Blobs and any text.
+ * @property {function(string, Object=): Blob} speak - Text to speech. Returns a WAV Blob (single voice or up to 2 speakers).
+ * @property {function(Object=): Array<ModelInfo>} listModels - List available models with token limits and supported methods.
+ * @property {function(string=): ModelInfo} getModel - Get model metadata (token limits, supported methods, thinking support).
+ * @property {function(ToolDefinition): Object} registerTool - Register a function the model can call. Handlers run automatically.
  * @property {function(Blob, string, string=): Object} uploadFile - Upload a file (Blob) to Files API. Returns {uri, mimeType, name} for reuse in prompts.
  * @property {function(string, string, string=): Object} uploadFileFromUrl - Upload file from URL or Drive file ID. Returns {uri, mimeType, name}.
  * @property {function(string): Object} deleteFile - Delete an uploaded file by name. Returns deletion status.
  * @property {function(Array<string>, boolean=): Object} deleteFiles - Delete multiple files. Returns {success: Array, failed: Array}.
  * @property {function(number=): Object} deleteAllFiles - Delete all uploaded files (max 100). Returns {deleted: number, failed: Array}.
  * @property {function(number=): Object} listFiles - List uploaded files. Returns {files: Array, nextPageToken: string}.
+ * @property {function(): Object} getBatchManager - Batch API manager: submit, get, list, getResults, watch, poll, cancel, delete.
+ * @property {function(): Object} getCacheManager - Context cache manager: create, list, get, updateTtl, delete, createFromFiles.
  * @property {Object} fileManager - File manager instance for advanced file operations
  */
 
@@ -1582,8 +6104,19 @@ function newInstance(apiKey, model) {
  * 
  * @namespace
  * @property {Function} newInstance - Create a new GeminiApp instance
+ * @property {Function} listModels - List the models available to an API key
+ * @property {Function} newRecorder - Record API traffic to a JSON fixture, or replay it offline
+ * @property {Function} cosineSimilarity - Cosine similarity between two embedding vectors
+ * @property {Function} topKSimilar - Find the k embedding vectors most similar to a query
+ * @property {Function} addCitations - Render citation markers or footnotes for a grounded answer
+ * @property {Function} saveToDrive - Save generated images or audio Blobs to a Drive folder
+ * @property {Object} Schema - Fluent schema builders: object, string, number, integer, boolean, array, from
  * @property {GeminiAppError} Error - Base error class
  * @property {GeminiAppApiError} ApiError - API error class
+ * @property {GeminiAppSafetyError} SafetyError - Safety block error class (subclass of ApiError)
+ * @property {GeminiAppSchemaError} SchemaError - Structured response error class with schema violations (subclass of ApiError)
+ * @property {GeminiAppReplayError} ReplayError - Request with no recorded response in replay mode
+ * @property {GeminiAppCacheMissError} CacheMissError - Request with no cached response in cache mode 'only'
  * @property {GeminiAppValidationError} ValidationError - Validation error class
  * 
  * @example
@@ -1592,7 +6125,18 @@ function newInstance(apiKey, model) {
  */
 var GeminiApp = {
   newInstance: newInstance,
+  listModels: listModels,
+  newRecorder: newRecorder,
+  cosineSimilarity: cosineSimilarity,
+  topKSimilar: topKSimilar,
+  addCitations: addCitations,
+  saveToDrive: saveToDrive,
   Error: GeminiAppError,
   ApiError: GeminiAppApiError,
+  Schema: GeminiAppSchema,
+  SafetyError: GeminiAppSafetyError,
+  SchemaError: GeminiAppSchemaError,
+  ReplayError: GeminiAppReplayError,
+  CacheMissError: GeminiAppCacheMissError,
   ValidationError: GeminiAppValidationError
 };
@@ -7,14 +7,119 @@
  * Schema definition for structured JSON responses
  */
 interface GeminiAppSchema {
-  type: 'object' | 'array' | 'string' | 'number' | 'boolean';
+  type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean';
   properties?: {
-    [key: string]: GeminiAppSchema;
+    [key: string]: GeminiAppSchemaInput;
   };
-  items?: GeminiAppSchema;
+  items?: GeminiAppSchemaInput;
   description?: string;
   required?: string[];
   enum?: any[];
+  nullable?: boolean;
+  format?: string;
+  anyOf?: GeminiAppSchemaInput[];
+  propertyOrdering?: string[];
+  /** Other keywords (minItems, additionalProperties, $schema, ...) are passed through */
+  [keyword: string]: any;
+}
+
+/**
+ * Shorthand schema: a type string ("string", "integer?", "a|b|c" for an enum), an
+ * array (one item for a list, several literals for an enum), or an object mapping
+ * field names to shorthand or full schemas
+ */
+type GeminiAppSchemaShorthand = string | GeminiAppSchemaInput[] | { [field: string]: GeminiAppSchemaInput };
+
+/**
+ * Full schema, shorthand or GeminiApp.Schema builder, accepted wherever a schema option is
+ */
+type GeminiAppSchemaInput = GeminiAppSchema | GeminiAppSchemaShorthand | GeminiAppSchemaBuilder;
+
+/**
+ * Fluent schema builder from GeminiApp.Schema
+ */
+interface GeminiAppSchemaBuilder {
+  /** Add a description */
+  describe(description: string): GeminiAppSchemaBuilder;
+  /** Allow null */
+  nullable(): GeminiAppSchemaBuilder;
+  /** Not required inside Schema.object() */
+  optional(): GeminiAppSchemaBuilder;
+  /** Allowed string values */
+  enum(values: string[]): GeminiAppSchemaBuilder;
+  /** String format, e.g. "date-time" */
+  format(format: string): GeminiAppSchemaBuilder;
+  /** Minimum value (numbers) or item count (arrays) */
+  min(value: number): GeminiAppSchemaBuilder;
+  /** Maximum value (numbers) or item count (arrays) */
+  max(value: number): GeminiAppSchemaBuilder;
+  /** Property generation order (objects) */
+  propertyOrdering(keys: string[]): GeminiAppSchemaBuilder;
+  /** The responseSchema object (a copy) */
+  build(): GeminiAppSchema;
+  toJSON(): GeminiAppSchema;
+  /** Check a value against the schema */
+  validate(value: any): { valid: boolean; violations: string[] };
+  /** JSDoc typedef block for matching values */
+  toTypedef(name: string): string;
+}
+
+/**
+ * Schema builder factory (GeminiApp.Schema)
+ */
+interface GeminiAppSchemaFactory {
+  /** Object schema - properties may be builders, shorthand or full schemas */
+  object(properties: { [name: string]: GeminiAppSchemaInput }): GeminiAppSchemaBuilder;
+  string(): GeminiAppSchemaBuilder;
+  number(): GeminiAppSchemaBuilder;
+  integer(): GeminiAppSchemaBuilder;
+  boolean(): GeminiAppSchemaBuilder;
+  /** Array schema with optional item count bounds */
+  array(items: GeminiAppSchemaInput, minItems?: number, maxItems?: number): GeminiAppSchemaBuilder;
+  /** Builder from a shorthand or full schema */
+  from(schema: GeminiAppSchemaInput): GeminiAppSchemaBuilder;
+}
+
+/**
+ * Function the model can call, with an optional handler that runs it
+ */
+interface GeminiAppToolDefinition {
+  /** Function name (letters, digits, underscores, dots or dashes; max 64 characters) */
+  name: string;
+  /** What the function does - the model uses this to decide when to call it */
+  description: string;
+  /** JSON schema for the function arguments */
+  parameters?: object;
+  /** Called with (args, functionCall); the return value is sent to the model */
+  handler?: (args: any, functionCall: GeminiAppFunctionCall) => any;
+}
+
+/**
+ * Function call requested by the model
+ */
+interface GeminiAppFunctionCall {
+  id: string;
+  name: string;
+  args: any;
+}
+
+/**
+ * Pending function calls returned with autoExecuteTools: false
+ */
+interface GeminiAppFunctionCallResult {
+  /** Any text returned alongside the calls */
+  text: string;
+  functionCalls: GeminiAppFunctionCall[];
+}
+
+/**
+ * Result for a pending function call, sent with chat.sendFunctionResponses()
+ */
+interface GeminiAppFunctionResponse {
+  name: string;
+  /** ID of the function call (from GeminiAppFunctionCall.id) */
+  id?: string;
+  response: any;
 }
 
 /**
@@ -37,19 +142,502 @@ interface GeminiAppFilePart {
 /**
  * Options for prompts with files
  */
-interface GeminiAppFileOptions {
+interface GeminiAppFileOptions extends GeminiAppPromptOptions {
   /** MIME type (required for URLs) */
   mimeType?: string;
-  /** Schema for structured JSON output */
-  schema?: GeminiAppSchema;
 }
 
+/**
+ * Called with each streamed text delta and the raw chunk
+ */
+type GeminiAppChunkCallback = (textDelta: string, rawChunk: object) => void;
+
+/**
+ * Token counts for a response
+ */
+interface GeminiAppTokenUsage {
+  promptTokens: number;
+  outputTokens: number;
+  thoughtsTokens: number;
+  /** Tokens served from a context cache */
+  cachedTokens: number;
+  /** Tokens from tool results */
+  toolUsePromptTokens: number;
+  totalTokens: number;
+}
+
+/**
+ * Options for ai.countTokens()
+ */
+interface GeminiAppCountTokensOptions {
+  /** File(s) to include, as in promptWithFile() */
+  file?: string | GeminiAppFilePart | GoogleAppsScript.Base.Blob | (string | GeminiAppFilePart | GoogleAppsScript.Base.Blob)[];
+  /** MIME type(s) for file URLs */
+  mimeType?: string | string[];
+  /** System instruction to include in the count */
+  systemInstruction?: string;
+  /** Extra tools to include in the count */
+  tools?: GeminiAppToolDefinition[];
+  /** Override the instance model */
+  model?: string;
+}
+
+/**
+ * Options for ai.embed()
+ */
+interface GeminiAppEmbedOptions {
+  /** Task type, e.g. "RETRIEVAL_DOCUMENT", "RETRIEVAL_QUERY", "SEMANTIC_SIMILARITY", "CLUSTERING" */
+  taskType?: string;
+  /** Truncate embeddings to this many dimensions */
+  outputDimensionality?: number;
+  /** Document title (only with taskType "RETRIEVAL_DOCUMENT") */
+  title?: string;
+  /** Embedding model (default: "gemini-embedding-001") */
+  model?: string;
+}
+
+/**
+ * Cached content resource (cachedContents API)
+ */
+interface GeminiAppCachedContent {
+  /** Cache name, e.g. "cachedContents/abc123" */
+  name: string;
+  model: string;
+  displayName?: string;
+  expireTime: string;
+  createTime?: string;
+  updateTime?: string;
+  usageMetadata?: { totalTokenCount: number };
+}
+
+/**
+ * Cache tracked in PropertiesService under a key
+ */
+interface GeminiAppTrackedCache {
+  key: string;
+  name: string;
+  model: string;
+  expireTime: string;
+  displayName: string;
+}
+
+/**
+ * Options for cacheManager.create()
+ */
+interface GeminiAppCacheCreateOptions {
+  /** Contents to cache, e.g. [{ role: 'user', parts: [...] }] */
+  contents?: object[];
+  /** System instruction to cache */
+  systemInstruction?: string;
+  /** Tools to cache (API format) */
+  tools?: object[];
+  /** Model the cache is for (default: instance model). Prompts must use the same model */
+  model?: string;
+  /** Time to live in seconds, or "3600s" (default: 3600) */
+  ttl?: number | string;
+  displayName?: string;
+  /** Key to track the cache under in PropertiesService (default: displayName or name) */
+  key?: string;
+}
+
+/**
+ * Context cache manager (ai.getCacheManager())
+ */
+interface GeminiAppCacheManager {
+  /**
+   * Create cached content
+   * @example
+   * const cache = ai.getCacheManager().create({ contents, systemInstruction: 'Answer from the manual', ttl: 3600, key: 'manual' });
+   * ai.prompt('How do I reset the device?', { cachedContent: cache.name });
+   */
+  create(options: GeminiAppCacheCreateOptions): GeminiAppCachedContent;
+  /**
+   * Create a cache from file inputs, or reuse the tracked cache for options.key and the same model
+   */
+  createFromFiles(
+    file: string | GeminiAppFilePart | GoogleAppsScript.Base.Blob | (string | GeminiAppFilePart | GoogleAppsScript.Base.Blob)[],
+    options?: GeminiAppCacheCreateOptions & { mimeType?: string | string[]; text?: string }
+  ): GeminiAppCachedContent | GeminiAppTrackedCache;
+  /** List cached contents */
+  list(pageSize?: number, pageToken?: string): { cachedContents: GeminiAppCachedContent[]; nextPageToken?: string };
+  /** Get cached content metadata */
+  get(name: string): GeminiAppCachedContent;
+  /** Update a cache's time to live, counted from now */
+  updateTtl(name: string, ttl: number | string): GeminiAppCachedContent;
+  /** Delete a cache */
+  delete(name: string): { success: boolean; alreadyDeleted?: boolean };
+  /** Tracked, unexpired cache by key (null when missing or expiring within minRemainingSeconds, default 60) */
+  getTracked(key: string, minRemainingSeconds?: number): GeminiAppTrackedCache | null;
+  /** Tracked, unexpired caches */
+  listTracked(): GeminiAppTrackedCache[];
+}
+
+/**
+ * One Batch API request: prompt text, or an object with a key and text or a raw GenerateContentRequest
+ */
+type GeminiAppBatchRequest = string | (GeminiAppPromptOptions & {
+  /** Key to match the result (default: the index) */
+  key?: string;
+  text?: string;
+  /** Raw GenerateContentRequest body, sent as is */
+  request?: object;
+});
+
+/**
+ * Options for batchManager.submit()
+ */
+interface GeminiAppBatchSubmitOptions extends GeminiAppPromptOptions {
+  displayName?: string;
+  /** System instruction for every request */
+  systemInstruction?: string;
+  /** "inline" or "file" (default: file when the requests exceed 10MB) */
+  inputMode?: 'inline' | 'file';
+  /** Name of the function to call with (results, job) - starts polling */
+  handler?: string;
+  /** Global function the polling trigger runs (default: "pollGeminiBatches") */
+  triggerFunction?: string;
+  /** Polling interval in minutes (default: 10) */
+  everyMinutes?: 1 | 5 | 10 | 15 | 30;
+}
+
+/**
+ * Batch job handle
+ */
+interface GeminiAppBatchJob {
+  /** Job name, e.g. "batches/abc123" */
+  name: string;
+  displayName: string | null;
+  model: string | null;
+  state: 'PENDING' | 'RUNNING' | 'SUCCEEDED' | 'FAILED' | 'CANCELLED' | 'EXPIRED' | string;
+  /** True once the job reached a final state */
+  done: boolean;
+  /** Request counts */
+  stats: object | null;
+  createTime: string | null;
+  updateTime: string | null;
+  error: object | null;
+  /** Raw batch operation */
+  raw: object;
+}
+
+/**
+ * Result of one batch request
+ */
+interface GeminiAppBatchResult {
+  key: string;
+  /** Text, or parsed JSON with a schema */
+  value: any;
+  /** Error message if the request failed */
+  error: string | null;
+  /** Raw response */
+  response: object | null;
+}
+
+/**
+ * Batch API manager (ai.getBatchManager())
+ */
+interface GeminiAppBatchManager {
+  /**
+   * Submit inline or file-based requests
+   * @example
+   * ai.getBatchManager().submit(rows.map((row, i) => ({ key: String(i), text: row[0] })), { handler: 'writeResults' });
+   */
+  submit(requests: GeminiAppBatchRequest[], options?: GeminiAppBatchSubmitOptions): GeminiAppBatchJob;
+  /** Get job state */
+  get(name: string): GeminiAppBatchJob;
+  /** List jobs */
+  list(pageSize?: number, pageToken?: string): { jobs: GeminiAppBatchJob[]; nextPageToken: string | null };
+  /** Parsed results of a finished job */
+  getResults(job: string | GeminiAppBatchJob, options?: { schema?: GeminiAppSchemaInput }): GeminiAppBatchResult[];
+  /** Poll with a time-driven trigger and call the named handler when the job finishes */
+  watch(
+    job: string | GeminiAppBatchJob,
+    handler: string,
+    options?: { triggerFunction?: string; everyMinutes?: 1 | 5 | 10 | 15 | 30 }
+  ): GeminiAppBatchJob;
+  /**
+   * Check watched jobs and call the handlers of finished ones (call from your trigger function).
+   * Pass the handlers when GeminiApp is used as a library - it cannot see your script's functions.
+   * @example
+   * function pollGeminiBatches() {
+   *   GeminiApp.newInstance(API_KEY).getBatchManager().poll({ writeResults });
+   * }
+   */
+  poll(handlers?: { [name: string]: (results: GeminiAppBatchResult[], job: GeminiAppBatchJob) => void }): GeminiAppBatchJob[];
+  /** Cancel a job */
+  cancel(name: string): { success: boolean };
+  /** Delete a job */
+  delete(name: string): { success: boolean };
+  /** Jobs saved in PropertiesService */
+  listSaved(): Array<{
+    name: string;
+    model: string;
+    schema: object | null;
+    handler?: string;
+    triggerFunction?: string;
+    createTime?: string;
+    /** Distinct schemas set on individual requests */
+    schemas?: object[];
+    /** Request key -> index in schemas */
+    itemSchemas?: { [key: string]: number };
+  }>;
+}
+
+/**
+ * Options for ai.generateImage() - per-call generation options apply, instance defaults do not
+ */
+interface GeminiAppImageOptions extends GeminiAppPromptOptions {
+  /** Image(s) to edit or combine (any input promptWithImage() accepts) */
+  inputImages?: string | GeminiAppFilePart | GoogleAppsScript.Base.Blob | (string | GeminiAppFilePart | GoogleAppsScript.Base.Blob)[];
+  /** MIME type(s) for input image URLs */
+  mimeType?: string | string[];
+  /** Number of generations, one request each (default: 1) */
+  count?: number;
+}
+
+/**
+ * Options for ai.speak()
+ */
+interface GeminiAppSpeechOptions extends GeminiAppPromptOptions {
+  /** Prebuilt voice for a single speaker, e.g. "Kore" (default), "Puck", "Charon" */
+  voice?: string;
+  /** Voice per speaker (max 2), as { Joe: 'Charon' } or [{ speaker, voice }] */
+  speakers?: { [speaker: string]: string } | Array<{ speaker: string; voice: string }>;
+  /** File name of the returned Blob (default: "speech.wav") */
+  name?: string;
+}
+
+/**
+ * Token count from the countTokens endpoint
+ */
+interface GeminiAppTokenCount {
+  totalTokens: number;
+  cachedContentTokenCount?: number;
+  promptTokensDetails?: Array<{ modality: string; tokenCount: number }>;
+}
+
+/**
+ * Google Search grounding: a type, or googleSearchRetrieval with a dynamic threshold
+ */
+type GeminiAppGrounding =
+  | 'googleSearch'
+  | 'googleSearchRetrieval'
+  | { type: 'googleSearch' }
+  | { type: 'googleSearchRetrieval'; dynamicThreshold?: number };
+
+/**
+ * Search queries, sources and supported segments of a grounded answer
+ */
+interface GeminiAppGroundingInfo {
+  /** Search queries the model ran */
+  queries: string[];
+  /** Web sources */
+  sources: Array<{ index: number; uri: string; title: string }>;
+  /** Answer segments (UTF-8 byte offsets) and the sources supporting them */
+  supports: Array<{ startIndex: number; endIndex: number; text: string; sourceIndices: number[]; confidenceScores: number[] }>;
+  /** Rendered Google Search suggestions HTML */
+  searchEntryPoint: string | null;
+}
+
+/**
+ * One step of an answer, in the order the model produced it
+ */
+interface GeminiAppResponseStep {
+  type: 'text' | 'code' | 'codeResult';
+  /** Answer text (type "text") */
+  text?: string;
+  /** Code language, e.g. "PYTHON" (type "code") */
+  language?: string;
+  /** Generated code (type "code") */
+  code?: string;
+  /** OUTCOME_OK, OUTCOME_FAILED or OUTCOME_DEADLINE_EXCEEDED (type "codeResult") */
+  outcome?: string;
+  /** stdout, or the error when the code failed (type "codeResult") */
+  output?: string;
+}
+
+/**
+ * Full response returned with returnFullResponse: true
+ */
+interface GeminiAppResult {
+  /** Response text */
+  text: string;
+  /** Parsed JSON when a schema was provided */
+  data: any;
+  /** Thought summaries (with includeThoughts), never mixed into text */
+  thoughts: string;
+  /** Why generation stopped (STOP, MAX_TOKENS, ...) */
+  finishReason: string | null;
+  /** Extra detail about the finish reason */
+  finishMessage: string | null;
+  /** True when the answer was cut off at maxOutputTokens */
+  truncated: boolean;
+  /** Token counts (for the whole function calling exchange) */
+  usage: GeminiAppTokenUsage;
+  /** Safety ratings for the answer */
+  safetyRatings: Array<{ category: string; probability: string; blocked: boolean }>;
+  /** Cited sources */
+  citations: Array<{ startIndex: number; endIndex: number; uri: string; title: string; license: string; publicationDate: object }>;
+  /** Function calls in the final turn (manual tool mode) */
+  functionCalls: GeminiAppFunctionCall[];
+  /** Search queries, sources and supported segments (with grounding) */
+  grounding: GeminiAppGroundingInfo | null;
+  /** Code the model ran and its results (with codeExecution) */
+  codeExecutions: Array<{ language: string; code: string; outcome: string | null; output: string }>;
+  /** Text, code and code results in the order the model produced them */
+  steps: GeminiAppResponseStep[];
+  /** Retrieval status per URL (SUCCESS, ERROR, PAYWALL, UNSAFE) */
+  urlContext: Array<{ url: string; status: string }>;
+  /** Generated images (with responseModalities including "IMAGE") */
+  images: GoogleAppsScript.Base.Blob[];
+  /** Model that answered (differs from the requested model after a fallback) */
+  model: string;
+  /** Model version that answered */
+  modelVersion: string | null;
+  /** Response ID */
+  responseId: string | null;
+  /** Response cache hit/miss (when the response cache is used) */
+  cache: GeminiAppResponseCacheInfo | null;
+  /** Raw API response */
+  raw: object;
+}
+
+/**
+ * Response cache hit/miss, only reported on GeminiAppResult.cache
+ */
+interface GeminiAppResponseCacheInfo {
+  status: 'hit' | 'miss' | 'refresh' | 'bypass';
+  /** Cache key of the request */
+  key: string | null;
+  /** When the response was stored (ISO date) */
+  cachedAt: string | null;
+  /** Whether the response is in the cache (false for error answers and failed writes) */
+  stored: boolean;
+}
+
+/**
+ * Generation parameters, set per call or as instance and chat defaults
+ */
+interface GeminiAppGenerationOptions {
+  /** Controls randomness (0-2) */
+  temperature?: number;
+  /** Nucleus sampling parameter (0-1) */
+  topP?: number;
+  /** Top-k sampling parameter (integer >= 1) */
+  topK?: number;
+  /** Maximum response tokens */
+  maxOutputTokens?: number;
+  /** Up to 5 sequences that stop generation */
+  stopSequences?: string[];
+  /** Seed for more deterministic output */
+  seed?: number;
+  /** Number of candidates (1-8); more than 1 returns an array */
+  candidateCount?: number;
+  /** Thinking token budget (0 = off where supported, -1 = dynamic) */
+  thinkingBudget?: number;
+  /** Return thought summaries in GeminiAppResult.thoughts */
+  includeThoughts?: boolean;
+}
+
+/**
+ * Block thresholds by harm category: an API-style array, or a map such as
+ * { HARASSMENT: 'BLOCK_ONLY_HIGH' } (the HARM_CATEGORY_ prefix is optional)
+ */
+type GeminiAppSafetySettings = Array<{ category: string; threshold: string }> | { [category: string]: string };
+
 /**
  * Options for basic prompts
  */
-interface GeminiAppPromptOptions {
-  /** Schema for structured JSON output */
-  schema?: GeminiAppSchema;
+interface GeminiAppPromptOptions extends GeminiAppGenerationOptions {
+  /** Schema for structured JSON output: a full schema or shorthand such as { name: 'string', tags: ['string'] } */
+  schema?: GeminiAppSchemaInput;
+  /** Repair retries when a structured response fails schema validation (default: 1). With onChunk the rejected answer is streamed too */
+  schemaRetries?: number;
+  /** Check structured responses against the schema (default: true) */
+  validateSchema?: boolean;
+  /**
+   * Complete answers cut off at maxOutputTokens: text is continued; JSON is re-requested
+   * one top-level property (or page of array items) at a time
+   */
+  autoContinue?: boolean;
+  /** Maximum continuation requests or parts with autoContinue (default: 10) */
+  maxContinuations?: number;
+  /** Override the instance model */
+  model?: string;
+  /** Safety thresholds (merged over instance and chat settings) */
+  safetySettings?: GeminiAppSafetySettings;
+  /** Throw a ValidationError before sending if the request has more input tokens */
+  maxInputTokens?: number;
+  /** Override the instance fallback chain for this call */
+  fallbackModels?: string[];
+  /** Failed attempts on one model before falling back (default: 2) */
+  fallbackAfter?: number;
+  /** Cached content name from the cache manager. systemInstruction and tools then come from the cache */
+  cachedContent?: string;
+  /** Ground answers in Google Search ("googleSearchRetrieval" for Gemini 1.5). Function declarations are left out of grounded requests */
+  grounding?: GeminiAppGrounding;
+  /** Let the model write and run Python code */
+  codeExecution?: boolean;
+  /** Web pages for the model to read (urlContext tool, max 20) */
+  urls?: string[];
+  /** Enable the urlContext tool for URLs already in the prompt */
+  urlContext?: boolean;
+  /** Output types, e.g. ["TEXT", "IMAGE"] for image models */
+  responseModalities?: string[];
+  /** Generated image aspect ratio, e.g. "16:9" */
+  aspectRatio?: string;
+  /** Extra tools the model may call, on top of the registered ones */
+  tools?: GeminiAppToolDefinition[];
+  /** Run tool handlers automatically (default: true). When false, pending calls are returned */
+  autoExecuteTools?: boolean;
+  /** Maximum model turns in the function calling loop (default: 10, schema repairs not counted) */
+  maxToolIterations?: number;
+  /** Function calling mode */
+  toolMode?: 'AUTO' | 'ANY' | 'NONE';
+  /** Stream the response (streamGenerateContent); called with each text delta */
+  onChunk?: GeminiAppChunkCallback;
+  /** Return a GeminiAppResult instead of text/JSON (default: false) */
+  returnFullResponse?: boolean;
+  /** Response cache for this call: a mode, false to bypass, or options */
+  cache?: boolean | 'use' | 'only' | 'refresh' | 'bypass' | GeminiAppResponseCacheOptions;
+}
+
+/**
+ * Options for GeminiApp.newInstance()
+ */
+interface GeminiAppInstanceOptions extends GeminiAppGenerationOptions {
+  /** Model to use (default: "gemini-2.5-flash") */
+  model?: string;
+  /** Default safety thresholds */
+  safetySettings?: GeminiAppSafetySettings;
+  /** Input token budget checked before every request */
+  maxInputTokens?: number;
+  /** Check model overrides against the models API before sending (default: true) */
+  validateModels?: boolean;
+  /** Models to try, in order, when a model keeps returning 429 or 503 */
+  fallbackModels?: string[];
+  /** Failed attempts on one model before moving to the next fallback (default: 2) */
+  fallbackAfter?: number;
+  /** Use Vertex AI with an OAuth token instead of an API key */
+  vertex?: GeminiAppVertexOptions;
+  /** Send every HTTP request through this instead of UrlFetchApp */
+  transport?: GeminiAppTransport;
+  /** Cache responses to identical requests in CacheService (true for defaults) */
+  cache?: boolean | GeminiAppResponseCacheOptions;
+}
+
+/**
+ * Response cache options (CacheService)
+ */
+interface GeminiAppResponseCacheOptions {
+  /** Seconds to keep responses (default: 3600, max 21600) */
+  ttl?: number;
+  /** "use" (default), "only" (never call the API), "refresh" (call and overwrite) or "bypass" */
+  mode?: 'use' | 'only' | 'refresh' | 'bypass';
+  /** Cache to use (default: CacheService.getScriptCache()) */
+  store?: GoogleAppsScript.Cache.Cache;
+  /** Cache key prefix (default: "geminiapp:") */
+  prefix?: string;
 }
 
 /**
@@ -83,6 +671,119 @@ interface GeminiAppFileListResponse {
 }
 
 
+/**
+ * Model metadata from the models API
+ */
+interface GeminiAppModelInfo {
+  /** Model name, e.g. "gemini-2.5-flash" */
+  name: string;
+  displayName: string | null;
+  description: string | null;
+  version: string | null;
+  /** Maximum input tokens */
+  inputTokenLimit: number | null;
+  /** Maximum output tokens */
+  outputTokenLimit: number | null;
+  /** e.g. ["generateContent", "countTokens"] */
+  supportedGenerationMethods: string[];
+  /** True when the model supports thinking */
+  thinking: boolean;
+  temperature: number | null;
+  maxTemperature: number | null;
+  topP: number | null;
+  topK: number | null;
+  /** Raw model resource */
+  raw: object;
+}
+
+/**
+ * Vertex AI configuration (used instead of an API key)
+ */
+interface GeminiAppVertexOptions {
+  /** Google Cloud project ID */
+  project: string;
+  /** Region (default: "us-central1"), or "global" */
+  location?: string;
+  /** OAuth token, or a function returning one (default: ScriptApp.getOAuthToken()) */
+  accessToken?: string | (() => string);
+  /** Vertex AI API version (default: "v1") */
+  apiVersion?: string;
+}
+
+/**
+ * Plain response a custom transport may return instead of an HTTPResponse
+ */
+interface GeminiAppTransportResponse {
+  /** HTTP status code (default: 200) */
+  status?: number;
+  /** Response body - objects are sent as JSON, byte arrays as binary */
+  body?: string | object | number[];
+  headers?: { [name: string]: string };
+}
+
+/**
+ * HTTP transport used for every request (default: UrlFetchApp)
+ */
+interface GeminiAppTransport {
+  /** Called with UrlFetchApp's (url, params) */
+  fetch(url: string, params: object): GoogleAppsScript.URL_Fetch.HTTPResponse | GeminiAppTransportResponse;
+  /** Replaces Utilities.sleep between retries */
+  sleep?(milliseconds: number): void;
+}
+
+/**
+ * Options for GeminiApp.newRecorder()
+ */
+interface GeminiAppRecorderOptions {
+  /** "record" calls the API and keeps every exchange; "replay" serves recorded responses offline */
+  mode: 'record' | 'replay';
+  /** Drive file with the fixture (replay), or to overwrite on save() (record) */
+  fileId?: string;
+  /** Folder (or ID) for a new fixture file on save() (default: My Drive) */
+  folder?: GoogleAppsScript.Drive.Folder | string;
+  /** File name for a new fixture file (default: "geminiapp-fixture.json") */
+  name?: string;
+  /** Local fixture file path (Node.js only) */
+  path?: string;
+  /** Fixture object to replay from memory */
+  fixture?: object;
+  /** Transport used while recording (default: UrlFetchApp) */
+  transport?: GeminiAppTransport;
+}
+
+/**
+ * Transport that records API traffic to a fixture or replays it
+ */
+interface GeminiAppRecorder extends GeminiAppTransport {
+  mode: 'record' | 'replay';
+  /** Save the fixture (record mode). Returns the local path or Drive file ID */
+  save(): string;
+  /** The fixture with redacted request/response pairs */
+  getFixture(): { version: number; recordedAt: string; interactions: object[] };
+}
+
+/**
+ * Options for ai.startChat()
+ */
+interface GeminiAppChatOptions extends GeminiAppGenerationOptions {
+  /** Initial chat history */
+  history?: GeminiAppChatMessage[];
+  /** System instruction for the chat */
+  systemInstruction?: string;
+  /** Tools available for every message in the chat */
+  tools?: GeminiAppToolDefinition[];
+  /** Session safety thresholds (merged over the instance settings) */
+  safetySettings?: GeminiAppSafetySettings;
+  /** Cached content name used for every message */
+  cachedContent?: string;
+  /** Ground every message with Google Search */
+  grounding?: GeminiAppGrounding;
+  /** Let the model write and run Python for every message */
+  codeExecution?: boolean;
+  /** Let the model read URLs mentioned in any message */
+  urlContext?: boolean;
+}
+
 /**
  * Message in chat history
  */
@@ -105,8 +806,19 @@ interface GeminiAppChatSession {
    * @param options - Optional schema for structured output
    * @returns Text response or parsed JSON object if schema provided
    */
+  sendMessage(text: string, options: GeminiAppPromptOptions & { returnFullResponse: true }): GeminiAppResult | GeminiAppResult[];
   sendMessage(text: string, options?: GeminiAppPromptOptions): string | object;
 
+  /**
+   * Send a text message and receive the response in chunks
+   * The model response is added to history once the stream completes.
+   * @param text - The message text
+   * @param onChunk - Called with (textDelta, rawChunk) for each chunk
+   * @param options - Same options as sendMessage()
+   * @returns Same final value as sendMessage()
+   */
+  sendMessageStream(text: string, onChunk: GeminiAppChunkCallback, options?: GeminiAppPromptOptions): string | object;
+
   /**
    * Send a message with a single image
    * @param text - The message text
@@ -143,6 +855,19 @@ interface GeminiAppChatSession {
    */
   sendMessageWithFiles(text: string, files: (string | GeminiAppFilePart)[], options?: GeminiAppFileOptions): string | object;
 
+  /**
+   * Send results for function calls returned with autoExecuteTools: false
+   * @param results - Result for each pending function call
+   * @param options - Options for the request (same as sendMessage)
+   * @returns Text response, parsed JSON if schema provided, or more pending calls
+   * @example
+   * const pending = chat.sendMessage('Weather in Paris?', { autoExecuteTools: false });
+   * const answer = chat.sendFunctionResponses(pending.functionCalls.map(call => ({
+   *   name: call.name, id: call.id, response: lookupWeather(call.args)
+   * })));
+   */
+  sendFunctionResponses(results: GeminiAppFunctionResponse[], options?: GeminiAppPromptOptions): string | object;
+
   /**
    * Get the conversation history
    * @returns Array of message objects
@@ -176,8 +901,22 @@ interface GeminiAppInstance {
    * const response = ai.prompt("Tell me a joke");
    * const structured = ai.prompt("List 3 colors", { schema: colorSchema });
    */
+  prompt(text: string, options: GeminiAppPromptOptions & { returnFullResponse: true }): GeminiAppResult | GeminiAppResult[];
   prompt(text: string, options?: GeminiAppPromptOptions): string | object;
 
+  /**
+   * Send a text prompt and receive the response in chunks
+   * Apps Script buffers the HTTP body, so chunks arrive in order once the request completes.
+   * @param text - The prompt text
+   * @param onChunk - Called with (textDelta, rawChunk) for each chunk
+   * @param options - Same options as prompt()
+   * @returns Same final value as prompt()
+   * @example
+   * const paragraph = DocumentApp.getActiveDocument().getBody().appendParagraph('');
+   * ai.promptStream("Write a short story", (delta) => paragraph.appendText(delta));
+   */
+  promptStream(text: string, onChunk: GeminiAppChunkCallback, options?: GeminiAppPromptOptions): string | object;
+
   // ========================================
   // Prompts with Images
   // ========================================
@@ -191,6 +930,7 @@ interface GeminiAppInstance {
    * @example
    * const response = ai.promptWithImage("What's in this image?", imageUrl, { mimeType: "image/jpeg" });
    */
+  promptWithImage(text: string, image: string | GeminiAppFilePart, options: GeminiAppFileOptions & { returnFullResponse: true }): GeminiAppResult | GeminiAppResult[];
   promptWithImage(text: string, image: string | GeminiAppFilePart, options?: GeminiAppFileOptions): string | object;
 
   /**
@@ -218,6 +958,7 @@ interface GeminiAppInstance {
    * const response = ai.promptWithFile("Transcribe this", audioUrl, { mimeType: "audio/mpeg" });
    * const driveResponse = ai.promptWithFile("Summarize this doc", driveFileId);
    */
+  promptWithFile(text: string, file: string | GeminiAppFilePart, options: GeminiAppFileOptions & { returnFullResponse: true }): GeminiAppResult | GeminiAppResult[];
   promptWithFile(text: string, file: string | GeminiAppFilePart, options?: GeminiAppFileOptions): string | object;
 
   /**
@@ -231,19 +972,122 @@ interface GeminiAppInstance {
    */
   promptWithFiles(text: string, files: (string | GeminiAppFilePart)[], options?: GeminiAppFileOptions): string | object;
 
+  /**
+   * Send a prompt with file(s) and receive the response in chunks
+   * @param text - The prompt text
+   * @param file - Same inputs as promptWithFile()
+   * @param onChunk - Called with (textDelta, rawChunk) for each chunk
+   * @param options - Same options as promptWithFile()
+   * @returns Same final value as promptWithFile()
+   */
+  promptWithFileStream(
+    text: string,
+    file: string | GeminiAppFilePart | GoogleAppsScript.Base.Blob | (string | GeminiAppFilePart | GoogleAppsScript.Base.Blob)[],
+    onChunk: GeminiAppChunkCallback,
+    options?: GeminiAppFileOptions
+  ): string | object;
+
+  // ========================================
+  // Image Generation
+  // ========================================
+
+  /**
+   * Generate or edit images with an image model (default: "gemini-2.5-flash-image")
+   * @param prompt - Description of the image to create, or the edit to make
+   * @returns Images named image-1.png, image-2.png, ... and any accompanying text
+   * @example
+   * const result = ai.generateImage('A watercolor fox', { count: 2, aspectRatio: '16:9' });
+   * GeminiApp.saveToDrive(result.images, 'FOLDER_ID', { prefix: 'fox' });
+   */
+  generateImage(prompt: string, options?: GeminiAppImageOptions): { images: GoogleAppsScript.Base.Blob[]; text: string };
+
+  // ========================================
+  // Text to Speech
+  // ========================================
+
+  /**
+   * Convert text to speech with a TTS model (default: "gemini-2.5-flash-preview-tts")
+   * @param text - Text to read. For multiple speakers, prefix lines with the speaker names
+   * @returns WAV audio
+   * @example
+   * const audio = ai.speak('Joe: How was the launch?\nJane: Better than expected!', {
+   *   speakers: { Joe: 'Charon', Jane: 'Kore' }
+   * });
+   */
+  speak(text: string, options?: GeminiAppSpeechOptions): GoogleAppsScript.Base.Blob;
+
+  // ========================================
+  // Token Counting
+  // ========================================
+
+  /**
+   * Count the tokens a prompt would use
+   * @param textOrParts - Prompt text, an array of text strings / content parts, or full contents
+   * @param options - Files, system instruction, tools and model to include in the count
+   * @returns Token count
+   * @example
+   * const count = ai.countTokens('Summarize this report', { file: 'DRIVE_FILE_ID' });
+   * console.log(count.totalTokens);
+   */
+  countTokens(textOrParts: string | Array<string | object>, options?: GeminiAppCountTokensOptions): GeminiAppTokenCount;
+
+  // ========================================
+  // Embeddings
+  // ========================================
+
+  /**
+   * Create an embedding for a text
+   * @example
+   * const vector = ai.embed('Hello world');
+   */
+  embed(text: string, options?: GeminiAppEmbedOptions): number[];
+
+  /**
+   * Create embeddings for several texts (split into batches of 100 automatically)
+   * @example
+   * const vectors = ai.embed(rows.map(r => r[0]), { taskType: 'CLUSTERING', outputDimensionality: 256 });
+   */
+  embed(texts: string[], options?: GeminiAppEmbedOptions): number[][];
+
   // ========================================
   // Chat Sessions
   // ========================================
 
   /**
    * Start a new chat session
+   * @param options - Initial history, system instruction and tools
    * @returns ChatSession object
    * @example
    * const chat = ai.startChat();
    * const response1 = chat.sendMessage("Hello");
    * const response2 = chat.sendMessage("Tell me more");
    */
-  startChat(): GeminiAppChatSession;
+  startChat(options?: GeminiAppChatOptions): GeminiAppChatSession;
+
+  // ========================================
+  // Function Calling
+  // ========================================
+
+  /**
+   * Register a function the model can call
+   * @param tool - Declaration with a handler
+   * @returns This instance (for chaining)
+   * @example
+   * ai.registerTool({
+   *   name: 'lookupRow',
+   *   description: 'Find a customer row by email',
+   *   parameters: { type: 'object', properties: { email: { type: 'string' } }, required: ['email'] },
+   *   handler: (args) => findCustomerByEmail(args.email)
+   * });
+   */
+  registerTool(tool: GeminiAppToolDefinition): GeminiAppInstance;
+
+  /**
+   * Remove a registered function
+   * @param name - Tool name
+   * @returns This instance (for chaining)
+   */
+  unregisterTool(name: string): GeminiAppInstance;
 
   // ========================================
   // File Management
@@ -286,6 +1130,116 @@ interface GeminiAppInstance {
    * @param batchSize - Number of files to delete at once (default: 5)
    */
   deleteAllFiles(batchSize?: number): void;
+
+  // ========================================
+  // Context Caching
+  // ========================================
+
+  /**
+   * Get the context cache manager
+   * @returns Cache manager for cachedContents
+   */
+  getCacheManager(): GeminiAppCacheManager;
+
+  // ========================================
+  // Batch API
+  // ========================================
+
+  /**
+   * Get the Batch API manager
+   * @returns Batch manager for batch prediction jobs
+   */
+  getBatchManager(): GeminiAppBatchManager;
+
+  // ========================================
+  // Models
+  // ========================================
+
+  /**
+   * List the models available to this API key
+   * @param options - Optional filter by supported generation method
+   * @returns Model metadata
+   */
+  listModels(options?: { method?: string }): GeminiAppModelInfo[];
+
+  /**
+   * Get metadata for a model
+   * @param name - Model name (default: the instance model)
+   * @returns Token limits, supported methods and thinking support
+   * @example
+   * const model = ai.getModel('gemini-2.5-pro');
+   * console.log(model.inputTokenLimit);
+   */
+  getModel(name?: string): GeminiAppModelInfo;
+}
+
+// ========================================
+// Errors
+// ========================================
+
+/**
+ * Base error class
+ */
+declare class GeminiAppError extends Error {
+  constructor(message: string);
+}
+
+/**
+ * API request failed
+ */
+declare class GeminiAppApiError extends GeminiAppError {
+  constructor(message: string, statusCode: number, response: object | null);
+  /** HTTP status code */
+  statusCode: number;
+  /** Raw API response */
+  response: object | null;
+}
+
+/**
+ * Prompt or answer blocked by safety filters
+ */
+declare class GeminiAppSafetyError extends GeminiAppApiError {
+  /** "prompt" or "candidate" */
+  blockedBy: 'prompt' | 'candidate';
+  /** Block reason or finish reason (SAFETY, RECITATION, ...) */
+  blockReason: string;
+  /** Per-category safety ratings */
+  safetyRatings: Array<{ category: string; probability: string; blocked?: boolean }>;
+  /** Ratings that caused the block */
+  getBlockedCategories(): Array<{ category: string; probability: string; blocked?: boolean }>;
+}
+
+/**
+ * Structured response that is not valid JSON or does not match the schema, after any repair retries
+ */
+declare class GeminiAppSchemaError extends GeminiAppApiError {
+  /** Schema violations, e.g. "$.rating: expected integer, got string" */
+  violations: string[];
+  /** Response text that failed validation */
+  rawText: string;
+}
+
+/**
+ * Request with no recorded response in replay mode
+ */
+declare class GeminiAppReplayError extends GeminiAppError {
+  /** The unmatched request (redacted) */
+  request: { method: string; url: string; payload: any };
+}
+
+/**
+ * Request with no cached response in response cache mode "only"
+ */
+declare class GeminiAppCacheMissError extends GeminiAppError {
+  /** Cache key of the request */
+  key: string;
+}
+
+/**
+ * Invalid input parameters
+ */
+declare class GeminiAppValidationError extends GeminiAppError {
+  constructor(message: string);
 }
 
 // ========================================
@@ -299,7 +1253,7 @@ interface GeminiAppLibrary {
   /**
    * Create a new GeminiApp instance
    * @param apiKey - Your Gemini API key
-   * @param model - Optional model name (default: "gemini-2.0-flash-exp")
+   * @param model - Optional model name (default: "gemini-2.5-flash")
    * @returns AI instance
    * @example
    * const ai = GeminiApp.newInstance('YOUR_API_KEY');
@@ -307,6 +1261,63 @@ interface GeminiAppLibrary {
    */
   newInstance(apiKey: string, model?: string): GeminiAppInstance;
 
+  /**
+   * Create a GeminiApp instance that uses Vertex AI with an OAuth token
+   * @example
+   * const ai = GeminiApp.newInstance(null, { vertex: { project: 'my-project' } });
+   */
+  newInstance(apiKey: null, options: GeminiAppInstanceOptions & { vertex: GeminiAppVertexOptions }): GeminiAppInstance;
+
+  /**
+   * Create a GeminiApp instance with options: model, generation defaults, fallbacks, transport or response cache
+   * @example
+   * const ai = GeminiApp.newInstance('YOUR_API_KEY', { model: 'gemini-2.5-pro', temperature: 0.2, maxOutputTokens: 2048 });
+   */
+  newInstance(apiKey: string, options: GeminiAppInstanceOptions): GeminiAppInstance;
+
+  /**
+   * List the models available to an API key
+   * @param apiKey - Your Gemini API key
+   * @param options - Optional filter by supported generation method
+   * @returns Model metadata with token limits and supported methods
+   */
+  listModels(apiKey: string, options?: { method?: string; transport?: GeminiAppTransport }): GeminiAppModelInfo[];
+
+  /**
+   * Record API traffic to a JSON fixture, or replay it without network access
+   * @example
+   * const recorder = GeminiApp.newRecorder({ mode: 'replay', fileId: 'FIXTURE_FILE_ID' });
+   * const ai = GeminiApp.newInstance('replay', { transport: recorder });
+   */
+  newRecorder(options: GeminiAppRecorderOptions): GeminiAppRecorder;
+
+  /**
+   * Cosine similarity between two vectors (-1 to 1)
+   */
+  cosineSimilarity(a: number[], b: number[]): number;
+
+  /**
+   * Find the k vectors most similar to a query vector, highest score first
+   * @param k - Number of results (default: 5)
+   */
+  topKSimilar(queryVector: number[], vectors: number[][], k?: number): Array<{ index: number; score: number }>;
+
+  /**
+   * Render citation markers (and by default a numbered source list) for a grounded answer
+   * @param result - Full response from a prompt with { grounding, returnFullResponse: true }
+   */
+  addCitations(result: GeminiAppResult, options?: { style?: 'inline' | 'footnotes'; marker?: (n: number) => string }): string;
+
+  /**
+   * Save generated Blobs (images, audio) to a Drive folder (default: My Drive)
+   * @param options - prefix names the files `${prefix}-1.png`, `${prefix}-2.png`, ...
+   */
+  saveToDrive(
+    blobs: GoogleAppsScript.Base.Blob | GoogleAppsScript.Base.Blob[],
+    folder?: GoogleAppsScript.Drive.Folder | string,
+    options?: { prefix?: string }
+  ): GoogleAppsScript.Drive.File[];
+
   /**
    * List all uploaded files (standalone helper)
    */
@@ -316,6 +1327,21 @@ interface GeminiAppLibrary {
    * Delete all uploaded files (standalone helper)
    */
   cleanupAllFiles(): void;
+
+  /** Fluent schema builders */
+  Schema: GeminiAppSchemaFactory;
+
+  Error: typeof GeminiAppError;
+  ApiError: typeof GeminiAppApiError;
+  /** Safety block error (subclass of ApiError) */
+  SafetyError: typeof GeminiAppSafetyError;
+  /** Structured response error with schema violations (subclass of ApiError) */
+  SchemaError: typeof GeminiAppSchemaError;
+  /** Request with no recorded response in replay mode */
+  ReplayError: typeof GeminiAppReplayError;
+  /** Request with no cached response in cache mode "only" */
+  CacheMissError: typeof GeminiAppCacheMissError;
+  ValidationError: typeof GeminiAppValidationError;
 }
 
 // ========================================
@@ -329,7 +1355,7 @@ declare namespace GeminiApp {
   /**
    * Create a new GeminiApp instance
    * @param apiKey - Your Gemini API key
-   * @param model - Optional model name (default: "gemini-2.0-flash-exp")
+   * @param model - Optional model name (default: "gemini-2.5-flash")
    * @returns AI instance
    * @example
    * const ai = GeminiApp.newInstance('YOUR_API_KEY');
@@ -337,6 +1363,71 @@ declare namespace GeminiApp {
    */
   function newInstance(apiKey: string, model?: string): GeminiAppInstance;
 
+  /**
+   * Create a GeminiApp instance that uses Vertex AI with an OAuth token
+   * @example
+   * const ai = GeminiApp.newInstance(null, { vertex: { project: 'my-project' } });
+   */
+  function newInstance(apiKey: null, options: GeminiAppInstanceOptions & { vertex: GeminiAppVertexOptions }): GeminiAppInstance;
+
+  /**
+   * Create a GeminiApp instance with options: model, generation defaults, fallbacks, transport or response cache
+   * @example
+   * const ai = GeminiApp.newInstance('YOUR_API_KEY', { model: 'gemini-2.5-pro', temperature: 0.2, maxOutputTokens: 2048 });
+   */
+  function newInstance(apiKey: string, options: GeminiAppInstanceOptions): GeminiAppInstance;
+
+  /**
+   * List the models available to an API key
+   * @param apiKey - Your Gemini API key
+   * @param options - Optional filter by supported generation method
+   * @returns Model metadata with token limits and supported methods
+   */
+  function listModels(apiKey: string, options?: { method?: string; transport?: GeminiAppTransport }): GeminiAppModelInfo[];
+
+  /**
+   * Record API traffic to a JSON fixture, or replay it without network access
+   * @example
+   * const recorder = GeminiApp.newRecorder({ mode: 'replay', fileId: 'FIXTURE_FILE_ID' });
+   * const ai = GeminiApp.newInstance('replay', { transport: recorder });
+   */
+  function newRecorder(options: GeminiAppRecorderOptions): GeminiAppRecorder;
+
+  /**
+   * Cosine similarity between two vectors (-1 to 1)
+   * @example
+   * const [a, b] = ai.embed(['cat', 'kitten']);
+   * GeminiApp.cosineSimilarity(a, b);
+   */
+  function cosineSimilarity(a: number[], b: number[]): number;
+
+  /**
+   * Find the k vectors most similar to a query vector, highest score first
+   * @param k - Number of results (default: 5)
+   */
+  function topKSimilar(queryVector: number[], vectors: number[][], k?: number): Array<{ index: number; score: number }>;
+
+  /**
+   * Render citation markers (and by default a numbered source list) for a grounded answer
+   * @param result - Full response from a prompt with { grounding, returnFullResponse: true }
+   * @example
+   * const result = ai.prompt('Who won Euro 2024?', { grounding: 'googleSearch', returnFullResponse: true });
+   * console.log(GeminiApp.addCitations(result));
+   */
+  function addCitations(result: GeminiAppResult, options?: { style?: 'inline' | 'footnotes'; marker?: (n: number) => string }): string;
+
+  /**
+   * Save generated Blobs (images, audio) to a Drive folder (default: My Drive)
+   * @param options - prefix names the files `${prefix}-1.png`, `${prefix}-2.png`, ...
+   * @example
+   * const files = GeminiApp.saveToDrive(ai.generateImage('A lighthouse').images, 'FOLDER_ID');
+   */
+  function saveToDrive(
+    blobs: GoogleAppsScript.Base.Blob | GoogleAppsScript.Base.Blob[],
+    folder?: GoogleAppsScript.Drive.Folder | string,
+    options?: { prefix?: string }
+  ): GoogleAppsScript.Drive.File[];
+
   /**
    * List all uploaded files (standalone helper)
    */
@@ -346,5 +1437,28 @@ declare namespace GeminiApp {
    * Delete all uploaded files (standalone helper)
    */
   function cleanupAllFiles(): void;
+
+  /**
+   * Fluent schema builders
+   * @example
+   * const schema = GeminiApp.Schema.object({
+   *   name: GeminiApp.Schema.string().describe('Full name'),
+   *   age: GeminiApp.Schema.integer().min(0).optional()
+   * });
+   * ai.prompt('Extract the person', { schema });
+   */
+  const Schema: GeminiAppSchemaFactory;
+
+  const Error: typeof GeminiAppError;
+  const ApiError: typeof GeminiAppApiError;
+  /** Safety block error (subclass of ApiError) */
+  const SafetyError: typeof GeminiAppSafetyError;
+  /** Structured response error with schema violations (subclass of ApiError) */
+  const SchemaError: typeof GeminiAppSchemaError;
+  /** Request with no recorded response in replay mode */
+  const ReplayError: typeof GeminiAppReplayError;
+  /** Request with no cached response in cache mode "only" */
+  const CacheMissError: typeof GeminiAppCacheMissError;
+  const ValidationError: typeof GeminiAppValidationError;
 }
 